@@ -0,0 +1,189 @@
+/* BUNCA HACCP – Datensicherung
+ * Online-Sicherung der SQLite-Datenbank (Backup-API, der Server läuft weiter) plus Kopie des
+ * Upload-Verzeichnisses. Jede Sicherung ist ein Verzeichnis <BACKUP_DIR>/<JJJJMMTT-HHMMSS>-<Anlass>/
+ * mit bunca.db, uploads/ und manifest.json (Schema-Version, SHA-256, Dateianzahl).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const DB_FILE = 'bunca.db';
+const MANIFEST = 'manifest.json';
+const NAME_RE = /^\d{8}-\d{6}-[a-z-]+$/;
+const REASONS = ['manual', 'scheduled', 'pre-migrate', 'cli'];
+
+function stamp(d = new Date()) {
+  return d.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+function fileSha256(file) {
+  const hash = crypto.createHash('sha256');
+  const fd = fs.openSync(file, 'r');
+  const buf = Buffer.alloc(1024 * 1024);
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) hash.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+function listFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(e => {
+    const p = path.join(dir, e.name);
+    return e.isDirectory() ? listFiles(p, base) : [path.relative(base, p)];
+  });
+}
+function dirStats(dir) {
+  const files = listFiles(dir);
+  return { files: files.length, bytes: files.reduce((sum, f) => sum + fs.statSync(path.join(dir, f)).size, 0) };
+}
+function readManifest(dir) {
+  try { return JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8')); } catch { return null; }
+}
+function writeManifest(dir, manifest) {
+  fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+}
+function schemaVersionOf(db) {
+  try { return db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0; } catch { return 0; }
+}
+
+/* Gearbeitet wird in <name>.partial; erst nach dem Umbenennen gilt eine Sicherung als vorhanden.
+ * Reihenfolge: erst die Datenbank, dann die Uploads. Uploads werden nur angelegt, nie geändert –
+ * damit liegt jede Datei, auf die die gesicherte Datenbank zeigt, auch in der Kopie.
+ */
+async function createBackup({ db, backupDir, uploadDir = null, reason = 'manual' }) {
+  if (!REASONS.includes(reason)) throw new Error(`Unbekannter Anlass: ${reason}`);
+  const name = `${stamp()}-${reason}`;
+  const dir = path.join(backupDir, name);
+  const tmp = `${dir}.partial`;
+  fs.mkdirSync(tmp, { recursive: true });
+  try {
+    const started = Date.now();
+    await db.backup(path.join(tmp, DB_FILE));
+    let uploads = null;
+    if (uploadDir && fs.existsSync(uploadDir)) {
+      await fs.promises.cp(uploadDir, path.join(tmp, 'uploads'), { recursive: true });
+      uploads = dirStats(path.join(tmp, 'uploads'));
+    }
+    writeManifest(tmp, {
+      name, reason,
+      created_at: new Date().toISOString(),
+      duration_ms: Date.now() - started,
+      schema_version: schemaVersionOf(db),
+      db_file: DB_FILE,
+      db_bytes: fs.statSync(path.join(tmp, DB_FILE)).size,
+      db_sha256: fileSha256(path.join(tmp, DB_FILE)),
+      uploads,
+    });
+    fs.renameSync(tmp, dir);
+  } catch (e) {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    throw e;
+  }
+  return { name, dir, manifest: readManifest(dir) };
+}
+
+/* Synchrone Kopie nur der Datenbank (VACUUM INTO) – vor Migrationen beim Start,
+ * wo der Server ohnehin noch nichts annimmt. Uploads ändern Migrationen nicht.
+ */
+function snapshotDatabase({ db, backupDir, reason = 'pre-migrate' }) {
+  const name = `${stamp()}-${reason}`;
+  const dir = path.join(backupDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  db.prepare('VACUUM INTO ?').run(path.join(dir, DB_FILE));
+  writeManifest(dir, {
+    name, reason,
+    created_at: new Date().toISOString(),
+    schema_version: schemaVersionOf(db),
+    db_file: DB_FILE,
+    db_bytes: fs.statSync(path.join(dir, DB_FILE)).size,
+    db_sha256: fileSha256(path.join(dir, DB_FILE)),
+    uploads: null,
+  });
+  return { name, dir };
+}
+
+function listBackups(backupDir) {
+  if (!fs.existsSync(backupDir)) return [];
+  return fs.readdirSync(backupDir)
+    .filter(n => NAME_RE.test(n))
+    .map(n => ({ name: n, ...readManifest(path.join(backupDir, n)) }))
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Nur zeitgesteuerte Sicherungen rotieren; manuelle und die vor Migrationen bleiben.
+function pruneBackups(backupDir, keep) {
+  const old = listBackups(backupDir).filter(b => b.reason === 'scheduled').slice(keep);
+  for (const b of old) fs.rmSync(path.join(backupDir, b.name), { recursive: true, force: true });
+  return old.map(b => b.name);
+}
+
+/* Prüfung einer Sicherung: Prüfsumme, SQLite integrity_check und foreign_key_check,
+ * Schema-Version wie im Manifest, und jede als gespeichert markierte Upload-Datei ist vorhanden.
+ * Die Datenbank wird dabei nur lesend geöffnet.
+ */
+function verifyBackup(dir) {
+  const checks = [];
+  const check = (name, ok, detail = null) => { checks.push({ check: name, ok: !!ok, detail }); return ok; };
+  const manifest = readManifest(dir);
+  const dbFile = path.join(dir, DB_FILE);
+  let counts = null;
+  if (check('manifest', manifest, manifest ? null : 'manifest.json fehlt oder ist beschädigt')
+      && check('db_file', fs.existsSync(dbFile), fs.existsSync(dbFile) ? null : `${DB_FILE} fehlt`)) {
+    const sha = fileSha256(dbFile);
+    check('checksum', sha === manifest.db_sha256, sha === manifest.db_sha256 ? null : 'SHA-256 weicht vom Manifest ab');
+    let bdb;
+    try {
+      bdb = new Database(dbFile, { readonly: true, fileMustExist: true });
+      const integrity = bdb.pragma('integrity_check', { simple: false }).map(r => r.integrity_check);
+      check('integrity', integrity.length === 1 && integrity[0] === 'ok', integrity.slice(0, 5).join('; '));
+      const broken = bdb.pragma('foreign_key_check');
+      check('foreign_keys', !broken.length, broken.length ? `${broken.length} verwaiste Verweise` : null);
+      const version = schemaVersionOf(bdb);
+      check('schema_version', version === manifest.schema_version, `Datenbank ${version}, Manifest ${manifest.schema_version}`);
+      counts = {};
+      for (const t of ['shops', 'users', 'check_runs', 'check_run_answers', 'corrective_actions', 'audit']) {
+        try { counts[t] = bdb.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n; } catch { counts[t] = null; }
+      }
+      if (manifest.uploads) {
+        const uploadsDir = path.join(dir, 'uploads');
+        const keys = bdb.prepare("SELECT key FROM uploads WHERE status = 'stored'").pluck().all();
+        const missing = keys.filter(k => !fs.existsSync(path.join(uploadsDir, k)));
+        check('uploads', !missing.length, missing.length ? `${missing.length} Dateien fehlen, z.B. ${missing.slice(0, 3).join(', ')}` : `${keys.length} Dateien`);
+      }
+    } catch (e) {
+      check('open', false, e.message);
+    } finally {
+      bdb?.close();
+    }
+  }
+  return { ok: checks.every(c => c.ok), name: path.basename(dir), schema_version: manifest?.schema_version ?? null, counts, checks };
+}
+
+/* Wiederherstellung bei gestopptem Server: Sicherung prüfen, aktuelle Datenbank und Uploads
+ * nach *.before-restore-<Zeit> verschieben (nichts wird gelöscht), dann die Sicherung einspielen.
+ */
+function restoreBackup({ dir, dbPath, uploadDir = null }) {
+  const verification = verifyBackup(dir);
+  if (!verification.ok) {
+    const failed = verification.checks.filter(c => !c.ok).map(c => `${c.check}: ${c.detail}`).join('; ');
+    throw new Error(`Sicherung ${verification.name} ist fehlerhaft – ${failed}`);
+  }
+  const suffix = `.before-restore-${stamp()}`;
+  const moved = [];
+  for (const f of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+    if (fs.existsSync(f)) { fs.renameSync(f, f + suffix); moved.push(f + suffix); }
+  }
+  fs.copyFileSync(path.join(dir, DB_FILE), dbPath);
+  const backupUploads = path.join(dir, 'uploads');
+  if (uploadDir && fs.existsSync(backupUploads)) {
+    if (fs.existsSync(uploadDir)) { fs.renameSync(uploadDir, uploadDir + suffix); moved.push(uploadDir + suffix); }
+    fs.cpSync(backupUploads, uploadDir, { recursive: true });
+  }
+  return { restored: verification.name, schema_version: verification.schema_version, moved };
+}
+
+module.exports = { createBackup, snapshotDatabase, listBackups, pruneBackups, verifyBackup, restoreBackup, NAME_RE };
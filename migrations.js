@@ -0,0 +1,739 @@
+/* BUNCA HACCP – Schema-Migrationen
+ * Nummerierte Up-Migrationen; angewendete Versionen stehen in schema_migrations.
+ * Neue Spalten, Tabellen oder Datenkorrekturen kommen als neuer Eintrag ans Ende von MIGRATIONS –
+ * bestehende Einträge werden nach dem Deploy nicht mehr geändert.
+ */
+
+const crypto = require('crypto');
+
+/* -------------------- Migrationen -------------------- */
+/* 1 – Ausgangsschema. Legt neue Datenbanken an und holt Datenbanken aus der Zeit vor dem
+ * Migrations-Runner auf denselben Stand (Spalten nachrüsten, Filial-Checklisten überführen).
+ * Deshalb durchgehend IF NOT EXISTS / addColumn.
+ */
+function baseline(db, log) {
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'admin',
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS shops (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    slug TEXT UNIQUE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    address TEXT, phone TEXT, image_url TEXT, description TEXT,
+    created_at TEXT NOT NULL,
+    template_id INTEGER REFERENCES checklist_templates(id) ON DELETE SET NULL,
+    archived_at TEXT,
+    archived_by INTEGER REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS equipment (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    type TEXT, serial TEXT,
+    archived_at TEXT,
+    location TEXT, installed_at TEXT, service_contact TEXT,
+    status TEXT NOT NULL DEFAULT 'active',      -- active | out_of_service
+    status_note TEXT, status_changed_at TEXT,
+    maintenance_interval_days INTEGER, calibration_interval_days INTEGER,
+    next_maintenance_due TEXT, next_calibration_due TEXT
+  );
+
+  -- Wartungs-, Kalibrier- und Statusprotokoll je Gerät. Nur anhängen: Nachweise für die
+  -- Lebensmittelkontrolle werden nicht nachträglich geändert.
+  CREATE TABLE IF NOT EXISTS equipment_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL,             -- maintenance | calibration | status
+    performed_at TEXT NOT NULL,     -- YYYY-MM-DD
+    performed_by TEXT,              -- Person oder Servicefirma
+    method TEXT,                    -- Kalibrierung: ice_water | boiling | reference | external
+    reference REAL, reading REAL, tolerance REAL,
+    result TEXT,                    -- pass | fail
+    status TEXT,                    -- Statuswechsel: neuer Status
+    note TEXT, document_url TEXT, next_due TEXT,
+    created_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL
+  );
+
+  -- Datenlogger: Funk-Temperatursensoren, je Sensor ein API-Schlüssel (nur als SHA-256 gespeichert).
+  CREATE TABLE IF NOT EXISTS sensors (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    equipment_id INTEGER NOT NULL REFERENCES equipment(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,        -- Anfang des Schlüssels, zur Wiedererkennung
+    key_hash TEXT UNIQUE NOT NULL,
+    created_at TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    last_seen_at TEXT,               -- letzte Übertragung
+    last_reading_at TEXT,            -- jüngster Messzeitpunkt
+    revoked_at TEXT
+  );
+  -- Rohwerte (UTC, kurze Aufbewahrung) und Stundenwerte (lange Aufbewahrung)
+  CREATE TABLE IF NOT EXISTS sensor_readings (
+    sensor_id INTEGER NOT NULL REFERENCES sensors(id) ON DELETE CASCADE,
+    equipment_id INTEGER NOT NULL,
+    measured_at TEXT NOT NULL,
+    value REAL NOT NULL,
+    ok INTEGER,                      -- NULL: keine Grenzwerte hinterlegt
+    PRIMARY KEY (sensor_id, measured_at)
+  );
+  CREATE TABLE IF NOT EXISTS sensor_hourly (
+    sensor_id INTEGER NOT NULL REFERENCES sensors(id) ON DELETE CASCADE,
+    equipment_id INTEGER NOT NULL,
+    hour TEXT NOT NULL,              -- Stundenbeginn, ISO UTC
+    count INTEGER NOT NULL, min REAL NOT NULL, max REAL NOT NULL, sum REAL NOT NULL,
+    excursions INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (sensor_id, hour)
+  );
+  -- Zusammenhängende Messwerte außerhalb der Grenzwerte; offen, solange ended_at NULL ist
+  CREATE TABLE IF NOT EXISTS sensor_excursions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sensor_id INTEGER NOT NULL REFERENCES sensors(id) ON DELETE CASCADE,
+    equipment_id INTEGER NOT NULL,
+    started_at TEXT NOT NULL, last_at TEXT NOT NULL, ended_at TEXT,
+    limit_min REAL, limit_max REAL,
+    peak REAL NOT NULL,              -- Wert mit der größten Abweichung
+    readings INTEGER NOT NULL DEFAULT 1,
+    notified_at TEXT
+  );
+
+  -- Checklisten-Vorlagen mit Versionen. Veröffentlichte Versionen sind unveränderlich;
+  -- bearbeitet wird immer ein Entwurf. Jede Filiale nutzt die jeweils neueste
+  -- veröffentlichte Version ihrer Vorlage.
+  CREATE TABLE IF NOT EXISTS checklist_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    created_at TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS checklist_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    template_id INTEGER NOT NULL REFERENCES checklist_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft',
+    notes TEXT,
+    created_at TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id),
+    published_at TEXT,
+    published_by INTEGER REFERENCES users(id),
+    UNIQUE (template_id, version)
+  );
+
+  -- Einträge einer Vorlagen-Version. item_key bleibt über Versionen gleich,
+  -- damit Filial-Anpassungen (shop_item_overrides) beim Veröffentlichen erhalten bleiben.
+  -- config_json: Optionen (choice/multi) bzw. Soll/Toleranz (counter); depends_on: item_key
+  -- eines Eintrags derselben Version – der Eintrag gilt nur, wenn dieser nicht bestanden ist.
+  CREATE TABLE IF NOT EXISTS check_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    version_id INTEGER NOT NULL REFERENCES checklist_versions(id) ON DELETE CASCADE,
+    item_key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    min REAL, max REAL, unit TEXT,
+    shift TEXT NOT NULL DEFAULT 'morning',
+    required INTEGER NOT NULL DEFAULT 0,
+    critical INTEGER NOT NULL DEFAULT 0,
+    config_json TEXT,
+    photo_required INTEGER NOT NULL DEFAULT 0,
+    depends_on TEXT,
+    UNIQUE (version_id, item_key)
+  );
+
+  -- Filial-Anpassungen je Eintrag: Grenzwerte/Einheit (NULL = Vorgabe der Vorlage) und Gerät der Filiale.
+  CREATE TABLE IF NOT EXISTS shop_item_overrides (
+    shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    template_id INTEGER NOT NULL REFERENCES checklist_templates(id) ON DELETE CASCADE,
+    item_key TEXT NOT NULL,
+    min REAL, max REAL, unit TEXT,
+    equipment_id INTEGER REFERENCES equipment(id) ON DELETE SET NULL,
+    PRIMARY KEY (shop_id, template_id, item_key)
+  );
+
+  CREATE TABLE IF NOT EXISTS check_runs (
+    id TEXT PRIMARY KEY,
+    shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    run_date TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'submitted',
+    note TEXT,
+    ok_count INTEGER NOT NULL DEFAULT 0,
+    fail_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    signed_at TEXT,
+    signed_by INTEGER REFERENCES users(id),
+    content_hash TEXT,
+    shift TEXT,
+    template_version_id INTEGER REFERENCES checklist_versions(id),
+    captured_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS check_run_answers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id TEXT NOT NULL REFERENCES check_runs(id) ON DELETE CASCADE,
+    item_id INTEGER NOT NULL REFERENCES check_items(id) ON DELETE SET NULL,
+    label TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    equipment_id INTEGER,
+    unit TEXT,
+    min REAL, max REAL,
+    shift TEXT,
+    value TEXT,
+    ok INTEGER NOT NULL DEFAULT 1,
+    evidence_url TEXT,
+    config_json TEXT,
+    photo_required INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS corrective_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id TEXT NOT NULL REFERENCES check_runs(id) ON DELETE CASCADE,
+    item_id INTEGER,
+    description TEXT NOT NULL,
+    assigned_to TEXT,
+    due_date TEXT,
+    photo_url TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at TEXT, created_by INTEGER,
+    updated_at TEXT, updated_by INTEGER,
+    closed_at TEXT, closed_by INTEGER,
+    verification_note TEXT, after_photo_url TEXT
+  );
+
+  -- Nachträge zu (unterschriebenen) Läufen: das Original bleibt unverändert,
+  -- Korrekturen werden als eigener, separat zu unterschreibender Datensatz geführt.
+  CREATE TABLE IF NOT EXISTS check_run_amendments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id TEXT NOT NULL REFERENCES check_runs(id),
+    answer_id INTEGER REFERENCES check_run_answers(id),
+    field TEXT NOT NULL DEFAULT 'value',
+    old_value TEXT, new_value TEXT, new_ok INTEGER,
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_by INTEGER NOT NULL REFERENCES users(id),
+    created_at TEXT NOT NULL,
+    signed_by INTEGER REFERENCES users(id),
+    signed_at TEXT,
+    content_hash TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_amendments_run ON check_run_amendments(run_id);
+
+  -- Schichtplan je Filiale: bis wann die Checkliste einer Schicht erledigt sein muss.
+  -- days = ISO-Wochentage als Ziffern (1 = Montag … 7 = Sonntag).
+  CREATE TABLE IF NOT EXISTS shop_shifts (
+    shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    shift TEXT NOT NULL,
+    due_time TEXT NOT NULL,
+    grace_min INTEGER NOT NULL DEFAULT 30,
+    days TEXT NOT NULL DEFAULT '1234567',
+    active INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY (shop_id, shift)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_shops (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    PRIMARY KEY (user_id, shop_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    csrf TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    ip TEXT, user_agent TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+
+  CREATE TABLE IF NOT EXISTS audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    action TEXT NOT NULL,
+    meta_json TEXT,
+    created_at TEXT NOT NULL,
+    entity TEXT, entity_id TEXT, shop_id INTEGER,
+    before_json TEXT, after_json TEXT,
+    prev_hash TEXT, hash TEXT
+  );
+
+  -- Hochgeladene Bilder. key = Dateiname in der Ablage; token_hash gilt einmal bis expires_at.
+  CREATE TABLE IF NOT EXISTS uploads (
+    key TEXT PRIMARY KEY,
+    token_hash TEXT,
+    content_type TEXT NOT NULL,
+    size INTEGER, width INTEGER, height INTEGER,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_by INTEGER REFERENCES users(id),
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    stored_at TEXT
+  );
+  `);
+
+  for (const [col, def] of [
+    ['entity', 'TEXT'], ['entity_id', 'TEXT'], ['shop_id', 'INTEGER'],
+    ['before_json', 'TEXT'], ['after_json', 'TEXT'], ['prev_hash', 'TEXT'], ['hash', 'TEXT'],
+  ]) addColumn(db, 'audit', col, def);
+  addColumn(db, 'check_runs', 'signed_by', 'INTEGER REFERENCES users(id)');
+  addColumn(db, 'check_runs', 'content_hash', 'TEXT');
+  addColumn(db, 'check_runs', 'shift', 'TEXT');
+  addColumn(db, 'check_runs', 'template_version_id', 'INTEGER REFERENCES checklist_versions(id)');
+  addColumn(db, 'check_runs', 'captured_at', 'TEXT');
+  addColumn(db, 'shops', 'template_id', 'INTEGER REFERENCES checklist_templates(id) ON DELETE SET NULL');
+  addColumn(db, 'shops', 'archived_at', 'TEXT');
+  addColumn(db, 'shops', 'archived_by', 'INTEGER REFERENCES users(id)');
+  addColumn(db, 'equipment', 'archived_at', 'TEXT');
+  for (const [col, def] of [
+    ['location', 'TEXT'], ['installed_at', 'TEXT'], ['service_contact', 'TEXT'],
+    ['status', "TEXT NOT NULL DEFAULT 'active'"], ['status_note', 'TEXT'], ['status_changed_at', 'TEXT'],
+    ['maintenance_interval_days', 'INTEGER'], ['calibration_interval_days', 'INTEGER'],
+    ['next_maintenance_due', 'TEXT'], ['next_calibration_due', 'TEXT'],
+  ]) addColumn(db, 'equipment', col, def);
+  addColumn(db, 'check_run_answers', 'config_json', 'TEXT');
+  addColumn(db, 'check_run_answers', 'photo_required', 'INTEGER NOT NULL DEFAULT 0');
+  migrateShopChecklists(db, log);
+  // Nach der Migration: sie baut check_items mit dem alten Spaltensatz neu auf
+  addColumn(db, 'check_items', 'config_json', 'TEXT');
+  addColumn(db, 'check_items', 'photo_required', 'INTEGER NOT NULL DEFAULT 0');
+  addColumn(db, 'check_items', 'depends_on', 'TEXT');
+  // Ältere Läufe: Schicht aus den Antworten ableiten
+  db.exec(`
+  UPDATE check_runs SET shift = (SELECT shift FROM check_run_answers a WHERE a.run_id = check_runs.id ORDER BY a.id LIMIT 1)
+  WHERE shift IS NULL;
+  `);
+
+  for (const col of ['created_at', 'created_by INTEGER', 'updated_at', 'updated_by INTEGER',
+    'closed_at', 'closed_by INTEGER', 'verification_note', 'after_photo_url']) {
+    const [name, type = 'TEXT'] = col.split(' ');
+    addColumn(db, 'corrective_actions', name, type);
+  }
+  db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_audit_created ON audit(created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_shop ON audit(shop_id);
+  CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit(entity, entity_id);
+  CREATE INDEX IF NOT EXISTS idx_ca_status ON corrective_actions(status, due_date);
+  CREATE INDEX IF NOT EXISTS idx_ca_run ON corrective_actions(run_id);
+  CREATE INDEX IF NOT EXISTS idx_answers_evidence ON check_run_answers(evidence_url);
+  CREATE INDEX IF NOT EXISTS idx_runs_shop_date ON check_runs(shop_id, run_date);
+  CREATE INDEX IF NOT EXISTS idx_answers_run_item ON check_run_answers(run_id, item_id);
+  CREATE INDEX IF NOT EXISTS idx_equipment_logs ON equipment_logs(equipment_id, kind, performed_at);
+  CREATE INDEX IF NOT EXISTS idx_sensor_readings_eq ON sensor_readings(equipment_id, measured_at);
+  CREATE INDEX IF NOT EXISTS idx_sensor_hourly_eq ON sensor_hourly(equipment_id, hour);
+  CREATE INDEX IF NOT EXISTS idx_sensor_excursions_eq ON sensor_excursions(equipment_id, started_at);
+
+  -- Unterschriebene Läufe, ihre Antworten und unterschriebene Nachträge sind schreibgeschützt.
+  DROP TRIGGER IF EXISTS trg_run_signed_update;
+  CREATE TRIGGER trg_run_signed_update
+  BEFORE UPDATE OF id, shop_id, run_date, status, note, ok_count, fail_count, created_at, signed_at, signed_by, content_hash, template_version_id ON check_runs
+  WHEN OLD.status = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'check run is signed'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_run_signed_delete BEFORE DELETE ON check_runs
+  WHEN OLD.status = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'check run is signed'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_answer_signed_insert BEFORE INSERT ON check_run_answers
+  WHEN (SELECT status FROM check_runs WHERE id = NEW.run_id) = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'check run is signed'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_answer_signed_update BEFORE UPDATE ON check_run_answers
+  WHEN (SELECT status FROM check_runs WHERE id = OLD.run_id) = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'check run is signed'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_answer_signed_delete BEFORE DELETE ON check_run_answers
+  WHEN (SELECT status FROM check_runs WHERE id = OLD.run_id) = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'check run is signed'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_amendment_signed_update BEFORE UPDATE ON check_run_amendments
+  WHEN OLD.status = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'amendment is signed'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_amendment_delete BEFORE DELETE ON check_run_amendments
+  BEGIN SELECT RAISE(ABORT, 'amendments are append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_equipment_log_update BEFORE UPDATE ON equipment_logs
+  BEGIN SELECT RAISE(ABORT, 'equipment logs are append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS trg_equipment_log_delete BEFORE DELETE ON equipment_logs
+  BEGIN SELECT RAISE(ABORT, 'equipment logs are append-only'); END;
+  `);
+}
+
+// Spalten nur anlegen, wenn sie fehlen (Datenbanken aus der Zeit vor dem Runner)
+function addColumn(db, table, column, def) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some(c => c.name === column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${def}`);
+}
+
+// Nachtragen in schreibgeschützten Zeilen (unterschriebene Läufe, Geräteprotokoll): Trigger für fn
+// aussetzen und unverändert wieder anlegen. Nur für Spalten, die nicht in die Prüfsumme eingehen.
+function withoutTrigger(db, name, fn) {
+  const trigger = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = ?").get(name);
+  if (trigger) db.exec(`DROP TRIGGER ${name}`);
+  try { fn(); } finally { if (trigger) db.exec(trigger.sql); }
+}
+
+/* Alte Datenbanken: check_items hingen direkt an einer Filiale (shop_id, equipment_id).
+ * Jede Filiale mit Einträgen bekommt eine eigene Vorlage (Version 1, veröffentlicht),
+ * Geräte-Zuordnungen werden zu Filial-Anpassungen. Die Eintrags-IDs bleiben erhalten,
+ * damit bestehende Antworten und Maßnahmen weiter auf ihren Eintrag zeigen.
+ * Läuft in der Transaktion des Runners mit abgeschalteten Fremdschlüsseln (DROP TABLE check_items).
+ */
+function migrateShopChecklists(db, log) {
+  const cols = db.prepare('PRAGMA table_info(check_items)').all();
+  if (!cols.some(c => c.name === 'shop_id')) return;
+  const hasCritical = cols.some(c => c.name === 'critical');
+  db.exec(`
+    CREATE TABLE check_items_v2 (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      version_id INTEGER NOT NULL REFERENCES checklist_versions(id) ON DELETE CASCADE,
+      item_key TEXT NOT NULL,
+      label TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      min REAL, max REAL, unit TEXT,
+      shift TEXT NOT NULL DEFAULT 'morning',
+      required INTEGER NOT NULL DEFAULT 0,
+      critical INTEGER NOT NULL DEFAULT 0,
+      UNIQUE (version_id, item_key)
+    );
+  `);
+  const ts = new Date().toISOString();
+  const shops = db.prepare('SELECT DISTINCT s.id, s.name, s.slug FROM shops s JOIN check_items i ON i.shop_id = s.id').all();
+  for (const shop of shops) {
+    const t = db.prepare('INSERT INTO checklist_templates (name,description,created_at) VALUES (?,?,?)')
+      .run(`Checkliste ${shop.name} (${shop.slug})`, 'Aus der bisherigen Filial-Checkliste übernommen', ts);
+    const v = db.prepare(`
+      INSERT INTO checklist_versions (template_id,version,status,notes,created_at,published_at) VALUES (?,1,'published',?,?,?)
+    `).run(t.lastInsertRowid, 'Migration', ts, ts);
+    for (const i of db.prepare('SELECT * FROM check_items WHERE shop_id = ?').all(shop.id)) {
+      const key = crypto.randomUUID();
+      db.prepare(`
+        INSERT INTO check_items_v2 (id,version_id,item_key,label,kind,position,min,max,unit,shift,required,critical)
+        VALUES (?,?,?,?,?,?,?,?,?,?,?,?)
+      `).run(i.id, v.lastInsertRowid, key, i.label, i.kind, i.position, i.min, i.max, i.unit, i.shift, i.required, hasCritical ? i.critical : 0);
+      // Nur Geräte der eigenen Filiale übernehmen (duplizierte Listen zeigten teils auf fremde Geräte)
+      const eq = i.equipment_id && db.prepare('SELECT id FROM equipment WHERE id = ? AND shop_id = ?').get(i.equipment_id, shop.id);
+      if (eq) {
+        db.prepare('INSERT INTO shop_item_overrides (shop_id,template_id,item_key,equipment_id) VALUES (?,?,?,?)')
+          .run(shop.id, t.lastInsertRowid, key, eq.id);
+      }
+    }
+    db.prepare('UPDATE shops SET template_id = ? WHERE id = ?').run(t.lastInsertRowid, shop.id);
+    db.prepare('UPDATE check_runs SET template_version_id = ? WHERE shop_id = ? AND template_version_id IS NULL')
+      .run(v.lastInsertRowid, shop.id);
+  }
+  db.exec('DROP TABLE check_items; ALTER TABLE check_items_v2 RENAME TO check_items;');
+  log.log('[migrate] Filial-Checklisten in Vorlagen überführt');
+}
+
+/* 2 – Anmelde-Absicherung: Kontosperre nach Fehlversuchen, erzwungener Passwortwechsel,
+ * TOTP-Zweitfaktor und vom Admin ausgestellte Links zum Zurücksetzen (nur SHA-256 des Tokens).
+ * Bestehende Konten mit zu schwachem Passwort (z.B. "changeme") erkennt erst der Login.
+ */
+function authHardening(db) {
+  for (const [col, def] of [
+    ['must_change_password', 'INTEGER NOT NULL DEFAULT 0'], ['password_changed_at', 'TEXT'],
+    ['failed_logins', 'INTEGER NOT NULL DEFAULT 0'], ['locked_until', 'TEXT'],
+    ['totp_secret', 'TEXT'], ['totp_pending_secret', 'TEXT'], ['totp_last_step', 'INTEGER'],
+  ]) addColumn(db, 'users', col, def);
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS password_resets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id);
+  `);
+}
+
+/* 3 – Personenbezug auf geteilten Filial-Tablets: Anzeigename und PIN je Person, Sitzungen im
+ * Tablet-Modus mit gerade aktiver Person, und wer einen Lauf bzw. eine Antwort erfasst hat.
+ * Bestehende Läufe erhalten die Person aus dem Audit-Eintrag check_run.submit.
+ */
+function personAttribution(db) {
+  for (const [col, def] of [
+    ['name', 'TEXT'], ['pin_hash', 'TEXT'], ['pin_failed', 'INTEGER NOT NULL DEFAULT 0'], ['pin_locked_until', 'TEXT'],
+  ]) addColumn(db, 'users', col, def);
+  addColumn(db, 'sessions', 'shared', 'INTEGER NOT NULL DEFAULT 0');
+  addColumn(db, 'sessions', 'actor_user_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  addColumn(db, 'sessions', 'actor_seen_at', 'TEXT');
+  addColumn(db, 'check_runs', 'created_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  addColumn(db, 'check_run_answers', 'answered_by', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+  db.exec(`
+  -- Wer sich in einer Tablet-Sitzung per PIN angemeldet hat; Grundlage für nachgereichte Offline-Läufe
+  CREATE TABLE IF NOT EXISTS session_actors (
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    first_at TEXT NOT NULL,
+    PRIMARY KEY (session_id, user_id)
+  );
+
+  UPDATE check_runs SET created_by = (
+    SELECT a.user_id FROM audit a
+    WHERE a.action = 'check_run.submit' AND a.entity = 'check_run' AND a.entity_id = check_runs.id
+      AND a.user_id IN (SELECT id FROM users)
+    ORDER BY a.id ASC LIMIT 1
+  ) WHERE created_by IS NULL;
+  `);
+  withoutTrigger(db, 'trg_answer_signed_update', () => db.exec(`
+  UPDATE check_run_answers SET answered_by = (SELECT r.created_by FROM check_runs r WHERE r.id = check_run_answers.run_id)
+  WHERE answered_by IS NULL;
+  `));
+}
+
+/* 4 – Entwürfe, die Antwort für Antwort gespeichert werden: Zeitpunkt je Antwort, die zugehörige
+ * Korrekturmaßnahme (wird erst beim Absenden angelegt) und die letzte Änderung am Lauf.
+ */
+function draftRuns(db) {
+  addColumn(db, 'check_runs', 'updated_at', 'TEXT');
+  addColumn(db, 'check_run_answers', 'answered_at', 'TEXT');
+  addColumn(db, 'check_run_answers', 'corrective_json', 'TEXT');
+  withoutTrigger(db, 'trg_answer_signed_update', () => db.exec(`
+  UPDATE check_run_answers SET answered_at = (
+    SELECT COALESCE(r.captured_at, r.created_at) FROM check_runs r WHERE r.id = check_run_answers.run_id
+  ) WHERE answered_at IS NULL;
+  `));
+  db.exec(`
+  UPDATE check_runs SET updated_at = COALESCE(captured_at, created_at) WHERE updated_at IS NULL;
+  CREATE INDEX IF NOT EXISTS idx_check_runs_drafts ON check_runs(shop_id, run_date, shift) WHERE status = 'draft';
+  `);
+}
+
+/* 5 – Zeitzone und Tageswechsel je Filiale. Bisher war run_date das UTC-Datum der Erfassung;
+ * ein Schließ-Check um 00:30 Uhr landete so beim falschen Tag. Der Geschäftstag ist das Datum
+ * in der Filial-Zeitzone, vor dem Tageswechsel (Standard 04:00) noch der Vortag.
+ * Unterschriebene Läufe bleiben unverändert – run_date ist Teil ihrer Prüfsumme (und per Trigger geschützt).
+ */
+function businessDayOf(iso, timeZone, cutoff) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(new Date(iso)).map(p => [p.type, p.value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  if (`${parts.hour}:${parts.minute}` >= cutoff) return date;
+  const prev = new Date(`${date}T00:00:00Z`);
+  prev.setUTCDate(prev.getUTCDate() - 1);
+  return prev.toISOString().slice(0, 10);
+}
+
+function shopTimezones(db, log) {
+  addColumn(db, 'shops', 'timezone', "TEXT NOT NULL DEFAULT 'Europe/Berlin'");
+  addColumn(db, 'shops', 'day_cutoff', "TEXT NOT NULL DEFAULT '04:00'");
+  const runs = db.prepare(`
+    SELECT r.id, r.run_date, COALESCE(r.captured_at, r.created_at) AS at, s.timezone, s.day_cutoff
+    FROM check_runs r JOIN shops s ON s.id = r.shop_id
+    WHERE r.status <> 'signed'
+  `).all();
+  const update = db.prepare('UPDATE check_runs SET run_date = ? WHERE id = ?');
+  let moved = 0;
+  for (const r of runs) {
+    if (!r.at) continue;
+    const day = businessDayOf(r.at, r.timezone, r.day_cutoff);
+    if (day !== r.run_date) { update.run(day, r.id); moved++; }
+  }
+  if (moved) log.log(`[migrate] run_date von ${moved} Läufen auf den Geschäftstag der Filiale gesetzt`);
+}
+
+/* 6 – Höchstens ein offener Entwurf je Filiale, Tag und Schicht. Der Index aus 4 verhinderte
+ * nicht, dass zwei Geräte gleichzeitig je einen Entwurf anlegen. Vorhandene Doppel werden in den
+ * ältesten Entwurf zusammengeführt: Antworten zu Einträgen, die dort fehlen, wandern mit, der Rest entfällt.
+ */
+function uniqueDrafts(db, log) {
+  const dups = db.prepare(`
+    SELECT d.id, (
+      SELECT k.id FROM check_runs k
+      WHERE k.status = 'draft' AND k.shop_id = d.shop_id AND k.run_date = d.run_date AND k.shift = d.shift
+      ORDER BY k.created_at ASC, k.id ASC LIMIT 1
+    ) AS keep
+    FROM check_runs d WHERE d.status = 'draft' AND d.shift IS NOT NULL
+    ORDER BY d.created_at ASC, d.id ASC
+  `).all().filter(d => d.id !== d.keep);
+  const move = db.prepare(`
+    UPDATE check_run_answers SET run_id = @keep
+    WHERE run_id = @id AND NOT EXISTS (
+      SELECT 1 FROM check_run_answers k WHERE k.run_id = @keep AND k.item_id = check_run_answers.item_id
+    )
+  `);
+  // Fremdschlüssel sind während der Migration aus – ON DELETE CASCADE greift nicht
+  const dropAnswers = db.prepare('DELETE FROM check_run_answers WHERE run_id = ?');
+  const drop = db.prepare('DELETE FROM check_runs WHERE id = ?');
+  for (const d of dups) {
+    move.run(d);
+    dropAnswers.run(d.id);
+    drop.run(d.id);
+  }
+  if (dups.length) log.log(`[migrate] ${dups.length} doppelte Entwürfe zusammengeführt`);
+  db.exec(`
+  DROP INDEX IF EXISTS idx_check_runs_drafts;
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_check_runs_draft_unique ON check_runs(shop_id, run_date, shift) WHERE status = 'draft';
+  `);
+}
+
+/* 7 – Thermometer-Prüfungen als eigene Laufart. Bisher standen Kalibrierungen nur im Geräteprotokoll
+ * und fehlten damit in Verlauf, Compliance, Lauf-PDF und Unterschrift.
+ * check_runs.run_type: check (Tagescheck) | calibration; equipment_logs.run_id verweist auf den Lauf.
+ * Vorhandene Kalibrierungen bekommen je einen abgesendeten Lauf am Tag der Durchführung.
+ */
+function calibrationRuns(db, log) {
+  addColumn(db, 'check_runs', 'run_type', "TEXT NOT NULL DEFAULT 'check'");
+  addColumn(db, 'equipment_logs', 'run_id', 'TEXT REFERENCES check_runs(id)');
+  const logs = db.prepare(`
+    SELECT l.id, l.performed_at, l.result, l.note, l.created_by, l.created_at, e.shop_id
+    FROM equipment_logs l JOIN equipment e ON e.id = l.equipment_id
+    WHERE l.kind = 'calibration' AND l.run_id IS NULL ORDER BY l.id
+  `).all();
+  const insert = db.prepare(`
+    INSERT INTO check_runs (id,shop_id,run_date,shift,status,note,ok_count,fail_count,created_at,captured_at,created_by,updated_at,run_type)
+    VALUES (?,?,?,NULL,'submitted',?,?,?,?,?,?,?,'calibration')
+  `);
+  const link = db.prepare('UPDATE equipment_logs SET run_id = ? WHERE id = ?');
+  // Das Protokoll ist nur anhängbar (Trigger aus 1); die Zuordnung zum Lauf ändert keinen Nachweis
+  withoutTrigger(db, 'trg_equipment_log_update', () => {
+    for (const l of logs) {
+      const id = crypto.randomUUID();
+      const ok = l.result === 'fail' ? 0 : 1;
+      insert.run(id, l.shop_id, l.performed_at, l.note || '', ok, 1 - ok, l.created_at, l.created_at, l.created_by, l.created_at);
+      link.run(id, l.id);
+    }
+  });
+  db.exec(`
+  CREATE TRIGGER IF NOT EXISTS trg_run_signed_type BEFORE UPDATE OF run_type ON check_runs
+  WHEN OLD.status = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'check run is signed'); END;
+  CREATE INDEX IF NOT EXISTS idx_equipment_logs_run ON equipment_logs(run_id);
+  `);
+  if (logs.length) log.log(`[migrate] ${logs.length} Kalibrierungen als Prüfläufe übernommen`);
+}
+
+/* 8 – Wer, welche Schicht und wann erfasst gehören zum unterschriebenen Nachweis: created_by, shift und
+ * captured_at sind nach der Unterschrift schreibgeschützt wie der übrige Lauf. answered_by der Antworten
+ * schützt bereits trg_answer_signed_update (jede Änderung an Antworten unterschriebener Läufe).
+ */
+function signedAttribution(db) {
+  db.exec(`
+  DROP TRIGGER IF EXISTS trg_run_signed_update;
+  CREATE TRIGGER trg_run_signed_update
+  BEFORE UPDATE OF id, shop_id, run_date, shift, status, note, ok_count, fail_count, created_at, captured_at, created_by,
+    signed_at, signed_by, content_hash, template_version_id ON check_runs
+  WHEN OLD.status = 'signed'
+  BEGIN SELECT RAISE(ABORT, 'check run is signed'); END;
+  `);
+}
+
+/* 9 – Tabellen der Benachrichtigungen. Bisher legte createNotifier (notifications.js) sie beim Start an;
+ * bestehende Datenbanken haben sie daher schon (IF NOT EXISTS).
+ */
+function notificationTables(db) {
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS notification_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event TEXT NOT NULL,
+    shop_id INTEGER REFERENCES shops(id) ON DELETE CASCADE,
+    role TEXT,
+    channel TEXT NOT NULL,
+    target TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event TEXT NOT NULL,
+    dedupe_key TEXT NOT NULL,
+    shop_id INTEGER,
+    channel TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    subject TEXT NOT NULL,
+    body TEXT,
+    payload_json TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    sent_at TEXT,
+    read_at TEXT,
+    UNIQUE (dedupe_key, channel, recipient)
+  );
+  CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(status, next_attempt_at);
+  CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, read_at);
+  `);
+}
+
+const MIGRATIONS = [
+  { version: 1, name: 'baseline', up: baseline },
+  { version: 2, name: 'auth_hardening', up: authHardening },
+  { version: 3, name: 'person_attribution', up: personAttribution },
+  { version: 4, name: 'draft_runs', up: draftRuns },
+  { version: 5, name: 'shop_timezones', up: shopTimezones },
+  { version: 6, name: 'unique_drafts', up: uniqueDrafts },
+  { version: 7, name: 'calibration_runs', up: calibrationRuns },
+  { version: 8, name: 'signed_attribution', up: signedAttribution },
+  { version: 9, name: 'notification_tables', up: notificationTables },
+];
+
+/* -------------------- Runner -------------------- */
+/* Jede Migration läuft in einer eigenen Transaktion zusammen mit ihrem Eintrag in
+ * schema_migrations – schlägt sie fehl, bleibt die Datenbank auf dem vorherigen Stand.
+ * Fremdschlüssel sind währenddessen aus (SQLite-Vorgehen für Tabellen-Umbauten);
+ * vor dem Commit prüft foreign_key_check, dass nichts Verwaistes zurückbleibt.
+ */
+function ensureTable(db) {
+  db.exec(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  );
+  `);
+}
+
+function schemaVersion(db) {
+  const table = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  if (!table) return 0;
+  return db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0;
+}
+
+function pendingMigrations(db) {
+  const current = schemaVersion(db);
+  return MIGRATIONS.filter(m => m.version > current);
+}
+
+// beforeApply(pending, current) läuft vor der ersten Migration, z.B. für eine Sicherung.
+function migrate(db, { log = console, beforeApply } = {}) {
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const current = schemaVersion(db);
+  // Datenbank einer neueren App-Version (z.B. nach einem Rollback): nicht anfassen
+  if (current > latest) {
+    throw new Error(`Datenbank hat Schema-Version ${current}, diese App-Version kennt nur bis ${latest}`);
+  }
+  const pending = pendingMigrations(db);
+  if (!pending.length) return { from: current, to: current, applied: [] };
+  if (beforeApply) beforeApply(pending, current);
+  ensureTable(db);
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const m of pending) {
+      db.transaction(() => {
+        m.up(db, log);
+        const broken = db.prepare('PRAGMA foreign_key_check').all();
+        if (broken.length) throw new Error(`Migration ${m.version} (${m.name}): Fremdschlüssel verletzt: ${JSON.stringify(broken.slice(0, 5))}`);
+        db.prepare('INSERT INTO schema_migrations (version,name,applied_at) VALUES (?,?,?)').run(m.version, m.name, new Date().toISOString());
+      })();
+      log.log(`[migrate] ${m.version} ${m.name} angewendet`);
+    }
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  return { from: current, to: latest, applied: pending.map(m => m.version) };
+}
+
+module.exports = { migrate, schemaVersion, pendingMigrations, MIGRATIONS };
@@ -0,0 +1,176 @@
+/* BUNCA HACCP – Benachrichtigungen
+ * Ereignisse → Regeln (Filiale/Rolle) → Ausgang (notifications) → Kanäle (E-Mail, Webhook, Inbox).
+ * Zustellung mit Wiederholung (exponentielles Backoff) und Deduplizierung über dedupe_key.
+ */
+
+const crypto = require('crypto');
+
+const EVENTS = {
+  'check.failed_critical': 'Kritischer Prüfpunkt nicht bestanden',
+  'shift.missed': 'Schicht-Checkliste versäumt',
+  'action.overdue': 'Korrekturmaßnahme überfällig',
+  'run.awaiting_signature': 'Tagescheck wartet auf Unterschrift',
+  'equipment.due': 'Wartung/Kalibrierung eines Geräts überfällig',
+  'equipment.calibration_failed': 'Kalibrierprüfung nicht bestanden',
+  'sensor.excursion': 'Datenlogger: Temperatur außerhalb der Grenzwerte',
+  'sensor.offline': 'Datenlogger sendet keine Messwerte',
+  'backup.failed': 'Datensicherung fehlgeschlagen oder fehlerhaft',
+  'test': 'Testbenachrichtigung',
+};
+const CHANNELS = ['email', 'webhook', 'inbox'];
+const MAX_ATTEMPTS = 6;
+const BACKOFF_MIN = [1, 5, 15, 60, 240]; // Minuten bis zum nächsten Versuch
+
+function now() { return new Date().toISOString(); }
+
+/* -------------------- Kanäle -------------------- */
+// SMTP über nodemailer; ohne SMTP_HOST ist der Kanal deaktiviert.
+function smtpChannel(cfg) {
+  if (!cfg.host) return { send: async () => { throw new Error('SMTP nicht konfiguriert'); }, permanent: true };
+  const nodemailer = require('nodemailer');
+  const transport = nodemailer.createTransport({
+    host: cfg.host,
+    port: cfg.port || 587,
+    secure: !!cfg.secure,
+    auth: cfg.user ? { user: cfg.user, pass: cfg.pass } : undefined,
+  });
+  return {
+    async send(n) {
+      await transport.sendMail({ from: cfg.from, to: n.recipient, subject: n.subject, text: n.body });
+    },
+  };
+}
+
+// Generischer Webhook: JSON-POST, optional HMAC-signiert (X-Bunca-Signature).
+function webhookChannel(cfg) {
+  return {
+    async send(n) {
+      const payload = JSON.stringify({
+        id: n.id, event: n.event, subject: n.subject, body: n.body,
+        shop_id: n.shop_id, data: n.payload_json ? JSON.parse(n.payload_json) : null, created_at: n.created_at,
+      });
+      const headers = { 'Content-Type': 'application/json' };
+      if (cfg.secret) {
+        headers['X-Bunca-Signature'] = 'sha256=' + crypto.createHmac('sha256', cfg.secret).update(payload).digest('hex');
+      }
+      const res = await fetch(n.recipient, { method: 'POST', headers, body: payload, signal: AbortSignal.timeout(10000) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    },
+  };
+}
+
+// Inbox: die Zeile in `notifications` ist bereits die Zustellung.
+const inboxChannel = { async send() {} };
+
+/* -------------------- Notifier -------------------- */
+function createNotifier({ db, smtp = {}, webhook = {}, log = console }) {
+  // Tabellen notification_rules/notifications legt Migration 9 an (migrations.js)
+  const channels = {
+    email: smtpChannel(smtp),
+    webhook: webhookChannel(webhook),
+    inbox: inboxChannel,
+  };
+
+  // Benutzer mit Zugriff auf die Filiale (Admins/Auditoren immer), optional nach Rolle gefiltert.
+  function usersFor(shop_id, role) {
+    return db.prepare(`
+      SELECT u.id, u.email, u.role FROM users u
+      WHERE (? IS NULL OR u.role = ?)
+        AND (? IS NULL OR u.role IN ('admin','auditor')
+             OR EXISTS (SELECT 1 FROM user_shops us WHERE us.user_id = u.id AND us.shop_id = ?))
+    `).all(role || null, role || null, shop_id ?? null, shop_id ?? null);
+  }
+
+  function recipientsFor(rule, shop_id) {
+    if (rule.channel === 'webhook') return rule.target ? [{ recipient: rule.target, user_id: null }] : [];
+    if (rule.channel === 'email' && rule.target) return [{ recipient: rule.target, user_id: null }];
+    return usersFor(shop_id, rule.role).map(u => (
+      rule.channel === 'inbox' ? { recipient: `user:${u.id}`, user_id: u.id } : { recipient: u.email, user_id: u.id }
+    ));
+  }
+
+  /* Ereignis auslösen. key identifiziert den Anlass (z.B. "action:17"); dasselbe Ereignis mit
+   * demselben key wird je Empfänger und Kanal nur einmal zugestellt.
+   * Liefert die Anzahl neu angelegter Zustellungen.
+   */
+  function emit(event, { key, shop_id = null, subject, body = '', data = null }) {
+    const rules = db.prepare(`
+      SELECT * FROM notification_rules
+      WHERE active = 1 AND event = ? AND (shop_id IS NULL OR shop_id = ?)
+    `).all(event, shop_id);
+    const dedupe_key = `${event}:${key}`;
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO notifications
+        (event,dedupe_key,shop_id,channel,recipient,user_id,subject,body,payload_json,status,next_attempt_at,created_at,sent_at)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
+    `);
+    let created = 0;
+    db.transaction(() => {
+      for (const rule of rules) {
+        for (const r of recipientsFor(rule, shop_id)) {
+          const inbox = rule.channel === 'inbox';
+          const t = now();
+          created += insert.run(event, dedupe_key, shop_id, rule.channel, r.recipient, r.user_id,
+            subject || EVENTS[event] || event, body, data ? JSON.stringify(data) : null,
+            inbox ? 'sent' : 'pending', inbox ? null : t, t, inbox ? t : null).changes;
+        }
+      }
+    })();
+    if (created) setImmediate(() => processQueue().catch(e => log.error('[notify]', e)));
+    return created;
+  }
+
+  let running = false, rerun = false;
+  async function processQueue() {
+    if (running) { rerun = true; return 0; }
+    running = true;
+    let sent = 0;
+    try {
+      const due = db.prepare(`
+        SELECT * FROM notifications
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY id ASC LIMIT 50
+      `).all(now());
+      for (const n of due) {
+        const ch = channels[n.channel];
+        try {
+          if (!ch) throw new Error(`Unbekannter Kanal: ${n.channel}`);
+          await ch.send(n);
+          db.prepare(`UPDATE notifications SET status = 'sent', attempts = attempts + 1, sent_at = ?, last_error = NULL WHERE id = ?`)
+            .run(now(), n.id);
+          sent++;
+        } catch (e) {
+          const attempts = n.attempts + 1;
+          const give_up = !ch || ch.permanent || attempts >= MAX_ATTEMPTS;
+          const wait = BACKOFF_MIN[Math.min(attempts - 1, BACKOFF_MIN.length - 1)];
+          db.prepare(`UPDATE notifications SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`)
+            .run(give_up ? 'failed' : 'pending', attempts, String(e.message || e).slice(0, 500),
+              give_up ? null : new Date(Date.now() + wait * 60000).toISOString(), n.id);
+          log.warn(`[notify] #${n.id} ${n.channel} → ${n.recipient}: ${e.message || e}${give_up ? ' (aufgegeben)' : ''}`);
+        }
+      }
+    } finally {
+      running = false;
+      // Während des Laufs neu eingereihte Zustellungen nicht bis zum nächsten Intervall liegen lassen
+      if (rerun) { rerun = false; setImmediate(() => processQueue().catch(e => log.error('[notify]', e))); }
+    }
+    return sent;
+  }
+
+  // Fehlgeschlagene Zustellung erneut einreihen (Admin).
+  function retry(id) {
+    return db.prepare(`
+      UPDATE notifications SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL
+      WHERE id = ? AND status = 'failed'
+    `).run(now(), id).changes;
+  }
+
+  // Direkte E-Mail ohne Regeln und Ausgang, z.B. Links zum Zurücksetzen des Passworts
+  async function sendEmail(to, subject, body) {
+    await channels.email.send({ recipient: to, subject, body });
+  }
+
+  return { emit, processQueue, retry, usersFor, sendEmail, emailConfigured: !!smtp.host };
+}
+
+module.exports = { createNotifier, EVENTS, CHANNELS };
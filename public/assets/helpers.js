@@ -2,10 +2,17 @@
 (function(){
   // ---------- CSRF / Auth ----------
   function csrf(){ return sessionStorage.getItem('csrf') || ''; }
-  async function requireSession(role){
+  // Rollen-Hierarchie wie im Backend: auditor < staff < manager < admin
+  const ROLE_RANK = { auditor:1, staff:2, manager:3, admin:4 };
+  function hasRole(session, role){
+    return !!session && (ROLE_RANK[session.role] || 0) >= (ROLE_RANK[role] || 0);
+  }
+  // passwordChange: Seite ist auch mit ausstehendem Pflicht-Passwortwechsel erreichbar (Konto-Seite)
+  async function requireSession(role, { passwordChange = false } = {}){
     const r = await fetch('/api/auth/session'); const d = await r.json();
     if(!d.session){ location.href='/login'; return null; }
-    if(role && d.session.role !== role){ location.href='/login'; return null; }
+    if(d.session.must_change_password && !passwordChange){ location.href='/account?change=1'; return null; }
+    if(role && !hasRole(d.session, role)){ location.href='/login'; return null; }
     if(!sessionStorage.getItem('csrf')) sessionStorage.setItem('csrf', d.session.csrf);
     return d.session;
   }
@@ -22,6 +29,24 @@
     return res.json();
   }
 
+  // ---------- Upload (Foto) ----------
+  // Holt eine Upload-URL und lädt die Datei hoch; liefert den Schlüssel für *_url-Felder.
+  // Die PUT-URL enthält ein Einmal-Token; der Server prüft Größe/Format und kodiert das Bild neu.
+  async function uploadFile(file){
+    const sign = await api('/api/uploads/sign','POST',{ type:file.type, size:file.size });
+    if(!sign.ok){
+      const err = new Error(sign.error || 'Upload nicht möglich');
+      err.retry = sign.code === 'pin_required'; // Tablet gesperrt: nach dem PIN-Wechsel erneut
+      throw err;
+    }
+    const res = await fetch(sign.url, { method:'PUT', headers:{'Content-Type':file.type}, body:file });
+    if(!res.ok){
+      const out = await res.json().catch(()=> ({}));
+      throw new Error(out.error || 'HTTP '+res.status);
+    }
+    return sign.key;
+  }
+
   // ---------- Toasts ----------
   function toast(msg, type){
     let root = document.getElementById('toast-root');
@@ -34,40 +59,313 @@
     setTimeout(()=> root.removeChild(el), 3000);
   }
 
-  // ---------- Minimal Offline-Warteschlange ----------
-  const QKEY = 'bunca.queue.v1';
-  function loadQueue(){ try{ return JSON.parse(localStorage.getItem(QKEY)||'[]'); }catch{ return []; } }
-  function saveQueue(arr){ localStorage.setItem(QKEY, JSON.stringify(arr)); }
+  // ---------- Offline-Dateien (IndexedDB) ----------
+  // Offline aufgenommene Fotos/Unterschriften liegen als Blob in IndexedDB; im Auftrag steht
+  // stattdessen "idb:<id>". Beim Synchronisieren wird hochgeladen und der Platzhalter ersetzt.
+  const IDB_PREFIX = 'idb:';
+  function idb(){
+    return new Promise((resolve, reject)=>{
+      const req = indexedDB.open('bunca-offline', 1);
+      req.onupgradeneeded = ()=> req.result.createObjectStore('files');
+      req.onsuccess = ()=> resolve(req.result);
+      req.onerror = ()=> reject(req.error);
+    });
+  }
+  async function idbDo(mode, fn){
+    const db = await idb();
+    return new Promise((resolve, reject)=>{
+      const tx = db.transaction('files', mode);
+      const req = fn(tx.objectStore('files'));
+      tx.oncomplete = ()=> resolve(req?.result);
+      tx.onerror = ()=> reject(tx.error);
+    });
+  }
+  async function storeOfflineFile(file){
+    const id = crypto.randomUUID();
+    await idbDo('readwrite', st=> st.put({ blob:file, type:file.type, name:file.name }, id));
+    return IDB_PREFIX + id;
+  }
+  // Datei sofort hochladen, offline (oder bei Netzfehler) für später ablegen
+  async function uploadOrStore(file){
+    if(navigator.onLine){
+      try{ return await uploadFile(file); }
+      catch(e){ if(!(e instanceof TypeError)) throw e; }
+    }
+    return storeOfflineFile(file);
+  }
+  function idbRefs(value, out=[]){
+    if(typeof value === 'string' && value.startsWith(IDB_PREFIX)) out.push(value);
+    else if(value && typeof value === 'object') Object.values(value).forEach(v=> idbRefs(v, out));
+    return out;
+  }
+  function replaceRefs(value, map){
+    if(typeof value === 'string') return map[value] ?? value;
+    if(Array.isArray(value)) return value.map(v=> replaceRefs(v, map));
+    if(value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k,v])=> [k, replaceRefs(v, map)]));
+    return value;
+  }
+
+  // ---------- Offline-Warteschlange ----------
+  /* Aufträge: { id, url, method, body, label, enqueued_at, attempts, status, error }.
+   * status 'pending' wird bei jeder Gelegenheit erneut gesendet (Netzfehler, 5xx);
+   * 'failed' hat der Server abgelehnt (4xx) und bleibt mit Fehlermeldung im Sync-Status,
+   * bis er erneut versucht oder verworfen wird. Das CSRF-Token kommt immer aus der aktuellen Sitzung.
+   */
+  const QKEY = 'bunca.queue.v2';
+  function loadQueue(){
+    try{
+      const q = JSON.parse(localStorage.getItem(QKEY)||'[]');
+      // Alte Warteschlange (v1, ohne IDs) übernehmen
+      const old = JSON.parse(localStorage.getItem('bunca.queue.v1')||'[]');
+      if(old.length){
+        old.forEach(j=> q.push({ id:crypto.randomUUID(), url:j.url, method:j.method||'POST', body:j.body, label:'Tagescheck',
+          enqueued_at:j.enqueued_at||Date.now(), attempts:0, status:'pending', error:null }));
+        localStorage.removeItem('bunca.queue.v1');
+        localStorage.setItem(QKEY, JSON.stringify(q));
+      }
+      return q;
+    }catch{ return []; }
+  }
+  function saveQueue(arr){ localStorage.setItem(QKEY, JSON.stringify(arr)); renderSyncStatus(); }
+  function updateJob(id, patch){ saveQueue(loadQueue().map(j=> j.id===id ? { ...j, ...patch } : j)); }
   function addToQueue(entry){
-    const q = loadQueue(); q.push({ ...entry, enqueued_at: Date.now() }); saveQueue(q);
+    const q = loadQueue();
+    q.push({ id:crypto.randomUUID(), method:'POST', label:'Eintrag', ...entry, enqueued_at:Date.now(), attempts:0, status:'pending', error:null });
+    saveQueue(q);
     toast('Offline gespeichert. Synchronisiert automatisch, sobald online.');
   }
+
+  let flushing = false;
   async function flushQueue(){
-    if(!navigator.onLine) return;
-    const q = loadQueue(); if(!q.length) return;
-    const keep = [];
-    for(const job of q){
-      try{
-        const res = await fetch(job.url, {
-          method: job.method || 'POST',
-          headers: job.headers || { 'Content-Type':'application/json', 'x-csrf-token': csrf() },
-          body: job.body ? JSON.stringify(job.body) : undefined
-        });
-        if(!res.ok) throw new Error('HTTP '+res.status);
-      }catch(e){
-        keep.push(job);
+    if(!navigator.onLine || flushing) return;
+    flushing = true;
+    let done = 0;
+    try{
+      for(const job of loadQueue().filter(j=> j.status==='pending')){
+        try{
+          // Offline-Dateien zuerst hochladen; hochgeladene Schlüssel bleiben im Auftrag,
+          // damit ein späterer Fehlschlag sie nicht erneut hochlädt
+          const refs = idbRefs(job.body);
+          if(refs.length){
+            const map = {};
+            for(const ref of refs){
+              const rec = await idbDo('readonly', st=> st.get(ref.slice(IDB_PREFIX.length)));
+              if(!rec) throw new Error('Offline-Foto nicht mehr vorhanden');
+              map[ref] = await uploadFile(new File([rec.blob], rec.name || 'foto', { type:rec.type }));
+            }
+            job.body = replaceRefs(job.body, map);
+            updateJob(job.id, { body:job.body });
+            for(const ref of refs) await idbDo('readwrite', st=> st.delete(ref.slice(IDB_PREFIX.length)));
+          }
+          const res = await fetch(job.url, {
+            method: job.method || 'POST',
+            headers: { 'Content-Type':'application/json', 'x-csrf-token': csrf() },
+            body: job.body ? JSON.stringify(job.body) : undefined
+          });
+          const out = await res.json().catch(()=> ({}));
+          if(res.ok && out.ok !== false){
+            saveQueue(loadQueue().filter(j=> j.id!==job.id));
+            done++;
+          }else if(res.status === 401 || res.status === 403 || res.status === 423 || res.status >= 500){
+            // Anmeldung abgelaufen, Tablet gesperrt bzw. Serverfehler: später erneut
+            updateJob(job.id, { attempts:job.attempts+1, error: res.status >= 500 ? `Serverfehler (HTTP ${res.status})`
+              : res.status === 423 ? 'Gerät gesperrt – nach PIN-Eingabe' : 'Bitte erneut anmelden' });
+          }else{
+            updateJob(job.id, { attempts:job.attempts+1, status:'failed', error: out.error || `HTTP ${res.status}` });
+          }
+        }catch(e){
+          // Netzfehler (TypeError von fetch): später erneut; sonst z.B. Foto vom Server abgelehnt
+          updateJob(job.id, { attempts:job.attempts+1, error: e.message || 'Netzwerkfehler', ...(e instanceof TypeError || e.retry ? {} : { status:'failed' }) });
+        }
       }
+    }finally{
+      flushing = false;
     }
-    saveQueue(keep);
-    if(q.length !== keep.length){
-      toast(`${q.length - keep.length} Element(e) synchronisiert.`);
-    }
+    if(done) toast(`${done} Element(e) synchronisiert.`);
+    const failed = loadQueue().filter(j=> j.status==='failed').length;
+    if(failed) toast(`${failed} Element(e) vom Server abgelehnt – siehe Sync-Status`, 'err');
   }
-  function enqueueIfOffline(url, method, body){
+  function retryJob(id){ updateJob(id, { status:'pending', error:null }); flushQueue(); }
+  function discardJob(id){
+    const job = loadQueue().find(j=> j.id===id);
+    if(!job || !confirm(`„${job.label}“ verwerfen? Die Daten gehen verloren.`)) return;
+    idbRefs(job.body).forEach(ref=> idbDo('readwrite', st=> st.delete(ref.slice(IDB_PREFIX.length))).catch(()=>{}));
+    saveQueue(loadQueue().filter(j=> j.id!==id));
+  }
+  function enqueueIfOffline(url, method, body, label){
     if(navigator.onLine) return false;
-    addToQueue({ url, method, body });
+    addToQueue({ url, method, body, label });
     return true;
+  }
+
+  // ---------- Sync-Status ----------
+  // Badge in der Kopfzeile (nur bei ausstehenden Aufträgen) mit aufklappbarer Liste
+  function renderSyncStatus(){
+    const wrap = document.querySelector('.header .wrap'); if(!wrap) return;
+    let badge = document.getElementById('syncBadge');
+    let panel = document.getElementById('syncPanel');
+    const q = loadQueue();
+    if(!q.length){ badge?.remove(); panel?.remove(); return; }
+    if(!badge){
+      badge = document.createElement('button');
+      badge.id = 'syncBadge'; badge.className = 'btn small';
+      badge.addEventListener('click', ()=> document.getElementById('syncPanel')?.classList.toggle('open'));
+      wrap.insertBefore(badge, document.getElementById('menuToggle'));
+    }
+    const failed = q.filter(j=> j.status==='failed').length;
+    badge.classList.toggle('bad', !!failed);
+    badge.textContent = failed ? `⚠ ${failed} Sync-Fehler` : `⟳ ${q.length} ausstehend`;
+    if(!panel){
+      panel = document.createElement('div');
+      panel.id = 'syncPanel'; panel.className = 'card sync-panel';
+      panel.addEventListener('click', (e)=>{
+        const r = e.target.closest('[data-sync-retry]'), d = e.target.closest('[data-sync-discard]');
+        if(r) retryJob(r.dataset.syncRetry);
+        if(d) discardJob(d.dataset.syncDiscard);
+        if(e.target.closest('[data-sync-all]')) flushQueue();
+      });
+      document.body.appendChild(panel);
     }
+    const esc = s=> String(s ?? '').replace(/[&<>"]/g, c=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
+    panel.innerHTML = `<h3 class="card-title">Synchronisierung</h3>` + q.map(j=>`
+      <div class="row">
+        <div><strong>${esc(j.label)}</strong> <span class="badge ${j.status==='failed'?'err':'warn'}">${j.status==='failed'?'abgelehnt':'ausstehend'}</span>
+          <span class="muted">erfasst ${new Date(j.enqueued_at).toLocaleString('de-DE')}${j.attempts?` · ${j.attempts} Versuch(e)`:''}</span></div>
+        ${j.error?`<div class="muted">${esc(j.error)}</div>`:''}
+        <div style="display:flex;gap:6px">
+          ${j.status==='failed'?`<button class="btn small" data-sync-retry="${j.id}">Erneut senden</button>`:''}
+          <button class="btn small bad" data-sync-discard="${j.id}">Verwerfen</button>
+        </div>
+      </div>`).join('') +
+      `<button class="btn small" data-sync-all ${navigator.onLine?'':'disabled'}>Jetzt synchronisieren</button>`;
+  }
+
+  // ---------- Tablet-Modus (PIN-Wechsel) ----------
+  /* Geteiltes Filial-Tablet: Leiste "Gemessen von …" mit Wechseln/Sperren und ein Sperrbildschirm
+   * mit Personenwahl und PIN. Nach pin_idle_min Minuten ohne Bedienung sperrt das Gerät selbst
+   * (der Server ebenso). onChange(session) erhält nach jedem Wechsel die neue Sitzung.
+   */
+  function initTablet(session, { mount, onChange } = {}){
+    if(!session || !session.shared) return;
+    const esc = s=> String(s ?? '').replace(/[&<>"]/g, c=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c]));
+    let current = session, timer = null, pinged = Date.now();
+
+    const bar = document.createElement('div');
+    bar.className = 'tablet-bar';
+    (mount || document.querySelector('main') || document.body).prepend(bar);
+    function renderBar(){
+      bar.innerHTML = current.locked
+        ? `<span class="who muted">Gerät gesperrt</span><button class="btn small primary" data-tablet="unlock">Anmelden</button>`
+        : `<span class="who">Gemessen von: <strong>${esc(current.name || current.email)}</strong></span>
+           <button class="btn small" data-tablet="switch">Wechseln</button>
+           <button class="btn small" data-tablet="lock">Sperren</button>`;
+    }
+    bar.addEventListener('click', async (e)=>{
+      const act = e.target.closest('[data-tablet]')?.dataset.tablet;
+      if(act === 'lock') await lock();
+      if(act === 'switch' || act === 'unlock') showLockScreen();
+    });
+
+    const screen = document.createElement('div');
+    screen.className = 'lock-screen hidden';
+    document.body.appendChild(screen);
+    async function showLockScreen(){
+      const { people = [] } = await fetch('/api/auth/people').then(r=> r.json()).catch(()=> ({}));
+      screen.innerHTML = `
+        <div class="card">
+          <h3 class="card-title">Wer misst?</h3>
+          <div class="pin-people">${people.map(p=>`
+            <button class="btn" data-person="${p.id}" ${p.pin_locked_until?'disabled':''}>${esc(p.name)}${p.pin_locked_until?'<br><small>gesperrt</small>':''}</button>`).join('')
+            || '<p class="muted">Niemand mit PIN für diese Filiale. Die PIN legt jede Person unter „Konto“ fest.</p>'}
+          </div>
+          <form class="hidden" data-pin-form>
+            <div class="row"><label data-pin-label></label>
+              <input class="input pin-input" type="password" inputmode="numeric" autocomplete="off" maxlength="8" name="pin"></div>
+            <div class="row cols-2"><button class="btn primary" type="submit">Anmelden</button><button class="btn" type="button" data-pin-back>Zurück</button></div>
+            <p class="muted" data-pin-msg></p>
+          </form>
+          <div class="row" style="margin-top:12px">
+            ${current.locked ? '' : '<button class="btn small" data-pin-close>Abbrechen</button>'}
+            <button class="btn small" data-pin-off>Tablet-Modus beenden</button>
+          </div>
+        </div>`;
+      screen.classList.remove('hidden');
+      const form = screen.querySelector('[data-pin-form]');
+      let chosen = null;
+      screen.onclick = async (e)=>{
+        const p = e.target.closest('[data-person]');
+        if(p){
+          chosen = people.find(x=> String(x.id) === p.dataset.person);
+          screen.querySelector('.pin-people').classList.add('hidden');
+          form.classList.remove('hidden');
+          screen.querySelector('[data-pin-label]').textContent = `PIN für ${chosen.name}`;
+          form.pin.value = ''; form.pin.focus();
+        }
+        if(e.target.closest('[data-pin-back]')){
+          form.classList.add('hidden'); screen.querySelector('.pin-people').classList.remove('hidden');
+        }
+        if(e.target.closest('[data-pin-close]')) screen.classList.add('hidden');
+        if(e.target.closest('[data-pin-off]')){
+          const password = prompt('Passwort des Filialkontos, um den Tablet-Modus zu beenden:');
+          if(password === null) return;
+          const out = await api('/api/auth/shared','POST',{ enabled:false, password });
+          if(!out.ok){ toast(out.error || 'Fehlgeschlagen','err'); return; }
+          location.reload();
+        }
+      };
+      form.onsubmit = async (e)=>{
+        e.preventDefault();
+        const out = await api('/api/auth/switch','POST',{ user_id: chosen.id, pin: form.pin.value });
+        if(!out.ok){
+          screen.querySelector('[data-pin-msg]').textContent = out.error + (out.remaining ? ` – noch ${out.remaining} Versuch(e)` : '');
+          form.pin.value = '';
+          if(out.pin_locked_until) setTimeout(showLockScreen, 1500);
+          return;
+        }
+        screen.classList.add('hidden');
+        await refresh();
+        toast(`Angemeldet: ${out.user.name}`);
+        flushQueue();
+      };
+    }
+    async function refresh(){
+      const d = await fetch('/api/auth/session').then(r=> r.json());
+      if(!d.session){ location.href = '/login'; return; }
+      current = d.session;
+      renderBar();
+      armTimer();
+      if(onChange) onChange(current);
+    }
+    async function lock(){
+      await api('/api/auth/lock','POST',{}).catch(()=>{});
+      await refresh();
+      showLockScreen();
+    }
+    function armTimer(){
+      clearTimeout(timer);
+      if(!current.locked) timer = setTimeout(lock, (current.pin_idle_min || 5) * 60000);
+    }
+    // Bedienung ohne Serveranfrage (Tippen im Formular) hält die Person auch serverseitig aktiv
+    function touch(){
+      if(current.locked) return;
+      armTimer();
+      if(Date.now() - pinged > 60000){ pinged = Date.now(); fetch('/api/auth/session').catch(()=>{}); }
+    }
+    ['pointerdown','keydown','input'].forEach(ev=> document.addEventListener(ev, touch, { passive:true }));
+
+    renderBar();
+    armTimer();
+    if(current.locked) showLockScreen();
+    return { showLockScreen, session: ()=> current };
+  }
+
+  // ---------- Datum ----------
+  // Geschäftstage kommen vom Server (Zeitzone/Tageswechsel der Filiale); hier nur JJJJ-MM-TT ± Tage
+  function addDays(date, days){
+    const d = new Date(date+'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0,10);
+  }
 
   // ---------- PWA ----------
   async function registerSW(){
@@ -116,9 +414,9 @@
 
   // ---------- Expose ----------
   window.Bunca = {
-    csrf, requireSession, api, toast,
+    csrf, requireSession, hasRole, api, uploadFile, uploadOrStore, toast, initTablet, addDays,
     registerSW, ensureManifest, flushQueue,
-    queue: { add: addToQueue, list: loadQueue, flush: flushQueue },
+    queue: { add: addToQueue, list: loadQueue, flush: flushQueue, retry: retryJob, discard: discardJob },
     enqueueIfOffline
   };
 
@@ -126,6 +424,9 @@
     initNav();
     ensureManifest();
     handleOnlineStatus();
+    renderSyncStatus();
     registerSW();
   });
+  // Änderungen aus anderen Tabs
+  window.addEventListener('storage', (e)=>{ if(e.key===QKEY) renderSyncStatus(); });
 })();
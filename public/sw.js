@@ -1,7 +1,7 @@
 // BUNCA HACCP — Service Worker (DE)
-const CACHE = 'bunca-v1';
+const CACHE = 'bunca-v7';
 const CORE = [
-  '/', '/index.html', '/admin.html', '/check.html', '/history.html', '/dashboard.html', '/shop.html', '/login.html',
+  '/', '/index.html', '/admin.html', '/check.html', '/history.html', '/dashboard.html', '/overview.html', '/shop.html', '/login.html', '/account.html',
   '/assets/styles.css', '/assets/helpers.js', '/manifest.webmanifest'
 ];
 
@@ -0,0 +1,92 @@
+/* BUNCA HACCP – Datensicherung auf der Kommandozeile
+ *
+ *   node scripts/backup.js create                 Sicherung von Datenbank und Uploads (läuft auch bei laufendem Server)
+ *   node scripts/backup.js list                   vorhandene Sicherungen
+ *   node scripts/backup.js verify <Name|Pfad>     Prüfsumme, integrity_check, Fremdschlüssel, Upload-Dateien
+ *   node scripts/backup.js restore <Name|Pfad> --yes
+ *
+ * Wiederherstellen nur bei gestopptem Server. Die bisherige Datenbank und das Upload-Verzeichnis
+ * werden nach *.before-restore-<Zeit> verschoben, nicht gelöscht. Ausstehende Migrationen laufen
+ * beim nächsten Start.
+ * Pfade wie der Server: DB_PATH, BACKUP_DIR, UPLOAD_DRIVER (Uploads nur bei "local").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createBackup, listBackups, verifyBackup, restoreBackup } = require('../backup');
+const { MIGRATIONS } = require('../migrations');
+
+const ROOT = path.join(__dirname, '..');
+const DB_PATH = process.env.DB_PATH || path.join(ROOT, 'bunca.db');
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(ROOT, 'backups');
+const UPLOAD_DIR = (process.env.UPLOAD_DRIVER || 'local') === 'local' ? path.join(ROOT, 'uploads') : null;
+
+const [cmd, target, ...flags] = process.argv.slice(2);
+
+function backupPath(nameOrPath) {
+  if (!nameOrPath) throw new Error('Name oder Pfad der Sicherung fehlt');
+  const dir = fs.existsSync(nameOrPath) ? nameOrPath : path.join(BACKUP_DIR, nameOrPath);
+  if (!fs.existsSync(dir)) throw new Error(`Sicherung nicht gefunden: ${nameOrPath}`);
+  return dir;
+}
+function printVerification(v) {
+  for (const c of v.checks) console.log(`  ${c.ok ? 'OK    ' : 'FEHLER'} ${c.check}${c.detail ? ` – ${c.detail}` : ''}`);
+  if (v.counts) console.log('  Datensätze:', Object.entries(v.counts).map(([t, n]) => `${t} ${n ?? '—'}`).join(', '));
+  console.log(v.ok ? `${v.name}: in Ordnung` : `${v.name}: FEHLERHAFT`);
+}
+
+const commands = {
+  async create() {
+    const db = new Database(DB_PATH, { fileMustExist: true });
+    try {
+      const b = await createBackup({ db, backupDir: BACKUP_DIR, uploadDir: UPLOAD_DIR, reason: 'cli' });
+      console.log(`Sicherung angelegt: ${b.dir}`);
+      const v = verifyBackup(b.dir);
+      printVerification(v);
+      return v.ok;
+    } finally {
+      db.close();
+    }
+  },
+  async list() {
+    const list = listBackups(BACKUP_DIR);
+    if (!list.length) console.log(`Keine Sicherungen in ${BACKUP_DIR}`);
+    for (const b of list) {
+      const mb = b.db_bytes != null ? (b.db_bytes / 1048576).toFixed(1) : '?';
+      console.log(`${b.name}  Schema ${b.schema_version ?? '?'}  DB ${mb} MB  Uploads ${b.uploads ? b.uploads.files : '—'}`);
+    }
+    return true;
+  },
+  async verify() {
+    const v = verifyBackup(backupPath(target));
+    printVerification(v);
+    return v.ok;
+  },
+  async restore() {
+    const dir = backupPath(target);
+    if (!flags.includes('--yes')) {
+      console.error(`Ersetzt ${DB_PATH}${UPLOAD_DIR ? ` und ${UPLOAD_DIR}` : ''} durch ${path.basename(dir)}.`);
+      console.error('Server vorher stoppen und mit --yes bestätigen.');
+      return false;
+    }
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    const out = restoreBackup({ dir, dbPath: DB_PATH, uploadDir: UPLOAD_DIR });
+    console.log(`Wiederhergestellt: ${out.restored} (Schema-Version ${out.schema_version})`);
+    for (const m of out.moved) console.log(`  bisherige Daten: ${m}`);
+    if (out.schema_version > latest) console.warn(`Achtung: Sicherung ist neuer als diese App-Version (Schema ${latest}) – der Server startet damit nicht.`);
+    return true;
+  },
+};
+
+(async () => {
+  if (!commands[cmd]) {
+    console.error('Aufruf: node scripts/backup.js create | list | verify <Name> | restore <Name> --yes');
+    process.exit(1);
+  }
+  const ok = await commands[cmd]();
+  process.exit(ok ? 0 : 1);
+})().catch(e => {
+  console.error('Fehler:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+/* BUNCA HACCP – Datenlogger-Simulator
+ * Erzeugt Messwerte eines Kühlschrank-Sensors und sendet sie stapelweise an /api/ingest/readings.
+ *
+ *   node scripts/sensor-sim.js --key bsk_… [--url http://localhost:3000] [--hours 24] [--interval 5]
+ *                              [--base 4] [--noise 0.4] [--excursion 3,40,9.5] [--batch 500]
+ *
+ * --excursion <vor Stunden>,<Dauer Min.>,<Wert>: simuliert z.B. eine offen stehende Tür.
+ * Ein zweiter Lauf mit denselben Parametern sendet dieselben Zeitpunkte – der Server meldet sie als Duplikate.
+ */
+
+function args(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : '1';
+  }
+  return out;
+}
+
+const opt = args(process.argv.slice(2));
+const URL_BASE = (opt.url || process.env.BUNCA_URL || 'http://localhost:3000').replace(/\/$/, '');
+const KEY = opt.key || process.env.SENSOR_KEY;
+const HOURS = Number(opt.hours || 24);
+const INTERVAL_MIN = Number(opt.interval || 5);
+const BASE = Number(opt.base || 4);
+const NOISE = Number(opt.noise || 0.4);
+const BATCH = Math.min(Number(opt.batch || 500), 1000);
+const [excAgo, excMin, excValue] = (opt.excursion || '').split(',').map(Number);
+
+if (!KEY) {
+  console.error('API-Schlüssel fehlt: --key bsk_… oder SENSOR_KEY setzen');
+  process.exit(1);
+}
+
+// Zeitpunkte auf volle Intervalle gerundet, damit Wiederholungen dieselben Messungen senden
+function readings() {
+  const step = INTERVAL_MIN * 60000;
+  const end = Math.floor(Date.now() / step) * step;
+  const excStart = Number.isFinite(excAgo) ? end - excAgo * 3600000 : null;
+  const list = [];
+  for (let t = end - HOURS * 3600000; t <= end; t += step) {
+    // Kompressor-Zyklus (~40 Min.) plus Rauschen
+    let value = BASE + Math.sin(t / 382000) * 0.6 + (Math.random() - 0.5) * 2 * NOISE;
+    if (excStart != null && t >= excStart && t < excStart + excMin * 60000) value = excValue + (Math.random() - 0.5) * 0.4;
+    list.push({ t: new Date(t).toISOString(), value: Math.round(value * 10) / 10 });
+  }
+  return list;
+}
+
+async function send(batch) {
+  const res = await fetch(`${URL_BASE}/api/ingest/readings`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${KEY}` },
+    body: JSON.stringify({ readings: batch }),
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`${res.status} ${body.error || res.statusText}`);
+  return body;
+}
+
+(async () => {
+  const list = readings();
+  const total = { accepted: 0, duplicates: 0, rejected: 0 };
+  for (let i = 0; i < list.length; i += BATCH) {
+    const out = await send(list.slice(i, i + BATCH));
+    total.accepted += out.accepted;
+    total.duplicates += out.duplicates;
+    total.rejected += out.rejected.length;
+    if (i === 0) console.log('Grenzwerte:', out.limits ? `${out.limits.min ?? '—'} bis ${out.limits.max ?? '—'} °C` : 'keine hinterlegt');
+  }
+  console.log(`${list.length} Messwerte gesendet: ${total.accepted} gespeichert, ${total.duplicates} Duplikate, ${total.rejected} abgelehnt`);
+})().catch(e => {
+  console.error('Fehler:', e.message);
+  process.exit(1);
+});
@@ -7,180 +7,532 @@ const path = require('path');
 const fs = require('fs');
 const express = require('express');
 const cookieParser = require('cookie-parser');
+const { rateLimit } = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const dayjs = require('dayjs');
+dayjs.extend(require('dayjs/plugin/utc'));
+dayjs.extend(require('dayjs/plugin/timezone'));
+dayjs.extend(require('dayjs/plugin/customParseFormat'));
 const PDFDocument = require('pdfkit');
-const multer = require('multer');
+const ExcelJS = require('exceljs');
 const Database = require('better-sqlite3');
+const { createNotifier, EVENTS: NOTIFY_EVENTS, CHANNELS: NOTIFY_CHANNELS } = require('./notifications');
+const { createStorage, processImage, IMAGE_TYPES, KEY_RE } = require('./storage');
+const { migrate, schemaVersion } = require('./migrations');
+const { createBackup, snapshotDatabase, listBackups, pruneBackups, verifyBackup, NAME_RE: BACKUP_NAME_RE } = require('./backup');
 
 const PORT = process.env.PORT || 3000;
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@bunca.de';
-const ADMIN_PASS = process.env.ADMIN_PASS || 'admin123'; // bitte in PROD setzen!
+const ADMIN_PASS = process.env.ADMIN_PASS || null;       // ohne: zufälliges Initialpasswort im Log
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'bunca.db');
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const IS_PROD = process.env.NODE_ENV === 'production';
+// Signiert das Session-Cookie; ohne Secret werden Sessions bei jedem Neustart ungültig.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_IDLE_MIN = toInt(process.env.SESSION_IDLE_MIN, 12 * 60);       // Inaktivität
+const SESSION_MAX_HOURS = toInt(process.env.SESSION_MAX_HOURS, 7 * 24);      // absolute Laufzeit
+const NOTIFY_INTERVAL_MIN = toInt(process.env.NOTIFY_INTERVAL_MIN, 5);
+const SIGN_REMINDER_HOURS = toInt(process.env.SIGN_REMINDER_HOURS, 4);
+const UPLOAD_DRIVER = process.env.UPLOAD_DRIVER || 'local';                   // local | s3
+const UPLOAD_MAX_MB = toInt(process.env.UPLOAD_MAX_MB, 10);
+const UPLOAD_TOKEN_MIN = toInt(process.env.UPLOAD_TOKEN_MIN, 15);             // Gültigkeit der PUT-URL
+const APP_URL = (process.env.APP_URL || '').replace(/\/$/, '');                // für Links in PDFs; sonst Host der Anfrage
+const PROBE_CALIBRATION_DAYS = toInt(process.env.PROBE_CALIBRATION_DAYS, 30); // Kalibrierintervall für Thermometer ohne eigenes
+const SENSOR_RAW_DAYS = toInt(process.env.SENSOR_RAW_DAYS, 30);              // Rohwerte der Datenlogger
+const SENSOR_HOURLY_DAYS = toInt(process.env.SENSOR_HOURLY_DAYS, 730);        // Stundenwerte (min/max/Mittel)
+const SENSOR_EXCURSION_MIN = toInt(process.env.SENSOR_EXCURSION_MIN, 15);     // Abweichung erst ab dieser Dauer melden (Türöffnungen)
+const SENSOR_OFFLINE_HOURS = toInt(process.env.SENSOR_OFFLINE_HOURS, 2);
+const LOGIN_IP_LIMIT = toInt(process.env.LOGIN_IP_LIMIT, 20);                // Fehlversuche je IP in 15 Min.
+const LOGIN_MAX_FAILURES = toInt(process.env.LOGIN_MAX_FAILURES, 5);        // je Konto bis zur Sperre
+const LOGIN_LOCK_MIN = toInt(process.env.LOGIN_LOCK_MIN, 15);
+const RESET_TOKEN_HOURS = toInt(process.env.RESET_TOKEN_HOURS, 24);
+const PIN_IDLE_MIN = toInt(process.env.PIN_IDLE_MIN, 5);                     // Tablet-Modus: zurück zum Sperrbildschirm
+const PIN_MAX_FAILURES = toInt(process.env.PIN_MAX_FAILURES, 5);            // je Person bis zur PIN-Sperre
+const PIN_LOCK_MIN = toInt(process.env.PIN_LOCK_MIN, 15);
+const DRAFT_STALE_MIN = toInt(process.env.DRAFT_STALE_MIN, 60);              // Entwurf ohne Änderung gilt als liegengeblieben
+const OFFLINE_MAX_HOURS = toInt(process.env.OFFLINE_MAX_HOURS, 48);          // so alt darf ein offline erfasster Lauf beim Eingang sein
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Berlin';    // Datum außerhalb eines Filialbezugs (Fälligkeiten, Sicherungen)
+const DEFAULT_DAY_CUTOFF = '04:00';                                          // Tageswechsel einer Filiale ohne eigene Angabe (wie Spalten-Standard)
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const BACKUP_INTERVAL_HOURS = toInt(process.env.BACKUP_INTERVAL_HOURS, 24);   // 0 = keine zeitgesteuerte Sicherung
+const BACKUP_KEEP = toInt(process.env.BACKUP_KEEP, 14);                       // zeitgesteuerte Sicherungen aufbewahren
+if (!process.env.SESSION_SECRET) console.warn('[session] SESSION_SECRET nicht gesetzt – zufälliges Secret für diesen Prozess.');
 
-fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+const storage = createStorage({
+  driver: UPLOAD_DRIVER,
+  dir: UPLOAD_DIR,
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    prefix: process.env.S3_PREFIX,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === '1' : undefined,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  },
+});
 
 /* -------------------- DB & Schema -------------------- */
 const db = new Database(DB_PATH);
+db.pragma('foreign_keys = ON');
+// Vor ausstehenden Migrationen einer bestehenden Datenbank eine Kopie ablegen
+migrate(db, {
+  beforeApply(pending, current) {
+    if (!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'users'").get()) return;
+    const snap = snapshotDatabase({ db, backupDir: BACKUP_DIR, reason: 'pre-migrate' });
+    console.log(`[migrate] Schema ${current} → ${pending[pending.length - 1].version}, Sicherung: ${snap.dir}`);
+  },
+});
 
-db.exec(`
-PRAGMA foreign_keys = ON;
-
-CREATE TABLE IF NOT EXISTS users (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  email TEXT UNIQUE NOT NULL,
-  password_hash TEXT NOT NULL,
-  role TEXT NOT NULL DEFAULT 'admin',
-  created_at TEXT NOT NULL
-);
-
-CREATE TABLE IF NOT EXISTS shops (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  name TEXT NOT NULL,
-  slug TEXT UNIQUE NOT NULL,
-  status TEXT NOT NULL DEFAULT 'open',
-  address TEXT, phone TEXT, image_url TEXT, description TEXT,
-  created_at TEXT NOT NULL
-);
-
-CREATE TABLE IF NOT EXISTS equipment (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
-  name TEXT NOT NULL,
-  type TEXT, serial TEXT
-);
-
-CREATE TABLE IF NOT EXISTS check_items (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
-  label TEXT NOT NULL,
-  kind TEXT NOT NULL,
-  position INTEGER NOT NULL DEFAULT 0,
-  min REAL, max REAL, unit TEXT,
-  equipment_id INTEGER REFERENCES equipment(id) ON DELETE SET NULL,
-  shift TEXT NOT NULL DEFAULT 'morning',
-  required INTEGER NOT NULL DEFAULT 0
-);
-
-CREATE TABLE IF NOT EXISTS check_runs (
-  id TEXT PRIMARY KEY,
-  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
-  run_date TEXT NOT NULL,
-  status TEXT NOT NULL DEFAULT 'submitted',
-  note TEXT,
-  ok_count INTEGER NOT NULL DEFAULT 0,
-  fail_count INTEGER NOT NULL DEFAULT 0,
-  created_at TEXT NOT NULL,
-  signed_at TEXT
-);
-
-CREATE TABLE IF NOT EXISTS check_run_answers (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  run_id TEXT NOT NULL REFERENCES check_runs(id) ON DELETE CASCADE,
-  item_id INTEGER NOT NULL REFERENCES check_items(id) ON DELETE SET NULL,
-  label TEXT NOT NULL,
-  kind TEXT NOT NULL,
-  equipment_id INTEGER,
-  unit TEXT,
-  min REAL, max REAL,
-  shift TEXT,
-  value TEXT,
-  ok INTEGER NOT NULL DEFAULT 1,
-  evidence_url TEXT
-);
-
-CREATE TABLE IF NOT EXISTS corrective_actions (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  run_id TEXT NOT NULL REFERENCES check_runs(id) ON DELETE CASCADE,
-  item_id INTEGER,
-  description TEXT NOT NULL,
-  assigned_to TEXT,
-  due_date TEXT,
-  photo_url TEXT,
-  status TEXT NOT NULL DEFAULT 'open'
-);
-
-CREATE TABLE IF NOT EXISTS user_shops (
-  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-  shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
-  PRIMARY KEY (user_id, shop_id)
-);
-
-CREATE TABLE IF NOT EXISTS audit (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  user_id INTEGER,
-  action TEXT NOT NULL,
-  meta_json TEXT,
-  created_at TEXT NOT NULL
-);
-`);
-
-// Seed admin if not exists
+// Seed admin if not exists – das Initialpasswort muss beim ersten Login geändert werden
 (function seedAdmin() {
   const row = db.prepare('SELECT * FROM users WHERE email = ?').get(ADMIN_EMAIL);
   if (!row) {
-    const hash = bcrypt.hashSync(ADMIN_PASS, 10);
-    db.prepare('INSERT INTO users (email,password_hash,role,created_at) VALUES (?,?,?,?)')
+    const pass = ADMIN_PASS || crypto.randomBytes(12).toString('base64url');
+    const hash = bcrypt.hashSync(pass, 10);
+    db.prepare('INSERT INTO users (email,password_hash,role,created_at,must_change_password) VALUES (?,?,?,?,1)')
       .run(ADMIN_EMAIL, hash, 'admin', new Date().toISOString());
-    console.log('[seed] Admin erstellt:', ADMIN_EMAIL);
+    console.log('[seed] Admin erstellt:', ADMIN_EMAIL, ADMIN_PASS ? '(Passwort aus ADMIN_PASS)' : `Initialpasswort: ${pass}`);
   }
 })();
 
 /* -------------------- App Setup -------------------- */
 const app = express();
-app.use(cookieParser());
+if (IS_PROD) app.set('trust proxy', 1);
+app.use(cookieParser(SESSION_SECRET));
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
-app.use('/uploads', express.static(UPLOAD_DIR));
 app.use(express.static(path.join(__dirname, 'public'), { extensions: ['html'] }));
 
-/* -------------------- Session / Auth (simpel) -------------------- */
+/* -------------------- Session / Auth -------------------- */
+/* Sessions liegen serverseitig in `sessions`. Das Cookie enthält nur eine zufällige,
+ * signierte ID; in der DB steht deren SHA-256, damit ein DB-Dump keine gültigen Cookies liefert.
+ */
 function createCsrf() { return crypto.randomBytes(16).toString('hex'); }
+function sessionKey(token) { return crypto.createHash('sha256').update(token).digest('hex'); }
+function cookieOptions() {
+  return { httpOnly: true, sameSite: 'lax', path: '/', secure: IS_PROD, signed: true };
+}
+/* Tablet-Modus (sessions.shared): ein Gerät bleibt mit dem Filialkonto angemeldet, die jeweils
+ * handelnde Person wechselt per PIN (actor_user_id). Solange sie aktiv ist, tritt die Sitzung als
+ * diese Person auf – Rolle, Filialen, Audit und alle *_by-Spalten. Nach PIN_IDLE_MIN Minuten ohne
+ * Anfrage fällt das Gerät auf den Sperrbildschirm zurück (locked: nur lesen, Personenwahl).
+ */
 function authFromCookie(req) {
-  const sid = req.cookies.sid;
-  if (!sid) return null;
-  try {
-    const json = Buffer.from(sid, 'base64url').toString('utf8');
-    const data = JSON.parse(json);
-    if (!data || !data.user_id) return null;
-    const u = db.prepare('SELECT id,email,role FROM users WHERE id = ?').get(data.user_id);
-    if (!u) return null;
-    return { ...u, csrf: data.csrf };
-  } catch { return null; }
+  const token = req.signedCookies.sid;
+  if (!token) return null;
+  const row = db.prepare(`
+    SELECT s.id AS sid, s.csrf, s.last_seen_at, s.expires_at, s.shared, s.actor_seen_at,
+           u.id, u.email, u.name, u.role, u.must_change_password, u.totp_secret IS NOT NULL AS totp_enabled,
+           a.id AS actor_id, a.email AS actor_email, a.name AS actor_name, a.role AS actor_role
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    LEFT JOIN users a ON a.id = s.actor_user_id
+    WHERE s.id = ?
+  `).get(sessionKey(token));
+  if (!row) return null;
+  const t = Date.now();
+  const idleUntil = Date.parse(row.last_seen_at) + SESSION_IDLE_MIN * 60000;
+  if (t > Date.parse(row.expires_at) || t > idleUntil) {
+    db.prepare('DELETE FROM sessions WHERE id = ?').run(row.sid);
+    return null;
+  }
+  // last_seen_at höchstens einmal pro Minute schreiben
+  if (t - Date.parse(row.last_seen_at) > 60000) {
+    db.prepare('UPDATE sessions SET last_seen_at = ? WHERE id = ?').run(now(), row.sid);
+  }
+  const device = { id: row.id, email: row.email, name: row.name, role: row.role };
+  const base = {
+    csrf: row.csrf, sid: row.sid, shared: !!row.shared, locked: false, device,
+    must_change_password: !!row.must_change_password, totp_enabled: !!row.totp_enabled,
+  };
+  if (!row.shared) return { ...device, ...base };
+  let actor = row.actor_id ? { id: row.actor_id, email: row.actor_email, name: row.actor_name, role: row.actor_role } : null;
+  if (actor && t > Date.parse(row.actor_seen_at) + PIN_IDLE_MIN * 60000) {
+    db.prepare('UPDATE sessions SET actor_user_id = NULL, actor_seen_at = NULL WHERE id = ?').run(row.sid);
+    audit(null, 'auth.pin_timeout', { entity: 'user', entity_id: actor.id, user_id: actor.id, meta: { device_user_id: row.id } });
+    actor = null;
+  } else if (actor && t - Date.parse(row.actor_seen_at) > 15000) {
+    db.prepare('UPDATE sessions SET actor_seen_at = ? WHERE id = ?').run(now(), row.sid);
+  }
+  if (!actor) return { ...device, ...base, locked: true };
+  // Die Person handelt über das Gerät: kein TOTP/Passwortwechsel-Zwang aus ihrem eigenen Konto
+  return { ...actor, ...base, actor_seen_at: row.actor_seen_at };
 }
-function setSession(res, user) {
+function setSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
   const csrf = createCsrf();
-  const token = Buffer.from(JSON.stringify({ user_id: user.id, csrf })).toString('base64url');
-  res.cookie('sid', token, { httpOnly: true, sameSite: 'lax', path: '/' });
+  const created = new Date();
+  const expires = new Date(created.getTime() + SESSION_MAX_HOURS * 3600000);
+  db.prepare(`
+    INSERT INTO sessions (id,user_id,csrf,created_at,last_seen_at,expires_at,ip,user_agent)
+    VALUES (?,?,?,?,?,?,?,?)
+  `).run(sessionKey(token), user.id, csrf, created.toISOString(), created.toISOString(), expires.toISOString(),
+    req.ip || null, String(req.headers['user-agent'] || '').slice(0, 200));
+  res.cookie('sid', token, { ...cookieOptions(), expires });
   return csrf;
 }
-function clearSession(res) { res.clearCookie('sid', { path: '/' }); }
+function clearSession(req, res) {
+  const token = req.signedCookies.sid;
+  if (token) db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionKey(token));
+  res.clearCookie('sid', cookieOptions());
+}
+function revokeUserSessions(user_id) {
+  return db.prepare('DELETE FROM sessions WHERE user_id = ?').run(user_id).changes;
+}
+function purgeExpiredSessions() {
+  const idleCutoff = new Date(Date.now() - SESSION_IDLE_MIN * 60000).toISOString();
+  db.prepare('DELETE FROM sessions WHERE expires_at < ? OR last_seen_at < ?').run(now(), idleCutoff);
+}
+setInterval(purgeExpiredSessions, 60 * 60000).unref();
 
 app.get('/api/auth/session', (req, res) => {
   const s = authFromCookie(req);
   if (!s) return res.json({ session: null });
-  res.json({ session: { user_id: s.id, email: s.email, role: s.role, csrf: s.csrf } });
+  res.json({ session: {
+    user_id: s.id, email: s.email, name: s.name, role: s.role, csrf: s.csrf, shop_ids: shopScope(s),
+    must_change_password: s.must_change_password, totp_enabled: s.totp_enabled,
+    shared: s.shared, locked: s.locked, device: s.shared ? s.device : null, pin_idle_min: PIN_IDLE_MIN,
+    pin_set: !!db.prepare('SELECT pin_hash FROM users WHERE id = ?').get(s.id).pin_hash,
+  } });
+});
+
+/* -------------------- Anmeldung absichern -------------------- */
+/* Drosselung doppelt: je IP über express-rate-limit (nur fehlgeschlagene Anfragen zählen),
+ * je Konto über failed_logins/locked_until – nach LOGIN_MAX_FAILURES Fehlversuchen ist das Konto
+ * LOGIN_LOCK_MIN Minuten gesperrt, auch für das richtige Passwort.
+ * Jedes Anmeldeereignis landet als auth.* im Audit-Log (ohne Passwörter, Codes oder Tokens).
+ */
+function authLimiter() {
+  return rateLimit({
+    windowMs: 15 * 60000,
+    limit: LOGIN_IP_LIMIT,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    handler(req, res) {
+      authEvent(req, 'auth.rate_limited', null, { path: req.path, email: req.body?.email || null });
+      res.status(429).json({ ok: false, error: 'Zu viele Versuche von dieser Adresse. Bitte in 15 Minuten erneut versuchen.' });
+    },
+  });
+}
+const loginLimiter = authLimiter();
+function authEvent(req, action, user, meta = {}) {
+  audit(req, action, { entity: 'user', entity_id: user?.id ?? null, user_id: user?.id ?? null, meta: { ip: req.ip || null, ...meta } });
+}
+
+// Passwort-Richtlinie; liefert die Beanstandung oder null
+const PASSWORD_MIN = 10;
+const WEAK_PASSWORDS = ['passwort', 'password', 'changeme', 'admin', 'bunca', 'haccp', 'qwertz', 'qwerty', '123456', 'willkommen', 'sommer', 'winter'];
+function passwordProblem(password, email = '') {
+  const pw = String(password || '');
+  if (pw.length < PASSWORD_MIN) return `Passwort muss mindestens ${PASSWORD_MIN} Zeichen lang sein`;
+  if (pw.length > 200) return 'Passwort ist zu lang (max. 200 Zeichen)';
+  const classes = [/[a-zäöüß]/, /[A-ZÄÖÜ]/, /\d/, /[^A-Za-z0-9äöüßÄÖÜ]/].filter(re => re.test(pw)).length;
+  if (classes < 3) return 'Passwort braucht drei von: Kleinbuchstaben, Großbuchstaben, Ziffern, Sonderzeichen';
+  const lower = pw.toLowerCase();
+  const local = String(email).split('@')[0].toLowerCase();
+  if ((local.length >= 3 && lower.includes(local)) || WEAK_PASSWORDS.some(w => lower.includes(w))) return 'Passwort ist zu leicht zu erraten';
+  if (/^(.)\1+$/.test(pw) || /(.)\1{3,}/.test(pw)) return 'Passwort enthält zu viele Wiederholungen';
+  return null;
+}
+
+function loginFailed(req, res, u, reason) {
+  const failures = u.failed_logins + 1;
+  if (failures >= LOGIN_MAX_FAILURES) {
+    const until = new Date(Date.now() + LOGIN_LOCK_MIN * 60000).toISOString();
+    db.prepare('UPDATE users SET failed_logins = 0, locked_until = ? WHERE id = ?').run(until, u.id);
+    authEvent(req, 'auth.locked', u, { reason, failures, locked_until: until });
+  } else {
+    db.prepare('UPDATE users SET failed_logins = ? WHERE id = ?').run(failures, u.id);
+    authEvent(req, 'auth.login_failed', u, { reason, failures });
+  }
+  res.status(401).json({ ok: false, error: reason === 'totp' ? 'Code ungültig' : 'Ungültige Zugangsdaten' });
+}
+
+// Ohne Konto trotzdem einen bcrypt-Vergleich rechnen, damit die Antwortzeit nichts verrät
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+app.post('/api/auth/login', loginLimiter, (req, res) => {
+  const { email, password, code } = req.body || {};
+  const u = db.prepare('SELECT * FROM users WHERE email = ?').get(String(email || '').trim());
+  if (!u) {
+    bcrypt.compareSync(String(password || ''), DUMMY_HASH);
+    authEvent(req, 'auth.login_failed', null, { reason: 'unknown', email: String(email || '').slice(0, 200) });
+    return res.status(401).json({ ok: false, error: 'Ungültige Zugangsdaten' });
+  }
+  if (u.locked_until && u.locked_until > now()) {
+    authEvent(req, 'auth.login_failed', u, { reason: 'locked' });
+    return res.status(423).json({
+      ok: false, locked_until: u.locked_until,
+      error: `Konto nach zu vielen Fehlversuchen bis ${localTime(null, u.locked_until, 'HH:mm')} Uhr gesperrt`,
+    });
+  }
+  if (!bcrypt.compareSync(String(password || ''), u.password_hash)) return loginFailed(req, res, u, 'password');
+  if (u.totp_secret) {
+    if (!code) return res.status(401).json({ ok: false, totp_required: true, error: 'Code aus der Authenticator-App eingeben' });
+    const step = verifyTotp(u.totp_secret, code, u.totp_last_step);
+    if (step == null) return loginFailed(req, res, u, 'totp');
+    db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ?').run(step, u.id);
+  }
+  // Schwache Altpasswörter (z.B. "changeme") wie ein Initialpasswort behandeln
+  const mustChange = u.must_change_password ? 1 : (passwordProblem(password, u.email) ? 1 : 0);
+  db.prepare('UPDATE users SET failed_logins = 0, locked_until = NULL, must_change_password = ? WHERE id = ?').run(mustChange, u.id);
+  const csrf = setSession(req, res, u);
+  authEvent(req, 'auth.login', u, { totp: !!u.totp_secret, must_change_password: !!mustChange });
+  res.json({ ok: true, csrf, role: u.role, must_change_password: !!mustChange });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const s = authFromCookie(req);
+  clearSession(req, res);
+  if (s) authEvent(req, 'auth.logout', s.device);
+  res.json({ ok: true });
+});
+
+// Eigenes Passwort ändern – auch (und gerade) mit erzwungenem Wechsel. Andere Sitzungen enden.
+app.post('/api/auth/password', requireRole(null, { passwordChange: true }), (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.id);
+  if (!bcrypt.compareSync(String(current_password || ''), u.password_hash)) {
+    authEvent(req, 'auth.password_change_failed', u, { reason: 'current_password' });
+    return res.status(400).json({ ok: false, error: 'Aktuelles Passwort ist falsch', field: 'current_password' });
+  }
+  const problem = passwordProblem(new_password, u.email);
+  if (problem) return badRequest(res, { error: problem, field: 'new_password' });
+  if (bcrypt.compareSync(new_password, u.password_hash)) return badRequest(res, { error: 'Neues Passwort muss sich vom bisherigen unterscheiden', field: 'new_password' });
+  db.transaction(() => {
+    db.prepare('UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = ? WHERE id = ?')
+      .run(bcrypt.hashSync(new_password, 10), now(), u.id);
+    db.prepare('DELETE FROM sessions WHERE user_id = ? AND id != ?').run(u.id, req.session.sid);
+  })();
+  authEvent(req, 'auth.password_change', u);
+  res.json({ ok: true });
+});
+
+/* Zurücksetzen per Link: Admins stellen den Link aus (POST /api/users/:id/password-reset),
+ * er gilt RESET_TOKEN_HOURS Stunden und genau einmal. Ohne Mailversand wird er angezeigt/ausgedruckt.
+ */
+function resetTokenRow(token) {
+  return db.prepare(`
+    SELECT r.*, u.email FROM password_resets r JOIN users u ON u.id = r.user_id
+    WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > ?
+  `).get(tokenHash(token), now());
+}
+app.get('/api/auth/reset', loginLimiter, (req, res) => {
+  const r = req.query.token && resetTokenRow(req.query.token);
+  if (!r) return res.status(404).json({ ok: false, error: 'Link ungültig oder abgelaufen' });
+  res.json({ ok: true, email: r.email, expires_at: r.expires_at });
+});
+app.post('/api/auth/reset', loginLimiter, (req, res) => {
+  const { token, password } = req.body || {};
+  const r = token && resetTokenRow(token);
+  if (!r) {
+    authEvent(req, 'auth.reset_failed', null, { reason: 'token' });
+    return res.status(404).json({ ok: false, error: 'Link ungültig oder abgelaufen' });
+  }
+  const problem = passwordProblem(password, r.email);
+  if (problem) return badRequest(res, { error: problem, field: 'password' });
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = ?, failed_logins = 0, locked_until = NULL
+      WHERE id = ?
+    `).run(bcrypt.hashSync(password, 10), now(), r.user_id);
+    db.prepare('UPDATE password_resets SET used_at = ? WHERE id = ?').run(now(), r.id);
+    revokeUserSessions(r.user_id);
+  })();
+  authEvent(req, 'auth.reset_used', { id: r.user_id }, { reset_id: r.id });
+  res.json({ ok: true });
 });
 
-app.post('/api/auth/login', (req, res) => {
-  const { email, password } = req.body || {};
-  const u = db.prepare('SELECT * FROM users WHERE email = ?').get(email || '');
-  if (!u || !bcrypt.compareSync(password || '', u.password_hash)) {
-    return res.json({ ok: false, error: 'Invalid credentials' });
+/* TOTP (RFC 6238, SHA-1, 6 Stellen, 30 s) als optionaler zweiter Faktor für Filialleitung und Admins.
+ * Einrichtung in zwei Schritten: setup liefert ein Geheimnis (pending), enable bestätigt es mit einem Code.
+ * Ein Code gilt nur einmal (totp_last_step); ±1 Zeitschritt Toleranz für Uhrabweichungen.
+ */
+const B32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+function base32Encode(buf) {
+  let bits = '', out = '';
+  for (const b of buf) bits += b.toString(2).padStart(8, '0');
+  for (let i = 0; i < bits.length; i += 5) out += B32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+function base32Decode(str) {
+  const bits = String(str).toUpperCase().replace(/[^A-Z2-7]/g, '').split('').map(c => B32.indexOf(c).toString(2).padStart(5, '0')).join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+function totpCode(secret, step) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(step));
+  const h = crypto.createHmac('sha1', base32Decode(secret)).update(msg).digest();
+  const o = h[h.length - 1] & 0xf;
+  return String((h.readUInt32BE(o) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+// Liefert den passenden Zeitschritt oder null
+function verifyTotp(secret, code, lastStep = null) {
+  const c = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(c)) return null;
+  const current = Math.floor(Date.now() / 30000);
+  for (const step of [current, current - 1, current + 1]) {
+    if (lastStep != null && step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(c))) return step;
+  }
+  return null;
+}
+app.post('/api/auth/totp/setup', requireRole('manager'), (req, res) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  db.prepare('UPDATE users SET totp_pending_secret = ? WHERE id = ?').run(secret, req.session.id);
+  const label = encodeURIComponent(`BUNCA HACCP:${req.session.email}`);
+  res.json({ ok: true, secret, uri: `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent('BUNCA HACCP')}&digits=6&period=30` });
+});
+app.post('/api/auth/totp/enable', requireRole('manager'), (req, res) => {
+  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.id);
+  if (!u.totp_pending_secret) return res.status(409).json({ ok: false, error: 'Erst die Einrichtung starten' });
+  const step = verifyTotp(u.totp_pending_secret, req.body?.code);
+  if (step == null) {
+    authEvent(req, 'auth.totp_enable_failed', u);
+    return badRequest(res, { error: 'Code ungültig – Uhrzeit des Telefons prüfen', field: 'code' });
+  }
+  db.prepare('UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_last_step = ? WHERE id = ?').run(step, u.id);
+  authEvent(req, 'auth.totp_enabled', u);
+  res.json({ ok: true });
+});
+app.post('/api/auth/totp/disable', requireRole('manager'), (req, res) => {
+  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.id);
+  if (!bcrypt.compareSync(String(req.body?.password || ''), u.password_hash)) {
+    authEvent(req, 'auth.totp_disable_failed', u);
+    return res.status(400).json({ ok: false, error: 'Passwort ist falsch', field: 'password' });
   }
-  const csrf = setSession(res, u);
-  res.json({ ok: true, csrf, role: u.role });
+  db.prepare('UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_last_step = NULL WHERE id = ?').run(u.id);
+  authEvent(req, 'auth.totp_disabled', u);
+  res.json({ ok: true });
 });
 
-app.post('/api/auth/logout', (req, res) => { clearSession(res); res.json({ ok: true }); });
+/* -------------------- Tablet-Modus / PIN-Wechsel -------------------- */
+/* Das Filial-Tablet bleibt mit einem Konto angemeldet (POST /api/auth/shared schaltet um).
+ * Mitarbeitende und Filialleitung der Filialen dieses Kontos wählen sich mit einer persönlichen
+ * PIN ein; danach zählt alles, was erfasst wird, für sie. Drosselung wie beim Login: je IP über
+ * einen eigenen Limiter, je Person PIN_MAX_FAILURES Fehlversuche bis zur Sperre für PIN_LOCK_MIN Minuten.
+ */
+const pinLimiter = authLimiter();
+const PIN_RE = /^\d{4,8}$/;
+function pinProblem(pin) {
+  const p = String(pin ?? '');
+  if (!PIN_RE.test(p)) return 'PIN muss aus 4 bis 8 Ziffern bestehen';
+  if (/^(\d)\1+$/.test(p)) return 'PIN darf nicht aus einer einzigen Ziffer bestehen';
+  if ('01234567890'.includes(p) || '09876543210'.includes(p)) return 'PIN darf keine Zahlenfolge sein';
+  return null;
+}
+// Personen, die sich an diesem Gerät per PIN einwählen können (keine Admins und Auditoren)
+function pinPeople(device) {
+  return db.prepare(`
+    SELECT u.id, COALESCE(u.name, u.email) AS name, u.role,
+           CASE WHEN u.pin_locked_until > ? THEN u.pin_locked_until END AS pin_locked_until
+    FROM users u
+    WHERE u.pin_hash IS NOT NULL AND u.role IN ('staff','manager')
+      AND (? IS NULL OR EXISTS (SELECT 1 FROM user_shops us WHERE us.user_id = u.id AND us.shop_id IN (SELECT value FROM json_each(?))))
+    ORDER BY COALESCE(u.name, u.email) COLLATE NOCASE
+  `).all(now(), scopeParam(device), scopeParam(device));
+}
+function pinFailed(req, res, u, device) {
+  const failures = u.pin_failed + 1;
+  if (failures >= PIN_MAX_FAILURES) {
+    const until = new Date(Date.now() + PIN_LOCK_MIN * 60000).toISOString();
+    db.prepare('UPDATE users SET pin_failed = 0, pin_locked_until = ? WHERE id = ?').run(until, u.id);
+    authEvent(req, 'auth.pin_locked', u, { failures, locked_until: until, device_user_id: device.id });
+  } else {
+    db.prepare('UPDATE users SET pin_failed = ? WHERE id = ?').run(failures, u.id);
+    authEvent(req, 'auth.pin_failed', u, { failures, device_user_id: device.id });
+  }
+  res.status(401).json({ ok: false, error: 'PIN falsch', remaining: Math.max(0, PIN_MAX_FAILURES - failures) });
+}
+
+// Einschalten genügt die laufende Sitzung; ausschalten nur mit dem Passwort des Gerätekontos
+app.post('/api/auth/shared', requireRole('staff', { locked: true }), (req, res) => {
+  const s = req.session;
+  const enabled = [true, 1, '1', 'true'].includes(req.body?.enabled);
+  if (enabled === s.shared) return res.json({ ok: true, shared: s.shared });
+  if (!enabled && !checkPassword(s.device.id, req.body?.password)) {
+    authEvent(req, 'auth.shared_off_failed', s.device);
+    return res.status(400).json({ ok: false, error: 'Passwort des Gerätekontos ist falsch', field: 'password' });
+  }
+  db.prepare('UPDATE sessions SET shared = ?, actor_user_id = NULL, actor_seen_at = NULL WHERE id = ?').run(enabled ? 1 : 0, s.sid);
+  authEvent(req, enabled ? 'auth.shared_on' : 'auth.shared_off', s.device);
+  res.json({ ok: true, shared: enabled });
+});
+app.get('/api/auth/people', requireRole(null, { locked: true }), (req, res) => {
+  if (!req.session.shared) return res.json({ people: [] });
+  res.json({ people: pinPeople(req.session.device) });
+});
+app.post('/api/auth/switch', pinLimiter, requireRole(null, { locked: true }), (req, res) => {
+  const s = req.session;
+  if (!s.shared) return res.status(409).json({ ok: false, error: 'Gerät ist nicht im Tablet-Modus' });
+  const person = pinPeople(s.device).find(p => p.id === Number(req.body?.user_id));
+  if (!person) return notFound(res, 'Person nicht gefunden');
+  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(person.id);
+  if (u.pin_locked_until && u.pin_locked_until > now()) {
+    authEvent(req, 'auth.pin_failed', u, { reason: 'locked', device_user_id: s.device.id });
+    return res.status(423).json({
+      ok: false, pin_locked_until: u.pin_locked_until,
+      error: `PIN nach zu vielen Fehlversuchen bis ${localTime(null, u.pin_locked_until, 'HH:mm')} Uhr gesperrt`,
+    });
+  }
+  if (!bcrypt.compareSync(String(req.body?.pin ?? ''), u.pin_hash)) return pinFailed(req, res, u, s.device);
+  db.transaction(() => {
+    db.prepare('UPDATE users SET pin_failed = 0, pin_locked_until = NULL WHERE id = ?').run(u.id);
+    db.prepare('UPDATE sessions SET actor_user_id = ?, actor_seen_at = ? WHERE id = ?').run(u.id, now(), s.sid);
+    db.prepare('INSERT OR IGNORE INTO session_actors (session_id,user_id,first_at) VALUES (?,?,?)').run(s.sid, u.id, now());
+  })();
+  authEvent(req, 'auth.pin_switch', u, { device_user_id: s.device.id, previous_user_id: s.locked ? null : s.id });
+  res.json({ ok: true, user: { id: u.id, name: person.name, role: u.role } });
+});
+app.post('/api/auth/lock', requireRole(null, { locked: true }), (req, res) => {
+  const s = req.session;
+  if (s.shared && !s.locked) {
+    db.prepare('UPDATE sessions SET actor_user_id = NULL, actor_seen_at = NULL WHERE id = ?').run(s.sid);
+    authEvent(req, 'auth.pin_lock', s, { device_user_id: s.device.id });
+  }
+  res.json({ ok: true });
+});
+// Eigene PIN setzen oder entfernen (pin leer); bestätigt mit dem eigenen Passwort
+app.post('/api/auth/pin', requireRole('staff'), (req, res) => {
+  const { password, pin } = req.body || {};
+  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.id);
+  if (!bcrypt.compareSync(String(password || ''), u.password_hash)) {
+    authEvent(req, 'auth.pin_set_failed', u, { reason: 'password' });
+    return res.status(400).json({ ok: false, error: 'Passwort ist falsch', field: 'password' });
+  }
+  if (pin == null || pin === '') {
+    db.prepare('UPDATE users SET pin_hash = NULL, pin_failed = 0, pin_locked_until = NULL WHERE id = ?').run(u.id);
+    authEvent(req, 'auth.pin_removed', u);
+    return res.json({ ok: true, pin_set: false });
+  }
+  const problem = pinProblem(pin);
+  if (problem) return badRequest(res, { error: problem, field: 'pin' });
+  db.prepare('UPDATE users SET pin_hash = ?, pin_failed = 0, pin_locked_until = NULL WHERE id = ?').run(bcrypt.hashSync(String(pin), 10), u.id);
+  authEvent(req, 'auth.pin_set', u);
+  res.json({ ok: true, pin_set: true });
+});
 
 /* -------------------- Helpers -------------------- */
-function requireRole(role) {
+// Rollen-Hierarchie: auditor (nur lesen) < staff < manager < admin
+const ROLE_RANK = { auditor: 1, staff: 2, manager: 3, admin: 4 };
+function hasRole(s, role) {
+  return !!s && (ROLE_RANK[s.role] || 0) >= (ROLE_RANK[role] || 0);
+}
+// passwordChange: auch mit ausstehendem Pflicht-Passwortwechsel erreichbar (sonst 403 password_change)
+// locked: im Tablet-Modus auch ohne aktive Person schreibbar (sonst 423 pin_required; lesen geht immer)
+function requireRole(role, { passwordChange = false, locked = false } = {}) {
   return (req, res, next) => {
     const s = authFromCookie(req);
-    if (!s || (role && s.role !== role)) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    if (!s) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    if (s.must_change_password && !passwordChange) {
+      return res.status(403).json({ ok: false, error: 'Bitte zuerst das Passwort ändern', code: 'password_change' });
+    }
+    if (s.locked && !locked && ['POST','PUT','PATCH','DELETE'].includes(req.method)) {
+      return res.status(423).json({ ok: false, error: 'Gerät gesperrt – bitte Person wählen und PIN eingeben', code: 'pin_required' });
+    }
+    if (role && !hasRole(s, role)) return res.status(403).json({ ok: false, error: 'Forbidden' });
     if (['POST','PUT','PATCH','DELETE'].includes(req.method)) {
       if ((req.headers['x-csrf-token'] || '') !== s.csrf) return res.status(403).json({ ok: false, error: 'CSRF' });
     }
@@ -188,9 +540,96 @@ function requireRole(role) {
     next();
   };
 }
+
+/* Filial-Berechtigung: Admins und Auditoren sehen alle Filialen,
+ * Mitarbeitende und Filialleitung nur die über user_shops zugeordneten.
+ * shopScope() liefert null (= alle) oder ein Array von shop_ids.
+ */
+function shopScope(s) {
+  if (s.role === 'admin' || s.role === 'auditor') return null;
+  return db.prepare('SELECT shop_id FROM user_shops WHERE user_id = ?').all(s.id).map(r => r.shop_id);
+}
+// Als JSON für `(? IS NULL OR shop_id IN (SELECT value FROM json_each(?)))`
+function scopeParam(s) {
+  const scope = shopScope(s);
+  return scope ? JSON.stringify(scope) : null;
+}
+function canAccessShop(s, shop_id) {
+  const scope = shopScope(s);
+  return scope === null || scope.includes(Number(shop_id));
+}
+function forbidden(res) { return res.status(403).json({ ok: false, error: 'Forbidden' }); }
 function now() { return new Date().toISOString(); }
-function ymd(d = new Date()) { return d.toISOString().slice(0,10); }
+
+/* Audit: jede Änderung landet als Zeile in `audit`. Die Zeilen sind per SHA-256
+ * verkettet (hash = H(prev_hash + Inhalt)); gelöschte oder nachträglich geänderte
+ * Zeilen fallen bei /api/audit/verify auf.
+ */
+function auditHash(r) {
+  return crypto.createHash('sha256').update(JSON.stringify([
+    r.prev_hash, r.user_id, r.action, r.entity, r.entity_id, r.shop_id,
+    r.before_json, r.after_json, r.meta_json, r.created_at,
+  ])).digest('hex');
+}
+// user_id: nur für Ereignisse ohne Sitzung (Anmeldung), sonst die angemeldete Person
+function audit(req, action, { entity = null, entity_id = null, shop_id = null, before = null, after = null, meta = null, user_id = null } = {}) {
+  const json = (v) => (v == null ? null : JSON.stringify(v));
+  db.transaction(() => {
+    const last = db.prepare('SELECT hash FROM audit ORDER BY id DESC LIMIT 1').get();
+    const row = {
+      prev_hash: last?.hash || null,
+      user_id: user_id ?? req?.session?.id ?? null,
+      action,
+      entity,
+      entity_id: entity_id == null ? null : String(entity_id),
+      shop_id: shop_id == null ? null : Number(shop_id),
+      before_json: json(before),
+      after_json: json(after),
+      meta_json: json(meta),
+      created_at: now(),
+    };
+    row.hash = auditHash(row);
+    db.prepare(`
+      INSERT INTO audit (user_id,action,meta_json,created_at,entity,entity_id,shop_id,before_json,after_json,prev_hash,hash)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?)
+    `).run(row.user_id, row.action, row.meta_json, row.created_at, row.entity, row.entity_id, row.shop_id,
+      row.before_json, row.after_json, row.prev_hash, row.hash);
+  })();
+}
+function publicUser(u) {
+  if (!u) return null;
+  const { password_hash, totp_secret, totp_pending_secret, totp_last_step, pin_hash, ...rest } = u;
+  return rest;
+}
+function ymd(d = new Date()) { return dayjs(d).tz(DEFAULT_TIMEZONE).format('YYYY-MM-DD'); }
+/* Geschäftstag einer Filiale: Datum in ihrer Zeitzone, vor dem Tageswechsel (day_cutoff) noch der Vortag –
+ * der Schließ-Check um 00:30 Uhr gehört zum Abend davor. run_date und alle Tagesfenster rechnen damit.
+ */
+function businessDay(shop, at = new Date()) {
+  const local = dayjs(at).tz(shop?.timezone || DEFAULT_TIMEZONE);
+  const day = local.format('YYYY-MM-DD');
+  return local.format('HH:mm') < (shop?.day_cutoff || DEFAULT_DAY_CUTOFF) ? dayjs(day).subtract(1, 'day').format('YYYY-MM-DD') : day;
+}
+// Beginn eines Geschäftstags als Zeitpunkt (UTC), z.B. für Abfragen auf Messzeitpunkte
+function businessDayStart(shop, date) {
+  return dayjs.tz(`${date}T${shop?.day_cutoff || DEFAULT_DAY_CUTOFF}`, shop?.timezone || DEFAULT_TIMEZONE).toISOString();
+}
+function localTime(shop, at, fmt = 'YYYY-MM-DD HH:mm') { return at ? dayjs(at).tz(shop?.timezone || DEFAULT_TIMEZONE).format(fmt) : ''; }
+// Bei mehreren Filialen der jüngste Geschäftstag – „heute“ ist dort, wo der Tag schon gewechselt hat
+function latestBusinessDay(shops) { return shops.length ? shops.map(s => businessDay(s)).sort().pop() : ymd(); }
+function shopBusinessDay(shop_id) { return businessDay(db.prepare('SELECT timezone, day_cutoff FROM shops WHERE id = ?').get(shop_id)); }
+/* Fälligkeiten in SQL gegen den Geschäftstag der jeweiligen Filiale prüfen: businessDaysJson() als
+ * Parameter ({"<shop_id>": "YYYY-MM-DD"}), im SQL ${shopToday('r.shop_id')} statt eines festen Datums.
+ */
+function businessDaysJson(shops = db.prepare('SELECT id, timezone, day_cutoff FROM shops').all()) {
+  return JSON.stringify(Object.fromEntries(shops.map(s => [s.id, businessDay(s)])));
+}
+const shopToday = col => `json_extract(?, '$."' || ${col} || '"')`;
 function toInt(x, def = 0) { const n = Number(x); return Number.isFinite(n) ? n : def; }
+const SHIFTS = ['morning', 'mid', 'closing'];
+const SHIFT_DE = { morning: 'Früh', mid: 'Mitte', closing: 'Schluss' };
+// Laufarten: Tagescheck nach Checkliste, Thermometer-Prüfung aus dem Geräteprotokoll
+const RUN_TYPES = { check: 'Tagescheck', calibration: 'Thermometer-Prüfung' };
 function statusLabelDE(s) {
   return s === 'signed' ? 'Unterschrieben' :
          s === 'submitted' ? 'Abgesendet' :
@@ -198,304 +637,2817 @@ function statusLabelDE(s) {
          s === 'closed' ? 'Geschlossen' : s;
 }
 
+/* -------------------- Validierung -------------------- */
+/* Schema-Prüfung für Request-Bodies. Regeln je Feld:
+ *   type     'string' | 'number' | 'int' | 'bool' | 'enum' | 'date' (JJJJ-MM-TT, Kalenderdatum streng geprüft)
+ *   required Pflichtfeld; max (Zeichen), min (Zahlen), pattern/message, values (enum), default, label
+ * Mit partial (Updates) werden fehlende Felder ignoriert.
+ * Ergebnis: { data } mit normalisierten Werten oder { error, field }.
+ */
+function validate(schema, body, { partial = false } = {}) {
+  const data = {};
+  body = body || {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const present = Object.prototype.hasOwnProperty.call(body, field);
+    if (partial && !present) continue;
+    let v = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    const label = rule.label || field;
+    if (v === undefined || v === null || v === '') {
+      if (rule.required) return { error: `${label} ist erforderlich`, field };
+      data[field] = rule.default ?? null;
+      continue;
+    }
+    if (rule.type === 'string') {
+      v = String(v);
+      if (rule.max && v.length > rule.max) return { error: `${label} ist zu lang (max. ${rule.max} Zeichen)`, field };
+      if (rule.pattern && !rule.pattern.test(v)) return { error: rule.message || `${label} ist ungültig`, field };
+    } else if (rule.type === 'number' || rule.type === 'int') {
+      v = Number(v);
+      if (!Number.isFinite(v) || (rule.type === 'int' && !Number.isInteger(v))) return { error: `${label} muss eine Zahl sein`, field };
+      if (rule.min != null && v < rule.min) return { error: `${label} muss mindestens ${rule.min} sein`, field };
+    } else if (rule.type === 'bool') {
+      if (![true, false, 1, 0, '1', '0', 'true', 'false'].includes(v)) return { error: `${label} muss ja/nein sein`, field };
+      v = [true, 1, '1', 'true'].includes(v) ? 1 : 0;
+    } else if (rule.type === 'date') {
+      v = String(v);
+      if (!dayjs(v, 'YYYY-MM-DD', true).isValid()) return { error: rule.message || `${label} ist kein gültiges Datum`, field };
+    } else if (rule.type === 'ids') {
+      // Liste von Datensatz-IDs (positive Ganzzahlen), doppelte zählen einmal
+      if (!Array.isArray(v) || !v.every(x => (typeof x === 'number' || (typeof x === 'string' && /^\d+$/.test(x))) && Number.isInteger(Number(x)) && Number(x) > 0)) {
+        return { error: `${label} muss eine Liste von IDs sein`, field };
+      }
+      v = [...new Set(v.map(Number))];
+    } else if (rule.type === 'enum') {
+      if (!rule.values.includes(v)) return { error: `${label} muss einer von ${rule.values.join(', ')} sein`, field };
+    }
+    data[field] = v;
+  }
+  return { data };
+}
+function badRequest(res, { error, field }) { return res.status(400).json({ ok: false, error, field }); }
+function notFound(res, error) { return res.status(404).json({ ok: false, error }); }
+
+const SHOP_SCHEMA = {
+  name: { type: 'string', required: true, max: 100, label: 'Name' },
+  slug: { type: 'string', required: true, max: 60, label: 'Slug',
+    pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, message: 'Slug: nur Kleinbuchstaben, Ziffern und Bindestriche' },
+  status: { type: 'enum', values: ['open', 'closed'], default: 'open', label: 'Status' },
+  address: { type: 'string', max: 200, label: 'Adresse' },
+  phone: { type: 'string', max: 50, label: 'Telefon' },
+  image_url: { type: 'string', max: 500, label: 'Bild-URL' },
+  description: { type: 'string', max: 2000, label: 'Beschreibung' },
+  timezone: { type: 'string', max: 64, default: DEFAULT_TIMEZONE, label: 'Zeitzone' },
+  day_cutoff: { type: 'string', default: DEFAULT_DAY_CUTOFF, label: 'Tageswechsel',
+    pattern: /^(0\d|1[01]):[0-5]\d$/, message: 'Tageswechsel zwischen 00:00 und 11:59 (HH:MM)' },
+};
+// Ein Eintrag im Schichtplan einer Filiale (PUT /api/shops/:id/shifts)
+const SHIFT_PLAN_SCHEMA = {
+  shift: { type: 'enum', values: SHIFTS, required: true, label: 'Schicht' },
+  due_time: { type: 'string', required: true, label: 'Fällig um',
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/, message: 'Fällig um: Uhrzeit als HH:MM' },
+  grace_min: { type: 'int', min: 0, default: 30, label: 'Kulanz (Minuten)' },
+  days: { type: 'string', max: 7, pattern: /^[1-7]*$/, message: 'Wochentage als Ziffern 1–7', label: 'Wochentage' },
+  active: { type: 'bool', default: 0, label: 'Aktiv' },
+};
+// IANA-Name, den Intl kennt (z.B. Europe/Berlin)
+function checkTimezone(d) {
+  if (!d.timezone) return null;
+  try { new Intl.DateTimeFormat('de-DE', { timeZone: d.timezone }); } catch { return { error: 'Unbekannte Zeitzone', field: 'timezone' }; }
+  return null;
+}
+const DATE_RULE = { type: 'date', message: 'Datum im Format JJJJ-MM-TT angeben' };
+// Zeitraum-Filter (from/to) in Abfragen
+const RANGE_SCHEMA = { from: { ...DATE_RULE, label: 'Von' }, to: { ...DATE_RULE, label: 'Bis' } };
+const EQUIPMENT_SCHEMA = {
+  name: { type: 'string', required: true, max: 100, label: 'Name' },
+  type: { type: 'string', max: 50, label: 'Typ' },
+  serial: { type: 'string', max: 100, label: 'Seriennummer' },
+  location: { type: 'string', max: 100, label: 'Standort' },
+  installed_at: { ...DATE_RULE, label: 'Installationsdatum' },
+  service_contact: { type: 'string', max: 300, label: 'Servicekontakt' },
+  maintenance_interval_days: { type: 'int', min: 1, label: 'Wartungsintervall' },
+  calibration_interval_days: { type: 'int', min: 1, label: 'Kalibrierintervall' },
+  next_maintenance_due: { ...DATE_RULE, label: 'Nächste Wartung' },
+  next_calibration_due: { ...DATE_RULE, label: 'Nächste Kalibrierung' },
+};
+const ITEM_KINDS = ['boolean', 'number', 'temperature', 'text', 'choice', 'multi', 'counter', 'date', 'signature'];
+const ITEM_SCHEMA = {
+  label: { type: 'string', required: true, max: 200, label: 'Bezeichnung' },
+  kind: { type: 'enum', values: ITEM_KINDS, default: 'text', label: 'Art' },
+  position: { type: 'int', default: 0, label: 'Position' },
+  min: { type: 'number', label: 'Min' },
+  max: { type: 'number', label: 'Max' },
+  unit: { type: 'string', max: 20, label: 'Einheit' },
+  shift: { type: 'enum', values: SHIFTS, default: 'morning', label: 'Schicht' },
+  required: { type: 'bool', default: 0, label: 'Pflichtfeld' },
+  critical: { type: 'bool', default: 0, label: 'Kritisch' },
+  photo_required: { type: 'bool', default: 0, label: 'Foto erforderlich' },
+  depends_on: { type: 'string', max: 64, label: 'Bedingung' },
+};
+// Filial-Anpassung eines Eintrags (leer = Vorgabe der Vorlage)
+const OVERRIDE_SCHEMA = {
+  item_key: { type: 'string', required: true, max: 64, label: 'Eintrag' },
+  min: ITEM_SCHEMA.min,
+  max: ITEM_SCHEMA.max,
+  unit: ITEM_SCHEMA.unit,
+  equipment_id: { type: 'int', label: 'Gerät' },
+};
+// Feldübergreifende Prüfung der (zusammengeführten) Eintragswerte
+function checkItemLimits(item) {
+  if (item.min != null && item.max != null && Number(item.min) > Number(item.max)) return { error: 'Min darf nicht größer als Max sein', field: 'min' };
+  return null;
+}
+/* Art-spezifische Einstellungen → config_json. Fehlen options/target/tolerance im Body,
+ * gelten die bisherigen Werte (prev), damit Teil-Updates die Konfiguration nicht verlieren.
+ * choice/multi: { options: [{ label, ok }] }, counter: { target, tolerance }.
+ */
+function itemConfig(kind, body, prev) {
+  const cfg = prev ? JSON.parse(prev) : {};
+  if (kind === 'choice' || kind === 'multi') {
+    const options = body.options !== undefined ? body.options : cfg.options;
+    if (!Array.isArray(options) || options.length < 2) return { error: 'Mindestens zwei Optionen erforderlich', field: 'options' };
+    const clean = [];
+    for (const o of options) {
+      const label = String(o?.label ?? '').trim();
+      if (!label || label.length > 100) return { error: 'Jede Option braucht eine Bezeichnung (max. 100 Zeichen)', field: 'options' };
+      if (clean.some(c => c.label === label)) return { error: `Option „${label}“ ist doppelt`, field: 'options' };
+      clean.push({ label, ok: [false, 0, '0', 'false'].includes(o.ok) ? 0 : 1 });
+    }
+    if (!clean.some(o => o.ok)) return { error: 'Mindestens eine Option muss als OK gelten', field: 'options' };
+    return { config_json: JSON.stringify({ options: clean }) };
+  }
+  if (kind === 'counter') {
+    const target = body.target !== undefined ? body.target : cfg.target;
+    const tolerance = body.tolerance !== undefined ? body.tolerance : (cfg.tolerance ?? 0);
+    if (target === null || target === '' || !Number.isFinite(Number(target))) return { error: 'Sollwert ist erforderlich', field: 'target' };
+    if (!Number.isFinite(Number(tolerance || 0)) || Number(tolerance || 0) < 0) return { error: 'Toleranz muss eine Zahl ≥ 0 sein', field: 'tolerance' };
+    return { config_json: JSON.stringify({ target: Number(target), tolerance: Number(tolerance || 0) }) };
+  }
+  return { config_json: null };
+}
+// Bedingte Einträge: Auslöser muss in derselben Version und Schicht liegen, ohne Zyklus
+function checkDependsOn(item) {
+  if (!item.depends_on) return null;
+  const byKey = key => db.prepare('SELECT item_key, shift, depends_on FROM check_items WHERE version_id = ? AND item_key = ?').get(item.version_id, key);
+  const trigger = byKey(item.depends_on);
+  if (!trigger || trigger.item_key === item.item_key) return { error: 'Auslöser nicht gefunden', field: 'depends_on' };
+  if (trigger.shift !== item.shift) return { error: 'Auslöser muss in derselben Schicht liegen', field: 'depends_on' };
+  for (let t = trigger, n = 0; t?.depends_on && n < 100; t = byKey(t.depends_on), n++) {
+    if (t.depends_on === item.item_key) return { error: 'Bedingungen dürfen keinen Kreis bilden', field: 'depends_on' };
+  }
+  return null;
+}
+
 /* -------------------- Shops -------------------- */
-app.get('/api/shops', (req, res) => {
-  const rows = db.prepare('SELECT * FROM shops ORDER BY id DESC').all();
-  res.json({ shops: rows });
+/* Filialen werden archiviert statt gelöscht: am Löschen hingen per ON DELETE CASCADE
+ * sämtliche Läufe, Antworten und Maßnahmen. Archivierte Filialen erscheinen nur mit
+ * ?include_archived=1 (Admin), ihr Verlauf bleibt abrufbar, neue Läufe sind gesperrt.
+ */
+app.get('/api/shops', requireRole(), (req, res) => {
+  const scope = scopeParam(req.session);
+  const all = req.query.include_archived === '1' && hasRole(req.session, 'admin') ? 1 : 0;
+  const rows = db.prepare(`
+    SELECT * FROM shops
+    WHERE (? IS NULL OR id IN (SELECT value FROM json_each(?))) AND (? = 1 OR archived_at IS NULL)
+    ORDER BY id DESC
+  `).all(scope, scope, all);
+  res.json({ shops: rows.map(s => ({ ...s, today: businessDay(s) })) });
 });
-app.get('/api/shops/:slug', (req, res) => {
+app.get('/api/shops/:slug', requireRole(), (req, res) => {
   const s = db.prepare('SELECT * FROM shops WHERE slug = ?').get(req.params.slug);
-  res.json({ shop: s || null });
+  if (s && !canAccessShop(req.session, s.id)) return forbidden(res);
+  res.json({ shop: s ? { ...s, today: businessDay(s) } : null });
 });
+function slugTaken(res) { return res.status(409).json({ ok:false, error:'Slug bereits vergeben', field:'slug' }); }
 app.post('/api/shops', requireRole('admin'), (req, res) => {
-  const { name, slug, status='open', address='', phone='', image_url='', description='' } = req.body || {};
-  try {
-    const info = db.prepare('INSERT INTO shops (name,slug,status,address,phone,image_url,description,created_at) VALUES (?,?,?,?,?,?,?,?)')
-      .run(name, slug, status, address, phone, image_url, description, now());
-    res.json({ ok: true, id: info.lastInsertRowid });
-  } catch (e) { res.json({ ok: false, error: e.message }); }
+  const v = validate(SHOP_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  const d = v.data;
+  const tzErr = checkTimezone(d);
+  if (tzErr) return badRequest(res, tzErr);
+  if (db.prepare('SELECT id FROM shops WHERE slug = ?').get(d.slug)) return slugTaken(res);
+  const info = db.prepare('INSERT INTO shops (name,slug,status,address,phone,image_url,description,timezone,day_cutoff,created_at) VALUES (?,?,?,?,?,?,?,?,?,?)')
+    .run(d.name, d.slug, d.status, d.address, d.phone, d.image_url, d.description, d.timezone, d.day_cutoff, now());
+  const id = info.lastInsertRowid;
+  audit(req, 'shop.create', { entity: 'shop', entity_id: id, shop_id: id, after: db.prepare('SELECT * FROM shops WHERE id = ?').get(id) });
+  res.json({ ok: true, id });
+});
+app.put('/api/shops/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM shops WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Filiale nicht gefunden');
+  const v = validate(SHOP_SCHEMA, req.body, { partial: true });
+  if (v.error) return badRequest(res, v);
+  const d = v.data;
+  const tzErr = checkTimezone(d);
+  if (tzErr) return badRequest(res, tzErr);
+  if (d.slug && db.prepare('SELECT id FROM shops WHERE slug = ? AND id != ?').get(d.slug, before.id)) return slugTaken(res);
+  const fields = Object.keys(d);
+  if (fields.length) {
+    db.prepare(`UPDATE shops SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`).run(...fields.map(f => d[f]), before.id);
+  }
+  const after = db.prepare('SELECT * FROM shops WHERE id = ?').get(before.id);
+  audit(req, 'shop.update', { entity: 'shop', entity_id: before.id, shop_id: before.id, before, after });
+  res.json({ ok: true, shop: after });
 });
 app.delete('/api/shops/:id', requireRole('admin'), (req, res) => {
-  db.prepare('DELETE FROM shops WHERE id = ?').run(req.params.id);
+  const before = db.prepare('SELECT * FROM shops WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Filiale nicht gefunden');
+  if (before.archived_at) return res.status(409).json({ ok:false, error:'Filiale ist bereits archiviert' });
+  db.prepare('UPDATE shops SET archived_at = ?, archived_by = ? WHERE id = ?').run(now(), req.session.id, before.id);
+  audit(req, 'shop.archive', { entity: 'shop', entity_id: before.id, shop_id: before.id, before,
+    after: db.prepare('SELECT * FROM shops WHERE id = ?').get(before.id) });
+  res.json({ ok: true });
+});
+app.post('/api/shops/:id/restore', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM shops WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Filiale nicht gefunden');
+  if (!before.archived_at) return res.status(409).json({ ok:false, error:'Filiale ist nicht archiviert' });
+  db.prepare('UPDATE shops SET archived_at = NULL, archived_by = NULL WHERE id = ?').run(before.id);
+  audit(req, 'shop.restore', { entity: 'shop', entity_id: before.id, shop_id: before.id, before,
+    after: db.prepare('SELECT * FROM shops WHERE id = ?').get(before.id) });
   res.json({ ok: true });
 });
 
 /* -------------------- Users -------------------- */
 app.get('/api/users', requireRole('admin'), (req, res) => {
-  const rows = db.prepare('SELECT id,email,role,created_at FROM users ORDER BY id DESC').all();
+  const rows = db.prepare(`
+    SELECT u.id, u.email, u.name, u.role, u.created_at, u.must_change_password, u.password_changed_at,
+           CASE WHEN u.locked_until > ? THEN u.locked_until END AS locked_until,
+           u.totp_secret IS NOT NULL AS totp_enabled, u.pin_hash IS NOT NULL AS pin_set,
+           CASE WHEN u.pin_locked_until > ? THEN u.pin_locked_until END AS pin_locked_until,
+           (SELECT COUNT(*) FROM sessions s WHERE s.user_id = u.id AND s.expires_at > ?) AS active_sessions
+    FROM users u ORDER BY u.id DESC
+  `).all(now(), now(), now());
   res.json({ users: rows });
 });
-app.post('/api/users', requireRole('admin'), (req, res) => {
-  const { email, password, role='staff' } = req.body || {};
+const USER_SCHEMA = {
+  email: { type: 'string', required: true, max: 200, label: 'E-Mail', pattern: /^[^@\s]+@[^@\s]+$/, message: 'Ungültige E-Mail-Adresse' },
+  name: { type: 'string', max: 80, label: 'Name' },
+  role: { type: 'enum', values: Object.keys(ROLE_RANK), default: 'staff', label: 'Rolle' },
+};
+// Neuer Reset-Link; ältere, noch offene Links des Kontos verfallen damit
+function issuePasswordReset(req, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expires_at = new Date(Date.now() + RESET_TOKEN_HOURS * 3600000).toISOString();
+  db.transaction(() => {
+    db.prepare('DELETE FROM password_resets WHERE user_id = ? AND used_at IS NULL').run(user.id);
+    db.prepare('INSERT INTO password_resets (user_id,token_hash,created_by,created_at,expires_at) VALUES (?,?,?,?,?)')
+      .run(user.id, tokenHash(token), req.session.id, now(), expires_at);
+  })();
+  const url = `${APP_URL || `${req.protocol}://${req.get('host')}`}/login?reset=${token}`;
+  authEvent(req, 'auth.reset_issued', user, { by: req.session.id, expires_at });
+  return { url, expires_at };
+}
+async function mailPasswordReset(user, reset) {
+  if (!notifier.emailConfigured) return false;
   try {
-    const hash = bcrypt.hashSync(password || 'changeme', 10);
-    const info = db.prepare('INSERT INTO users (email,password_hash,role,created_at) VALUES (?,?,?,?)')
-      .run(email, hash, role, now());
-    res.json({ ok: true, id: info.lastInsertRowid });
-  } catch (e) { res.json({ ok:false, error: e.message }); }
+    await notifier.sendEmail(user.email, 'BUNCA HACCP – Passwort festlegen',
+      `Über diesen Link legst du dein Passwort fest (gültig bis ${localTime(null, reset.expires_at, 'DD.MM.YYYY HH:mm')}):\n\n${reset.url}`);
+    return true;
+  } catch (e) {
+    console.warn('[auth] Reset-Mail an', user.email, 'fehlgeschlagen:', e.message);
+    return false;
+  }
+}
+/* Ohne Passwort bekommt das Konto ein unbrauchbares Zufallspasswort und einen Einrichtungslink;
+ * ein vom Admin vergebenes Passwort muss beim ersten Login geändert werden.
+ */
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const v = validate(USER_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  const password = req.body?.password ? String(req.body.password) : null;
+  if (password) {
+    const problem = passwordProblem(password, v.data.email);
+    if (problem) return badRequest(res, { error: problem, field: 'password' });
+  }
+  if (db.prepare('SELECT 1 FROM users WHERE email = ?').get(v.data.email)) {
+    return res.status(409).json({ ok: false, error: 'E-Mail bereits vergeben', field: 'email' });
+  }
+  const hash = bcrypt.hashSync(password || crypto.randomBytes(24).toString('base64url'), 10);
+  const info = db.prepare('INSERT INTO users (email,name,password_hash,role,created_at,must_change_password) VALUES (?,?,?,?,?,1)')
+    .run(v.data.email, v.data.name, hash, v.data.role, now());
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(info.lastInsertRowid);
+  audit(req, 'user.create', { entity: 'user', entity_id: user.id, after: publicUser(user) });
+  if (password) return res.json({ ok: true, id: user.id });
+  const reset = issuePasswordReset(req, user);
+  res.json({ ok: true, id: user.id, reset_url: reset.url, expires_at: reset.expires_at, emailed: await mailPasswordReset(user, reset) });
+});
+// Nur der Anzeigename ("gemessen von"); E-Mail und Rolle bleiben
+app.put('/api/users/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Benutzer nicht gefunden');
+  const v = validate({ name: USER_SCHEMA.name }, req.body);
+  if (v.error) return badRequest(res, v);
+  db.prepare('UPDATE users SET name = ? WHERE id = ?').run(v.data.name, before.id);
+  audit(req, 'user.update', { entity: 'user', entity_id: before.id, before: { name: before.name }, after: { name: v.data.name } });
+  res.json({ ok: true });
+});
+app.post('/api/users/:id/password-reset', requireRole('admin'), async (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!user) return notFound(res, 'Benutzer nicht gefunden');
+  const reset = issuePasswordReset(req, user);
+  res.json({ ok: true, email: user.email, reset_url: reset.url, expires_at: reset.expires_at, emailed: await mailPasswordReset(user, reset) });
+});
+app.post('/api/users/:id/unlock', requireRole('admin'), (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!user) return notFound(res, 'Benutzer nicht gefunden');
+  db.prepare('UPDATE users SET failed_logins = 0, locked_until = NULL, pin_failed = 0, pin_locked_until = NULL WHERE id = ?').run(user.id);
+  authEvent(req, 'auth.unlocked', user, { by: req.session.id });
+  res.json({ ok: true });
 });
+// Verlorenes Telefon: Zweitfaktor entfernen, alle Sitzungen beenden
+app.post('/api/users/:id/totp/reset', requireRole('admin'), (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!user) return notFound(res, 'Benutzer nicht gefunden');
+  db.prepare('UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_last_step = NULL WHERE id = ?').run(user.id);
+  const revoked = revokeUserSessions(user.id);
+  authEvent(req, 'auth.totp_reset', user, { by: req.session.id, revoked });
+  res.json({ ok: true, revoked });
+});
+// Vergessene PIN: entfernen, die Person legt im Konto eine neue fest
+app.post('/api/users/:id/pin/reset', requireRole('admin'), (req, res) => {
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!user) return notFound(res, 'Benutzer nicht gefunden');
+  db.prepare('UPDATE users SET pin_hash = NULL, pin_failed = 0, pin_locked_until = NULL WHERE id = ?').run(user.id);
+  db.prepare('UPDATE sessions SET actor_user_id = NULL, actor_seen_at = NULL WHERE actor_user_id = ?').run(user.id);
+  authEvent(req, 'auth.pin_reset', user, { by: req.session.id });
+  res.json({ ok: true });
+});
+/* Wer Läufe erfasst, gemessen („gemessen von“) oder unterschrieben, Nachträge erfasst, Geräteeinträge
+ * gemacht oder Checklisten veröffentlicht hat, bleibt als Konto erhalten – diese Verweise werden nicht
+ * geleert (ON DELETE SET NULL liefe bei unterschriebenen Läufen ohnehin in den Schreibschutz). Nur Verweise ohne Nachweischarakter
+ * (Ersteller von Uploads, Sensoren, Vorlagen, Archivierung) werden beim Löschen entfernt.
+ */
+const USER_EVIDENCE_REFS = [
+  ['check_runs', 'signed_by', 'unterschriebene Läufe'],
+  ['check_runs', 'created_by', 'erfasste Läufe'],
+  ['check_run_answers', 'answered_by', 'gemessene Einträge'],
+  ['check_run_amendments', 'created_by', 'Nachträge'],
+  ['check_run_amendments', 'signed_by', 'unterschriebene Nachträge'],
+  ['equipment_logs', 'created_by', 'Geräteeinträge'],
+  ['checklist_versions', 'published_by', 'veröffentlichte Checklisten'],
+];
+const USER_CLEARED_REFS = [
+  ['uploads', 'created_by'], ['sensors', 'created_by'], ['checklist_templates', 'created_by'],
+  ['checklist_versions', 'created_by'], ['shops', 'archived_by'],
+];
 app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
-  db.prepare('DELETE FROM users WHERE id = ?').run(req.params.id);
+  const before = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Benutzer nicht gefunden');
+  const refs = USER_EVIDENCE_REFS
+    .map(([table, col, label]) => ({ label, n: db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE ${col} = ?`).get(before.id).n }))
+    .filter(r => r.n);
+  if (refs.length) {
+    return res.status(409).json({
+      ok: false, references: refs,
+      error: `Konto kann nicht gelöscht werden – es ist in Nachweisen eingetragen (${refs.map(r => `${r.n} ${r.label}`).join(', ')}). Sitzungen beenden und Zugänge entziehen statt löschen.`,
+    });
+  }
+  db.transaction(() => {
+    revokeUserSessions(before.id);
+    for (const [table, col] of USER_CLEARED_REFS) db.prepare(`UPDATE ${table} SET ${col} = NULL WHERE ${col} = ?`).run(before.id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(before.id);
+  })();
+  audit(req, 'user.delete', { entity: 'user', entity_id: before.id, before: publicUser(before) });
   res.json({ ok: true });
 });
+app.post('/api/users/:id/revoke-sessions', requireRole('admin'), (req, res) => {
+  const revoked = revokeUserSessions(req.params.id);
+  audit(req, 'user.revoke_sessions', { entity: 'user', entity_id: req.params.id, meta: { revoked } });
+  res.json({ ok: true, revoked });
+});
+// Ersetzt die Filialzuordnung; nur bestehende, nicht archivierte Filialen
 app.post('/api/users/:id/assign-shops', requireRole('admin'), (req, res) => {
-  const { shop_ids = [] } = req.body || {};
+  const user = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.id);
+  if (!user) return notFound(res, 'Benutzer nicht gefunden');
+  const v = validate({ shop_ids: { type: 'ids', required: true, label: 'Filialen' } }, req.body);
+  if (v.error) return badRequest(res, v);
+  const { shop_ids } = v.data;
+  const known = new Set(db.prepare(`
+    SELECT id FROM shops WHERE archived_at IS NULL AND id IN (SELECT value FROM json_each(?))
+  `).all(JSON.stringify(shop_ids)).map(r => r.id));
+  const unknown = shop_ids.filter(id => !known.has(id));
+  if (unknown.length) return badRequest(res, { error: `Filiale unbekannt oder archiviert: ${unknown.join(', ')}`, field: 'shop_ids' });
+  const shopsOf = () => db.prepare('SELECT shop_id FROM user_shops WHERE user_id = ? ORDER BY shop_id').all(req.params.id).map(r => r.shop_id);
+  const before = shopsOf();
   const tx = db.transaction((uids) => {
     db.prepare('DELETE FROM user_shops WHERE user_id = ?').run(req.params.id);
-    for (const sid of (uids || [])) {
+    for (const sid of uids) {
       db.prepare('INSERT OR IGNORE INTO user_shops (user_id,shop_id) VALUES (?,?)').run(req.params.id, sid);
     }
   });
   tx(shop_ids);
+  audit(req, 'user.assign_shops', { entity: 'user', entity_id: user.id, before: { shop_ids: before }, after: { shop_ids: shopsOf() } });
   res.json({ ok: true });
 });
 
 /* -------------------- Equipment -------------------- */
-app.get('/api/equipment', (req, res) => {
-  let shop_id = req.query.shop_id;
-  if (!shop_id && req.query.shop) {
-    const s = db.prepare('SELECT id FROM shops WHERE slug = ?').get(req.query.shop);
-    shop_id = s?.id;
-  }
-  const rows = db.prepare('SELECT * FROM equipment WHERE (? IS NULL OR shop_id = ?) ORDER BY id DESC')
-    .all(shop_id || null, shop_id || null);
-  res.json({ equipment: rows });
-});
-app.post('/api/equipment', requireRole('admin'), (req, res) => {
-  const { shop_id, name, type='', serial='' } = req.body || {};
-  try {
-    const info = db.prepare('INSERT INTO equipment (shop_id,name,type,serial) VALUES (?,?,?,?)')
-      .run(shop_id, name, type, serial);
-    res.json({ ok: true, id: info.lastInsertRowid });
-  } catch (e) { res.json({ ok:false, error: e.message }); }
-});
-app.delete('/api/equipment/:id', requireRole('admin'), (req, res) => {
-  db.prepare('DELETE FROM equipment WHERE id = ?').run(req.params.id);
-  res.json({ ok: true });
-});
-
-/* -------------------- Checklist Items -------------------- */
-app.get('/api/check-items', (req, res) => {
+// Wie Filialen: archivieren statt löschen, damit Antworten und Anpassungen ihr Gerät behalten.
+const EQUIPMENT_DUE_SOON_DAYS = 14;
+// Fälligkeit für Anzeige und Benachrichtigung: overdue | soon | ok | null (kein Termin)
+function dueState(date, today = ymd()) {
+  if (!date) return null;
+  if (date < today) return 'overdue';
+  return date <= dayjs(today).add(EQUIPMENT_DUE_SOON_DAYS, 'day').format('YYYY-MM-DD') ? 'soon' : 'ok';
+}
+function withDueState(eq) {
+  const today = shopBusinessDay(eq.shop_id);
+  return { ...eq, maintenance_state: dueState(eq.next_maintenance_due, today), calibration_state: dueState(eq.next_calibration_due, today) };
+}
+app.get('/api/equipment', requireRole(), (req, res) => {
   let shop_id = req.query.shop_id;
   if (!shop_id && req.query.shop) {
     const s = db.prepare('SELECT id FROM shops WHERE slug = ?').get(req.query.shop);
     shop_id = s?.id;
   }
-  const shift = req.query.shift;
+  if (shop_id && !canAccessShop(req.session, shop_id)) return forbidden(res);
+  const scope = scopeParam(req.session);
+  const all = req.query.include_archived === '1' ? 1 : 0;
   const rows = db.prepare(`
-    SELECT * FROM check_items
+    SELECT * FROM equipment
     WHERE (? IS NULL OR shop_id = ?)
-      AND (? IS NULL OR shift = ?)
-    ORDER BY position ASC, id ASC
-  `).all(shop_id || null, shop_id || null, shift || null, shift || null);
-  res.json({ items: rows });
+      AND (? IS NULL OR shop_id IN (SELECT value FROM json_each(?)))
+      AND (? = 1 OR archived_at IS NULL)
+    ORDER BY id DESC
+  `).all(shop_id || null, shop_id || null, scope, scope, all).map(withDueState);
+  // due=1: nur Geräte, deren Wartung oder Kalibrierung überfällig oder bald fällig ist
+  const due = e => ['overdue', 'soon'].includes(e.maintenance_state) || ['overdue', 'soon'].includes(e.calibration_state);
+  res.json({ equipment: req.query.due === '1' ? rows.filter(e => !e.archived_at && due(e)) : rows });
 });
-app.post('/api/check-items', requireRole('admin'), (req, res) => {
-  const { shop_id, label, kind='text', position=0, min=null, max=null, unit=null, equipment_id=null, shift='morning', required=0 } = req.body || {};
-  try {
-    const info = db.prepare(`
-      INSERT INTO check_items (shop_id,label,kind,position,min,max,unit,equipment_id,shift,required)
-      VALUES (?,?,?,?,?,?,?,?,?,?)
-    `).run(shop_id, label, kind, toInt(position), min, max, unit, equipment_id, shift, toInt(required));
-    res.json({ ok: true, id: info.lastInsertRowid });
-  } catch (e) { res.json({ ok:false, error: e.message }); }
+app.post('/api/equipment', requireRole('admin'), (req, res) => {
+  const v = validate(EQUIPMENT_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  const shop = db.prepare('SELECT id, archived_at, timezone, day_cutoff FROM shops WHERE id = ?').get(req.body?.shop_id);
+  if (!shop) return badRequest(res, { error: 'Filiale nicht gefunden', field: 'shop_id' });
+  if (shop.archived_at) return res.status(409).json({ ok:false, error:'Filiale ist archiviert' });
+  // Neue Thermometer vor dem ersten Einsatz prüfen
+  if (v.data.type === 'probe' && !v.data.next_calibration_due) v.data.next_calibration_due = businessDay(shop);
+  const fields = Object.keys(v.data);
+  const info = db.prepare(`INSERT INTO equipment (shop_id,${fields.join(',')}) VALUES (?${',?'.repeat(fields.length)})`)
+    .run(shop.id, ...fields.map(f => v.data[f]));
+  const id = info.lastInsertRowid;
+  audit(req, 'equipment.create', { entity: 'equipment', entity_id: id, shop_id: shop.id, after: db.prepare('SELECT * FROM equipment WHERE id = ?').get(id) });
+  res.json({ ok: true, id });
 });
-app.put('/api/check-items/:id', requireRole('admin'), (req, res) => {
-  const { position } = req.body || {};
-  db.prepare('UPDATE check_items SET position = ? WHERE id = ?').run(toInt(position,0), req.params.id);
-  res.json({ ok: true });
+app.put('/api/equipment/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM equipment WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Gerät nicht gefunden');
+  if (req.body?.shop_id != null && Number(req.body.shop_id) !== before.shop_id) {
+    return badRequest(res, { error: 'Geräte können nicht die Filiale wechseln', field: 'shop_id' });
+  }
+  const v = validate(EQUIPMENT_SCHEMA, req.body, { partial: true });
+  if (v.error) return badRequest(res, v);
+  const fields = Object.keys(v.data);
+  if (fields.length) {
+    db.prepare(`UPDATE equipment SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`).run(...fields.map(f => v.data[f]), before.id);
+  }
+  const after = db.prepare('SELECT * FROM equipment WHERE id = ?').get(before.id);
+  audit(req, 'equipment.update', { entity: 'equipment', entity_id: before.id, shop_id: before.shop_id, before, after });
+  res.json({ ok: true, equipment: after });
 });
-app.delete('/api/check-items/:id', requireRole('admin'), (req, res) => {
-  db.prepare('DELETE FROM check_items WHERE id = ?').run(req.params.id);
+app.delete('/api/equipment/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM equipment WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Gerät nicht gefunden');
+  if (before.archived_at) return res.status(409).json({ ok:false, error:'Gerät ist bereits archiviert' });
+  db.prepare('UPDATE equipment SET archived_at = ? WHERE id = ?').run(now(), before.id);
+  audit(req, 'equipment.archive', { entity: 'equipment', entity_id: before.id, shop_id: before.shop_id, before,
+    after: db.prepare('SELECT * FROM equipment WHERE id = ?').get(before.id) });
   res.json({ ok: true });
 });
-app.post('/api/checklists/duplicate', requireRole('admin'), (req, res) => {
-  const { from_shop_id, to_shop_id } = req.body || {};
-  const items = db.prepare('SELECT * FROM check_items WHERE shop_id = ?').all(from_shop_id);
-  const tx = db.transaction(() => {
-    db.prepare('DELETE FROM check_items WHERE shop_id = ?').run(to_shop_id);
-    for (const i of items) {
-      db.prepare(`
-        INSERT INTO check_items (shop_id,label,kind,position,min,max,unit,equipment_id,shift,required)
-        VALUES (?,?,?,?,?,?,?,?,?,?)
-      `).run(to_shop_id, i.label, i.kind, i.position, i.min, i.max, i.unit, i.equipment_id, i.shift, i.required);
-    }
-  });
-  tx();
+app.post('/api/equipment/:id/restore', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM equipment WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Gerät nicht gefunden');
+  if (!before.archived_at) return res.status(409).json({ ok:false, error:'Gerät ist nicht archiviert' });
+  db.prepare('UPDATE equipment SET archived_at = NULL WHERE id = ?').run(before.id);
+  audit(req, 'equipment.restore', { entity: 'equipment', entity_id: before.id, shop_id: before.shop_id, before,
+    after: db.prepare('SELECT * FROM equipment WHERE id = ?').get(before.id) });
   res.json({ ok: true });
 });
 
-/* -------------------- Check Runs -------------------- */
-function getShopIdBySlug(slug) {
-  const s = db.prepare('SELECT id FROM shops WHERE slug = ?').get(slug);
-  return s?.id || null;
+/* Wartung, Kalibrierung, Außerbetriebnahme. Einträge landen in equipment_logs (nur anhängen)
+ * und schreiben die nächste Fälligkeit am Gerät fort: ausdrücklich angegeben, sonst
+ * Durchführung + Intervall des Geräts (Thermometer: PROBE_CALIBRATION_DAYS).
+ * Thermometer-Prüfungen (Eiswasser 0 °C, Siedewasser 100 °C, Referenzthermometer) bewertet der
+ * Server selbst; ein nicht bestandener Test nimmt das Thermometer außer Betrieb.
+ * Jede Kalibrierung ist zugleich ein Lauf der Art 'calibration' (run_id) – damit steht sie im Verlauf,
+ * in der Compliance und im Lauf-PDF und wird wie ein Tagescheck unterschrieben.
+ */
+const CALIBRATION_METHODS = {
+  ice_water: { label: 'Eiswasser-Test', reference: 0 },
+  boiling: { label: 'Siedewasser-Test', reference: 100 },
+  reference: { label: 'Vergleich mit Referenzthermometer', reference: null },
+  external: { label: 'Externe Kalibrierung', reference: null },
+};
+const PROBE_TOLERANCE = 1; // °C
+const EQUIPMENT_STATUS = ['active', 'out_of_service'];
+const EQUIPMENT_LOG_KINDS = { maintenance: 'Wartung', calibration: 'Kalibrierung', status: 'Status' };
+const EQUIPMENT_LOG_SCHEMA = {
+  kind: { type: 'enum', values: ['maintenance', 'calibration'], required: true, label: 'Art' },
+  performed_at: { ...DATE_RULE, label: 'Datum' },
+  performed_by: { type: 'string', max: 200, label: 'Durchgeführt von' },
+  method: { type: 'enum', values: Object.keys(CALIBRATION_METHODS), default: 'ice_water', label: 'Methode' },
+  reference: { type: 'number', label: 'Sollwert' },
+  reading: { type: 'number', label: 'Messwert' },
+  tolerance: { type: 'number', min: 0, label: 'Toleranz' },
+  result: { type: 'enum', values: ['pass', 'fail'], label: 'Ergebnis' },
+  note: { type: 'string', max: 2000, label: 'Bemerkung' },
+  document_url: { type: 'string', max: 500, label: 'Nachweis' },
+  next_due: { ...DATE_RULE, label: 'Nächste Fälligkeit' },
+};
+const EQUIPMENT_STATUS_SCHEMA = {
+  status: { type: 'enum', values: EQUIPMENT_STATUS, required: true, label: 'Status' },
+  note: { type: 'string', max: 500, label: 'Grund' },
+};
+function equipmentForRequest(req, res) {
+  const eq = db.prepare('SELECT * FROM equipment WHERE id = ?').get(req.params.id);
+  if (!eq) { notFound(res, 'Gerät nicht gefunden'); return null; }
+  if (!canAccessShop(req.session, eq.shop_id)) { forbidden(res); return null; }
+  return eq;
+}
+function calibrationInterval(eq) {
+  return eq.calibration_interval_days || (eq.type === 'probe' ? PROBE_CALIBRATION_DAYS : null);
+}
+function addDays(date, days) { return days ? dayjs(date).add(days, 'day').format('YYYY-MM-DD') : null; }
+function insertEquipmentLog(req, eq, e) {
+  const info = db.prepare(`
+    INSERT INTO equipment_logs (equipment_id,kind,performed_at,performed_by,method,reference,reading,tolerance,result,status,note,document_url,next_due,created_by,created_at,run_id)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `).run(eq.id, e.kind, e.performed_at || shopBusinessDay(eq.shop_id), e.performed_by || null, e.method || null, e.reference ?? null, e.reading ?? null,
+    e.tolerance ?? null, e.result || null, e.status || null, e.note || null, e.document_url || null, e.next_due || null,
+    req.session.id, now(), e.run_id || null);
+  return db.prepare('SELECT * FROM equipment_logs WHERE id = ?').get(info.lastInsertRowid);
+}
+// Lauf zur Kalibrierung: Geschäftstag = Tag der Durchführung, ohne Schicht, gleich abgesendet
+function insertCalibrationRun(req, eq, e) {
+  const id = crypto.randomUUID();
+  const ok = e.result === 'fail' ? 0 : 1;
+  db.prepare(`
+    INSERT INTO check_runs (id,shop_id,run_date,shift,status,note,ok_count,fail_count,created_at,captured_at,created_by,updated_at,run_type)
+    VALUES (?,?,?,NULL,'submitted',?,?,?,?,?,?,?,'calibration')
+  `).run(id, eq.shop_id, e.performed_at, e.note || '', ok, 1 - ok, now(), now(), req.session.id, now());
+  return id;
+}
+function calibrationLogs(run_id) {
+  return db.prepare(`
+    SELECT l.*, e.name AS equipment_name, e.serial AS equipment_serial, COALESCE(u.name, u.email) AS created_by_name
+    FROM equipment_logs l JOIN equipment e ON e.id = l.equipment_id LEFT JOIN users u ON u.id = l.created_by
+    WHERE l.run_id = ? AND l.kind = 'calibration' ORDER BY l.id ASC
+  `).all(run_id);
+}
+function setEquipmentStatus(req, eq, status, note) {
+  db.prepare('UPDATE equipment SET status = ?, status_note = ?, status_changed_at = ? WHERE id = ?')
+    .run(status, status === 'active' ? null : note || null, now(), eq.id);
+  return insertEquipmentLog(req, eq, { kind: 'status', status, note });
 }
 
-app.get('/api/check-runs', async (req, res) => {
-  const slug = req.query.shop;
-  const shop_id = slug ? getShopIdBySlug(slug) : null;
-  const from = req.query.from || '0000-01-01';
-  const to = req.query.to || '9999-12-31';
-  const status = req.query.status;
+app.get('/api/equipment/:id/logs', requireRole(), (req, res) => {
+  const eq = equipmentForRequest(req, res); if (!eq) return;
+  const kind = EQUIPMENT_LOG_KINDS[req.query.kind] ? req.query.kind : null;
+  const logs = db.prepare(`
+    SELECT l.*, u.email AS created_by_email FROM equipment_logs l
+    LEFT JOIN users u ON u.id = l.created_by
+    WHERE l.equipment_id = ? AND (? IS NULL OR l.kind = ?)
+    ORDER BY l.performed_at DESC, l.id DESC
+  `).all(eq.id, kind, kind);
+  res.json({ equipment: withDueState(eq), logs });
+});
 
-  const rows = db.prepare(`
-    SELECT id, shop_id, run_date, status, note, ok_count, fail_count, created_at, signed_at
-    FROM check_runs
-    WHERE (? IS NULL OR shop_id = ?)
-      AND run_date >= ? AND run_date <= ?
-      AND (? IS NULL OR status = ?)
-    ORDER BY created_at DESC
-  `).all(shop_id || null, shop_id || null, from, to, status || null, status || null);
+// Thermometer-Prüfungen darf das Personal erfassen; Wartung und externe Kalibrierung ab Filialleitung.
+app.post('/api/equipment/:id/logs', requireRole('staff'), (req, res) => {
+  const eq = equipmentForRequest(req, res); if (!eq) return;
+  if (eq.archived_at) return res.status(409).json({ ok:false, error:'Gerät ist archiviert' });
+  const v = validate(EQUIPMENT_LOG_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  // Ohne Datum gilt der Geschäftstag der Filiale – er ist zugleich das Datum des Kalibrierlaufs
+  const shop = db.prepare('SELECT name, slug, timezone, day_cutoff FROM shops WHERE id = ?').get(eq.shop_id);
+  const e = { ...v.data, performed_at: v.data.performed_at || businessDay(shop) };
+  if (!dayjs(e.performed_at).isValid()) return badRequest(res, { error: 'Ungültiges Datum', field: 'performed_at' });
+  if (e.performed_at > localTime(shop, new Date(), 'YYYY-MM-DD')) return badRequest(res, { error: 'Datum liegt in der Zukunft', field: 'performed_at' });
+  if ((e.kind === 'maintenance' || e.method === 'external') && !hasRole(req.session, 'manager')) return forbidden(res);
 
-  res.json({ runs: rows });
+  if (e.kind === 'maintenance') {
+    Object.assign(e, { method: null, reference: null, reading: null, tolerance: null });
+  } else if (e.method === 'external') {
+    if (!e.result) return badRequest(res, { error: 'Ergebnis ist erforderlich', field: 'result' });
+  } else {
+    const m = CALIBRATION_METHODS[e.method];
+    e.reference = m.reference ?? e.reference;
+    if (e.reference == null) return badRequest(res, { error: 'Sollwert des Referenzthermometers ist erforderlich', field: 'reference' });
+    if (e.reading == null) return badRequest(res, { error: 'Messwert ist erforderlich', field: 'reading' });
+    e.tolerance = e.tolerance ?? PROBE_TOLERANCE;
+    e.result = Math.abs(e.reading - e.reference) <= e.tolerance + 1e-9 ? 'pass' : 'fail';
+  }
+  if (e.kind === 'maintenance') e.next_due = e.next_due || addDays(e.performed_at, eq.maintenance_interval_days);
+  else if (e.result !== 'fail') e.next_due = e.next_due || addDays(e.performed_at, calibrationInterval(eq));
+  // Nicht bestanden: sofort wieder fällig – nach Austausch oder Justierung erneut prüfen.
+  else e.next_due = null;
+  const nextDue = e.kind === 'calibration' && e.result === 'fail' ? e.performed_at : e.next_due;
+
+  let log, statusLog = null;
+  db.transaction(() => {
+    if (e.kind === 'calibration') e.run_id = insertCalibrationRun(req, eq, e);
+    log = insertEquipmentLog(req, eq, e);
+    if (nextDue) {
+      db.prepare(`UPDATE equipment SET ${e.kind === 'maintenance' ? 'next_maintenance_due' : 'next_calibration_due'} = ? WHERE id = ?`)
+        .run(nextDue, eq.id);
+    }
+    if (e.kind === 'calibration' && e.result === 'fail' && eq.status !== 'out_of_service') {
+      statusLog = setEquipmentStatus(req, eq, 'out_of_service', `${CALIBRATION_METHODS[e.method].label} nicht bestanden`);
+    }
+  })();
+  const after = db.prepare('SELECT * FROM equipment WHERE id = ?').get(eq.id);
+  audit(req, `equipment.${e.kind}`, { entity: 'equipment', entity_id: eq.id, shop_id: eq.shop_id, before: eq, after, meta: { log_id: log.id } });
+  if (e.run_id) audit(req, 'check_run.submit', { entity: 'check_run', entity_id: e.run_id, shop_id: eq.shop_id, after: runSnapshot(e.run_id) });
+  if (statusLog) {
+    notifier.emit('equipment.calibration_failed', {
+      key: String(log.id), shop_id: eq.shop_id,
+      subject: `${shop.name}: ${eq.name} hat die Kalibrierprüfung nicht bestanden`,
+      body: `${CALIBRATION_METHODS[e.method].label}: gemessen ${e.reading ?? '—'} °C, Soll ${e.reference ?? '—'} °C (±${e.tolerance ?? '—'}). Das Gerät ist außer Betrieb gesetzt.`,
+      data: { equipment_id: eq.id, shop_slug: shop.slug, log_id: log.id, run_id: e.run_id },
+    });
+  }
+  res.json({ ok: true, log, run_id: e.run_id || null, equipment: withDueState(after) });
 });
 
-app.get('/api/check-runs/:id', (req, res) => {
-  const run = db.prepare('SELECT * FROM check_runs WHERE id = ?').get(req.params.id);
-  if (!run) return res.json({ run: null });
-  const answers = db.prepare(`
-    SELECT a.*, e.name AS equipment_name
-    FROM check_run_answers a
-    LEFT JOIN equipment e ON e.id = a.equipment_id
-    WHERE run_id = ?
-    ORDER BY id ASC
-  `).all(run.id);
-  const actions = db.prepare('SELECT * FROM corrective_actions WHERE run_id = ? ORDER BY id ASC').all(run.id);
-  res.json({ run, answers, actions });
+app.post('/api/equipment/:id/status', requireRole('manager'), (req, res) => {
+  const eq = equipmentForRequest(req, res); if (!eq) return;
+  if (eq.archived_at) return res.status(409).json({ ok:false, error:'Gerät ist archiviert' });
+  const v = validate(EQUIPMENT_STATUS_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  if (v.data.status === eq.status) return res.status(409).json({ ok:false, error:'Gerät hat diesen Status bereits' });
+  if (v.data.status === 'out_of_service' && !v.data.note) return badRequest(res, { error: 'Grund ist erforderlich', field: 'note' });
+  db.transaction(() => setEquipmentStatus(req, eq, v.data.status, v.data.note))();
+  const after = db.prepare('SELECT * FROM equipment WHERE id = ?').get(eq.id);
+  audit(req, 'equipment.status', { entity: 'equipment', entity_id: eq.id, shop_id: eq.shop_id, before: eq, after });
+  res.json({ ok: true, equipment: withDueState(after) });
 });
 
-app.post('/api/check-runs', requireRole(), (req, res) => {
-  const { shop_slug, answers = [], note = '', status = 'submitted' } = req.body || {};
-  const shop_id = getShopIdBySlug(shop_slug);
-  if (!shop_id) return res.json({ ok:false, error:'Filiale nicht gefunden' });
+/* -------------------- Datenlogger (Sensoren) -------------------- */
+/* Funk-Sensoren übertragen Messwerte stapelweise an POST /api/ingest/readings, angemeldet mit
+ * ihrem API-Schlüssel (Authorization: Bearer … oder X-Api-Key). Jeder Sensor gehört zu einem Gerät;
+ * die Grenzwerte kommen aus den Temperatur-Einträgen, die in der Filiale an diesem Gerät hängen.
+ * Rohwerte bleiben SENSOR_RAW_DAYS, Stundenwerte (min/max/Summe) SENSOR_HOURLY_DAYS erhalten.
+ * Abweichungen werden zu zusammenhängenden Ereignissen zusammengefasst und ab
+ * SENSOR_EXCURSION_MIN Minuten Dauer gemeldet.
+ */
+const SENSOR_BATCH_MAX = 1000;
+const SENSOR_SCHEMA = {
+  name: { type: 'string', required: true, max: 100, label: 'Name' },
+  equipment_id: { type: 'int', required: true, label: 'Gerät' },
+};
+function newSensorKey() {
+  const key = `bsk_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, key_prefix: key.slice(0, 10), key_hash: tokenHash(key) };
+}
+function sensorFromRequest(req) {
+  const auth = req.get('authorization') || '';
+  const key = auth.startsWith('Bearer ') ? auth.slice(7).trim() : req.get('x-api-key');
+  if (!key) return null;
+  return db.prepare('SELECT * FROM sensors WHERE key_hash = ? AND revoked_at IS NULL').get(tokenHash(key)) || null;
+}
+// Strengste Grenzwerte aller Temperatur-Einträge der aktuellen Checkliste, die an diesem Gerät hängen
+function equipmentLimits(eq) {
+  const items = shopItems(eq.shop_id).filter(i => i.equipment_id === eq.id && i.kind === 'temperature');
+  const mins = items.map(i => i.min).filter(v => v != null), maxs = items.map(i => i.max).filter(v => v != null);
+  if (!mins.length && !maxs.length) return null;
+  return { min: mins.length ? Math.max(...mins) : null, max: maxs.length ? Math.min(...maxs) : null };
+}
+function withinLimits(value, limits) {
+  if (!limits) return null;
+  return (limits.min == null || value >= limits.min) && (limits.max == null || value <= limits.max) ? 1 : 0;
+}
+// Messzeitpunkt: ISO-String oder Unix-Zeit in Millisekunden
+function readingTime(t) {
+  const d = typeof t === 'number' ? dayjs(t) : typeof t === 'string' && t ? dayjs(t) : null;
+  return d && d.isValid() ? d.toISOString() : null;
+}
+function sensorView(s) {
+  const { key_hash, ...rest } = s;
+  return rest;
+}
 
-  const id = crypto.randomUUID();
-  const run_date = ymd(new Date());
-  let ok_count = 0, fail_count = 0;
+app.get('/api/sensors', requireRole('manager'), (req, res) => {
+  const shop_id = req.query.shop_id || (req.query.shop ? getShopIdBySlug(req.query.shop) : null);
+  if (shop_id && !canAccessShop(req.session, shop_id)) return forbidden(res);
+  const scope = scopeParam(req.session);
+  const sensors = db.prepare(`
+    SELECT s.*, e.name AS equipment_name, e.shop_id,
+           (SELECT COUNT(*) FROM sensor_excursions x WHERE x.sensor_id = s.id AND x.ended_at IS NULL) AS open_excursions
+    FROM sensors s JOIN equipment e ON e.id = s.equipment_id
+    WHERE (? IS NULL OR e.shop_id = ?)
+      AND (? IS NULL OR e.shop_id IN (SELECT value FROM json_each(?)))
+      AND (? = 1 OR s.revoked_at IS NULL)
+    ORDER BY e.name COLLATE NOCASE, s.name COLLATE NOCASE
+  `).all(shop_id || null, shop_id || null, scope, scope, req.query.include_revoked === '1' ? 1 : 0);
+  const offlineBefore = new Date(Date.now() - SENSOR_OFFLINE_HOURS * 3600000).toISOString();
+  res.json({ sensors: sensors.map(s => ({ ...sensorView(s), offline: !s.revoked_at && (!s.last_seen_at || s.last_seen_at < offlineBefore) })) });
+});
+// Der Schlüssel wird nur bei Anlage und Erneuerung einmal ausgeliefert.
+app.post('/api/sensors', requireRole('admin'), (req, res) => {
+  const v = validate(SENSOR_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  const eq = db.prepare('SELECT * FROM equipment WHERE id = ?').get(v.data.equipment_id);
+  if (!eq) return badRequest(res, { error: 'Gerät nicht gefunden', field: 'equipment_id' });
+  if (eq.archived_at) return res.status(409).json({ ok:false, error:'Gerät ist archiviert' });
+  const k = newSensorKey();
+  const info = db.prepare('INSERT INTO sensors (equipment_id,name,key_prefix,key_hash,created_at,created_by) VALUES (?,?,?,?,?,?)')
+    .run(eq.id, v.data.name, k.key_prefix, k.key_hash, now(), req.session.id);
+  const sensor = sensorView(db.prepare('SELECT * FROM sensors WHERE id = ?').get(info.lastInsertRowid));
+  audit(req, 'sensor.create', { entity: 'sensor', entity_id: sensor.id, shop_id: eq.shop_id, after: sensor });
+  res.json({ ok: true, sensor, api_key: k.key });
+});
+app.put('/api/sensors/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM sensors WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Sensor nicht gefunden');
+  const v = validate(SENSOR_SCHEMA, req.body, { partial: true });
+  if (v.error) return badRequest(res, v);
+  if (v.data.equipment_id != null) {
+    const eq = db.prepare('SELECT * FROM equipment WHERE id = ? AND archived_at IS NULL').get(v.data.equipment_id);
+    if (!eq) return badRequest(res, { error: 'Gerät nicht gefunden oder archiviert', field: 'equipment_id' });
+  }
+  const fields = Object.keys(v.data);
+  if (fields.length) db.prepare(`UPDATE sensors SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`).run(...fields.map(f => v.data[f]), before.id);
+  // Offene Abweichung gehört zum alten Gerät
+  if (v.data.equipment_id != null && v.data.equipment_id !== before.equipment_id) {
+    db.prepare('UPDATE sensor_excursions SET ended_at = last_at WHERE sensor_id = ? AND ended_at IS NULL').run(before.id);
+  }
+  const after = db.prepare('SELECT * FROM sensors WHERE id = ?').get(before.id);
+  const eq = db.prepare('SELECT shop_id FROM equipment WHERE id = ?').get(after.equipment_id);
+  audit(req, 'sensor.update', { entity: 'sensor', entity_id: before.id, shop_id: eq.shop_id, before: sensorView(before), after: sensorView(after) });
+  res.json({ ok: true, sensor: sensorView(after) });
+});
+app.post('/api/sensors/:id/rotate', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM sensors WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Sensor nicht gefunden');
+  if (before.revoked_at) return res.status(409).json({ ok:false, error:'Sensor ist gesperrt' });
+  const k = newSensorKey();
+  db.prepare('UPDATE sensors SET key_prefix = ?, key_hash = ? WHERE id = ?').run(k.key_prefix, k.key_hash, before.id);
+  const eq = db.prepare('SELECT shop_id FROM equipment WHERE id = ?').get(before.equipment_id);
+  audit(req, 'sensor.rotate_key', { entity: 'sensor', entity_id: before.id, shop_id: eq.shop_id, meta: { key_prefix: k.key_prefix } });
+  res.json({ ok: true, api_key: k.key });
+});
+app.delete('/api/sensors/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM sensors WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Sensor nicht gefunden');
+  if (before.revoked_at) return res.status(409).json({ ok:false, error:'Sensor ist bereits gesperrt' });
+  db.prepare('UPDATE sensors SET revoked_at = ? WHERE id = ?').run(now(), before.id);
+  db.prepare('UPDATE sensor_excursions SET ended_at = last_at WHERE sensor_id = ? AND ended_at IS NULL').run(before.id);
+  const eq = db.prepare('SELECT shop_id FROM equipment WHERE id = ?').get(before.equipment_id);
+  audit(req, 'sensor.revoke', { entity: 'sensor', entity_id: before.id, shop_id: eq.shop_id, before: sensorView(before),
+    after: sensorView(db.prepare('SELECT * FROM sensors WHERE id = ?').get(before.id)) });
+  res.json({ ok: true });
+});
 
-  const tx = db.transaction(() => {
-    db.prepare(`
-      INSERT INTO check_runs (id,shop_id,run_date,status,note,ok_count,fail_count,created_at)
-      VALUES (?,?,?,?,?,?,?,?)
-    `).run(id, shop_id, run_date, status, note, 0, 0, now());
-
-    for (const a of answers) {
-      const item = db.prepare('SELECT * FROM check_items WHERE id = ?').get(a.item_id);
-      if (!item) continue;
-      const kind = item.kind;
-      const unit = item.unit;
-      const min = item.min;
-      const max = item.max;
-      const shift = item.shift;
-      const equipment_id = item.equipment_id || null;
-
-      let ok = 1;
-      if (kind === 'boolean') {
-        const v = String(a.value || '').toLowerCase();
-        ok = (v === 'true' || v === '1' || v === 'yes' || v === 'ja') ? 1 : 0;
-      } else if (kind === 'number' || kind === 'temperature') {
-        const n = Number(a.value);
-        if (!Number.isFinite(n)) ok = 0;
-        if (min !== null && n < Number(min)) ok = 0;
-        if (max !== null && n > Number(max)) ok = 0;
-      } else {
-        ok = String(a.value || '').trim().length > 0 ? 1 : 0;
-      }
-      if (ok) ok_count++; else fail_count++;
+/* Body: { readings: [{ t | measured_at, value }] }, höchstens SENSOR_BATCH_MAX Werte.
+ * Doppelt übertragene Werte (gleicher Zeitpunkt) werden ignoriert, damit Sensoren nach
+ * Verbindungsabbrüchen ihren Puffer einfach erneut senden können. Ungültige Werte werden
+ * einzeln mit Index zurückgemeldet, der Rest des Stapels wird gespeichert.
+ */
+app.post('/api/ingest/readings', (req, res) => {
+  const sensor = sensorFromRequest(req);
+  if (!sensor) return res.status(401).json({ ok: false, error: 'Ungültiger API-Schlüssel' });
+  const eq = db.prepare('SELECT * FROM equipment WHERE id = ?').get(sensor.equipment_id);
+  if (eq.archived_at) return res.status(409).json({ ok:false, error:'Gerät ist archiviert' });
+  const list = req.body?.readings;
+  if (!Array.isArray(list) || !list.length) return badRequest(res, { error: 'readings ist erforderlich', field: 'readings' });
+  if (list.length > SENSOR_BATCH_MAX) return res.status(413).json({ ok:false, error:`Höchstens ${SENSOR_BATCH_MAX} Messwerte je Anfrage`, field:'readings' });
 
-      db.prepare(`
-        INSERT INTO check_run_answers (run_id,item_id,label,kind,equipment_id,unit,min,max,shift,value,ok,evidence_url)
-        VALUES (?,?,?,?,?,?,?,?,?,?,?,?)
-      `).run(id, item.id, item.label, kind, equipment_id, unit, min, max, shift, String(a.value ?? ''), ok, a.evidence_url || null);
-
-      if (a.corrective && !ok) {
-        db.prepare(`
-          INSERT INTO corrective_actions (run_id,item_id,description,assigned_to,due_date,photo_url,status)
-          VALUES (?,?,?,?,?,?,?)
-        `).run(id, item.id, a.corrective.description, a.corrective.assigned_to || null, a.corrective.due_date || null, a.corrective.photo_url || null, 'open');
+  const limits = equipmentLimits(eq);
+  const latest = new Date(Date.now() + 5 * 60000).toISOString();
+  const oldest = new Date(Date.now() - SENSOR_RAW_DAYS * 86400000).toISOString();
+  const rejected = [], valid = [];
+  list.forEach((r, index) => {
+    const t = readingTime(r?.t ?? r?.measured_at);
+    const value = typeof r?.value === 'string' ? Number(r.value.replace(',', '.')) : Number(r?.value);
+    if (!t) return rejected.push({ index, error: 'Ungültiger Zeitpunkt' });
+    if (t > latest) return rejected.push({ index, error: 'Zeitpunkt liegt in der Zukunft' });
+    if (t < oldest) return rejected.push({ index, error: `Älter als ${SENSOR_RAW_DAYS} Tage` });
+    if (r?.value == null || r.value === '' || !Number.isFinite(value)) return rejected.push({ index, error: 'Ungültiger Messwert' });
+    valid.push({ t, value, ok: withinLimits(value, limits) });
+  });
+  valid.sort((a, b) => a.t.localeCompare(b.t));
+
+  let accepted = 0, duplicates = 0;
+  const touched = new Set();
+  db.transaction(() => {
+    const ins = db.prepare('INSERT OR IGNORE INTO sensor_readings (sensor_id,equipment_id,measured_at,value,ok) VALUES (?,?,?,?,?)');
+    const hourly = db.prepare(`
+      INSERT INTO sensor_hourly (sensor_id,equipment_id,hour,count,min,max,sum,excursions) VALUES (?,?,?,1,?,?,?,?)
+      ON CONFLICT(sensor_id, hour) DO UPDATE SET count = count + 1, min = MIN(min, excluded.min), max = MAX(max, excluded.max),
+        sum = sum + excluded.sum, excursions = excursions + excluded.excursions
+    `);
+    let open = db.prepare('SELECT * FROM sensor_excursions WHERE sensor_id = ? AND ended_at IS NULL').get(sensor.id);
+    let last = sensor.last_reading_at || '';
+    for (const r of valid) {
+      if (!ins.run(sensor.id, eq.id, r.t, r.value, r.ok).changes) { duplicates++; continue; }
+      accepted++;
+      hourly.run(sensor.id, eq.id, `${r.t.slice(0, 13)}:00:00.000Z`, r.value, r.value, r.value, r.ok === 0 ? 1 : 0);
+      // Abweichungen nur in zeitlicher Reihenfolge verfolgen; nachgereichte ältere Werte zählen nur in der Statistik
+      if (r.t <= last) continue;
+      last = r.t;
+      if (r.ok === 0) {
+        const dev = v => Math.max(limits.min != null ? limits.min - v : -Infinity, limits.max != null ? v - limits.max : -Infinity);
+        if (!open) {
+          const id = db.prepare(`
+            INSERT INTO sensor_excursions (sensor_id,equipment_id,started_at,last_at,limit_min,limit_max,peak) VALUES (?,?,?,?,?,?,?)
+          `).run(sensor.id, eq.id, r.t, r.t, limits.min, limits.max, r.value).lastInsertRowid;
+          open = db.prepare('SELECT * FROM sensor_excursions WHERE id = ?').get(id);
+        } else {
+          open.peak = dev(r.value) > dev(open.peak) ? r.value : open.peak;
+          db.prepare('UPDATE sensor_excursions SET last_at = ?, peak = ?, readings = readings + 1 WHERE id = ?').run(r.t, open.peak, open.id);
+          open.last_at = r.t;
+        }
+        touched.add(open.id);
+      } else if (open) {
+        db.prepare('UPDATE sensor_excursions SET ended_at = ? WHERE id = ?').run(r.t, open.id);
+        touched.add(open.id);
+        open = null;
       }
     }
+    db.prepare('UPDATE sensors SET last_seen_at = ?, last_reading_at = ? WHERE id = ?').run(now(), last || null, sensor.id);
+  })();
 
-    db.prepare('UPDATE check_runs SET ok_count=?, fail_count=? WHERE id = ?').run(ok_count, fail_count, id);
-  });
-
-  tx();
-  res.json({ ok: true, run_id: id });
+  notifySensorExcursions([...touched]);
+  res.json({ ok: true, accepted, duplicates, rejected, limits });
 });
 
-app.post('/api/check-runs/:id/sign', requireRole(), (req, res) => {
-  const { password } = req.body || {};
-  // Einfachheit: Prüfe nur, ob Session-User existiert; optional Passwort checken
-  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(req.session.id);
-  if (!u || !bcrypt.compareSync(password || '', u.password_hash)) {
-    return res.json({ ok:false, error:'Passwort ungültig' });
+// Meldet Abweichungen, sobald sie SENSOR_EXCURSION_MIN Minuten andauern (einmal je Ereignis)
+function notifySensorExcursions(ids) {
+  if (!ids.length) return;
+  const rows = db.prepare(`
+    SELECT x.*, e.name AS equipment_name, e.shop_id, s.name AS shop_name, s.slug AS shop_slug, s.timezone, se.name AS sensor_name
+    FROM sensor_excursions x
+    JOIN equipment e ON e.id = x.equipment_id JOIN shops s ON s.id = e.shop_id JOIN sensors se ON se.id = x.sensor_id
+    WHERE x.id IN (SELECT value FROM json_each(?)) AND x.notified_at IS NULL
+  `).all(JSON.stringify(ids));
+  for (const x of rows) {
+    const minutes = Math.round((Date.parse(x.last_at) - Date.parse(x.started_at)) / 60000);
+    if (minutes < SENSOR_EXCURSION_MIN) continue;
+    db.prepare('UPDATE sensor_excursions SET notified_at = ? WHERE id = ?').run(now(), x.id);
+    const range = `${x.limit_min ?? '—'} bis ${x.limit_max ?? '—'} °C`;
+    notifier.emit('sensor.excursion', {
+      key: String(x.id), shop_id: x.shop_id,
+      subject: `${x.shop_name}: ${x.equipment_name} seit ${minutes} Min. außerhalb der Grenzwerte`,
+      body: `Datenlogger ${x.sensor_name}: Spitzenwert ${x.peak} °C (Soll ${range}), seit ${localTime(x, x.started_at)}.`,
+      data: { excursion_id: x.id, equipment_id: x.equipment_id, shop_slug: x.shop_slug },
+    });
   }
-  db.prepare('UPDATE check_runs SET status="signed", signed_at = ? WHERE id = ?').run(now(), req.params.id);
-  res.json({ ok: true });
-});
+}
 
-/* -------------------- Dashboard -------------------- */
-app.get('/api/dashboard', (req, res) => {
-  const slug = req.query.shop;
-  const shop_id = slug ? getShopIdBySlug(slug) : null;
-  const total = db.prepare(`
-    SELECT COUNT(*) AS runs,
-           SUM(CASE WHEN status='signed' THEN 1 ELSE 0 END) AS signed
-    FROM check_runs WHERE (? IS NULL OR shop_id = ?)
-  `).get(shop_id || null, shop_id || null);
-  const last7 = [];
-  for (let i = 6; i >= 0; i--) {
-    const d = dayjs().subtract(i, 'day').format('YYYY-MM-DD');
-    const r = db.prepare('SELECT SUM(fail_count) AS issues FROM check_runs WHERE run_date = ? AND (? IS NULL OR shop_id = ?)')
-      .get(d, shop_id || null, shop_id || null);
-    last7.push({ run_date: d, issues: r.issues || 0 });
+/* Tages- bzw. Stundenwerte der Datenlogger für Diagramme und Bericht (Zeitraum in Geschäftstagen der Filiale;
+ * Stundenwerte werden dem Geschäftstag zugeordnet, in dem die Stunde beginnt).
+ * Liefert je Gerät { days, points (resolution 'hour' | 'day'), excursions }.
+ */
+function sensorSeries(shop_id, from, to, { resolution = 'day' } = {}) {
+  const shop = db.prepare('SELECT timezone, day_cutoff FROM shops WHERE id = ?').get(shop_id);
+  const start = businessDayStart(shop, from), end = businessDayStart(shop, dayjs(to).add(1, 'day').format('YYYY-MM-DD'));
+  const series = new Map(), dayOf = new Map(); // Stunde → Geschäftstag (gleiche Stunden mehrerer Geräte)
+  const get = id => {
+    if (!series.has(id)) series.set(id, { days: new Map(), points: [], excursions: [] });
+    return series.get(id);
+  };
+  for (const h of db.prepare(`
+    SELECT h.equipment_id, h.hour, SUM(h.count) AS count, MIN(h.min) AS min, MAX(h.max) AS max, SUM(h.sum) AS sum, SUM(h.excursions) AS excursions
+    FROM sensor_hourly h JOIN equipment e ON e.id = h.equipment_id
+    WHERE e.shop_id = ? AND h.hour >= ? AND h.hour < ?
+    GROUP BY h.equipment_id, h.hour ORDER BY h.hour ASC
+  `).iterate(shop_id, start, end)) {
+    const s = get(h.equipment_id);
+    if (!dayOf.has(h.hour)) dayOf.set(h.hour, businessDay(shop, h.hour));
+    const date = dayOf.get(h.hour);
+    const d = s.days.get(date) || { date, count: 0, min: Infinity, max: -Infinity, sum: 0, excursions: 0 };
+    d.count += h.count; d.min = Math.min(d.min, h.min); d.max = Math.max(d.max, h.max); d.sum += h.sum; d.excursions += h.excursions;
+    s.days.set(date, d);
+    if (resolution === 'hour') s.points.push({ t: h.hour, min: h.min, max: h.max, avg: round1(h.sum / h.count) });
   }
-  res.json({ totals: total, last7 });
-});
+  for (const x of db.prepare(`
+    SELECT x.*, se.name AS sensor_name FROM sensor_excursions x
+    JOIN equipment e ON e.id = x.equipment_id JOIN sensors se ON se.id = x.sensor_id
+    WHERE e.shop_id = ? AND x.started_at < ? AND COALESCE(x.ended_at, x.last_at) >= ?
+    ORDER BY x.started_at ASC
+  `).all(shop_id, end, start)) {
+    get(x.equipment_id).excursions.push({
+      id: x.id, sensor: x.sensor_name, started_at: x.started_at, ended_at: x.ended_at, last_at: x.last_at,
+      minutes: Math.round((Date.parse(x.ended_at || x.last_at) - Date.parse(x.started_at)) / 60000),
+      peak: x.peak, min: x.limit_min, max: x.limit_max, readings: x.readings,
+    });
+  }
+  for (const s of series.values()) {
+    s.days = [...s.days.values()].map(d => ({ date: d.date, count: d.count, excursions: d.excursions, min: d.min, max: d.max, avg: round1(d.sum / d.count) }));
+    if (resolution === 'day') s.points = s.days.map(d => ({ t: `${d.date}T12:00:00.000Z`, min: d.min, max: d.max, avg: d.avg }));
+    s.resolution = resolution;
+  }
+  return series;
+}
 
-/* -------------------- CSV Export -------------------- */
-app.get('/api/export/csv', (req, res) => {
-  const slug = req.query.shop; const shop_id = slug ? getShopIdBySlug(slug) : null;
-  const from = req.query.from || '0000-01-01';
-  const to = req.query.to || '9999-12-31';
-  const status = req.query.status;
+// Aufbewahrung: Rohwerte und Stundenwerte nach Ablauf löschen (Abweichungs-Ereignisse bleiben)
+function pruneSensorData() {
+  const raw = db.prepare('DELETE FROM sensor_readings WHERE measured_at < ?').run(new Date(Date.now() - SENSOR_RAW_DAYS * 86400000).toISOString()).changes;
+  const hourly = db.prepare('DELETE FROM sensor_hourly WHERE hour < ?').run(new Date(Date.now() - SENSOR_HOURLY_DAYS * 86400000).toISOString()).changes;
+  return { raw, hourly };
+}
+setInterval(() => {
+  try { pruneSensorData(); } catch (e) { console.error('[sensors] prune', e); }
+}, 3600000).unref();
 
-  const runs = db.prepare(`
-    SELECT * FROM check_runs
-    WHERE (? IS NULL OR shop_id = ?)
-      AND run_date >= ? AND run_date <= ?
-      AND (? IS NULL OR status = ?)
-    ORDER BY created_at DESC
-  `).all(shop_id || null, shop_id || null, from, to, status || null, status || null);
+/* -------------------- Checklisten-Vorlagen -------------------- */
+// Neueste veröffentlichte Version einer Vorlage
+function currentVersion(template_id) {
+  return db.prepare(`
+    SELECT * FROM checklist_versions WHERE template_id = ? AND status = 'published' ORDER BY version DESC LIMIT 1
+  `).get(template_id);
+}
+function getVersion(id) {
+  return db.prepare(`
+    SELECT v.*, t.name AS template_name FROM checklist_versions v
+    JOIN checklist_templates t ON t.id = v.template_id WHERE v.id = ?
+  `).get(id);
+}
 
-  let csv = 'Datum;Status;OK;Probleme;Notiz\n';
-  for (const r of runs) {
-    const note = (r.note || '').replace(/\r?\n/g,' ').replace(/;/g, ',');
-    csv += `${r.run_date};${statusLabelDE(r.status)};${r.ok_count};${r.fail_count};${note}\n`;
-  }
+/* Einträge einer Version, wie sie in einer Filiale gelten: Vorgaben der Vorlage,
+ * überlagert von den Filial-Anpassungen (Grenzwerte, Einheit, Gerät).
+ * equipment_status: Einträge an einem außer Betrieb gesetzten Gerät sind entschuldigt.
+ */
+const EFFECTIVE_ITEM_SELECT = `
+  SELECT i.id, i.version_id, i.item_key, i.label, i.kind, i.position, i.shift, i.required, i.critical,
+         i.config_json, i.photo_required, i.depends_on,
+         COALESCE(o.min, i.min) AS min, COALESCE(o.max, i.max) AS max, COALESCE(o.unit, i.unit) AS unit,
+         o.equipment_id, eq.status AS equipment_status, eq.status_note AS equipment_status_note,
+         v.template_id, v.version, ? AS shop_id
+  FROM check_items i
+  JOIN checklist_versions v ON v.id = i.version_id
+  LEFT JOIN shop_item_overrides o ON o.shop_id = ? AND o.template_id = v.template_id AND o.item_key = i.item_key
+  LEFT JOIN equipment eq ON eq.id = o.equipment_id
+`;
+function versionItemsForShop(shop_id, version_id, shift = null) {
+  return db.prepare(`${EFFECTIVE_ITEM_SELECT}
+    WHERE i.version_id = ? AND (? IS NULL OR i.shift = ?)
+    ORDER BY i.position ASC, i.id ASC
+  `).all(shop_id, shop_id, version_id, shift, shift);
+}
+// Aktuelle Checkliste einer Filiale (leer, wenn keine Vorlage zugewiesen oder nichts veröffentlicht ist)
+function shopItems(shop_id, shift = null) {
+  const shop = db.prepare('SELECT template_id FROM shops WHERE id = ?').get(shop_id);
+  const v = shop?.template_id && currentVersion(shop.template_id);
+  return v ? versionItemsForShop(shop_id, v.id, shift) : [];
+}
+// Einzelner Eintrag mit Filial-Anpassungen; nur Einträge der Vorlage, die der Filiale zugewiesen ist
+function shopItem(shop_id, item_id) {
+  return db.prepare(`${EFFECTIVE_ITEM_SELECT}
+    WHERE i.id = ? AND v.status != 'draft' AND v.template_id = (SELECT template_id FROM shops WHERE id = ?)
+  `).get(shop_id, shop_id, item_id, shop_id);
+}
+// Einträge dürfen nur in Entwürfen geändert werden
+function draftVersionOr409(res, version_id) {
+  const v = getVersion(version_id);
+  if (!v) { res.status(404).json({ ok:false, error:'Version nicht gefunden' }); return null; }
+  if (v.status !== 'draft') { res.status(409).json({ ok:false, error:'Veröffentlichte Versionen sind unveränderlich – bitte neue Version anlegen' }); return null; }
+  return v;
+}
+function copyItems(from_version_id, to_version_id) {
+  db.prepare(`
+    INSERT INTO check_items (version_id,item_key,label,kind,position,min,max,unit,shift,required,critical,config_json,photo_required,depends_on)
+    SELECT ?, item_key, label, kind, position, min, max, unit, shift, required, critical, config_json, photo_required, depends_on
+    FROM check_items WHERE version_id = ?
+  `).run(to_version_id, from_version_id);
+}
 
-  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-  res.setHeader('Content-Disposition', `attachment; filename="bunca-verlauf-${slug || 'alle'}.csv"`);
-  res.send(csv);
+app.get('/api/templates', requireRole('admin'), (req, res) => {
+  const templates = db.prepare(`
+    SELECT t.*,
+      (SELECT MAX(version) FROM checklist_versions WHERE template_id = t.id AND status = 'published') AS current_version,
+      (SELECT id FROM checklist_versions WHERE template_id = t.id AND status = 'published' ORDER BY version DESC LIMIT 1) AS current_version_id,
+      (SELECT id FROM checklist_versions WHERE template_id = t.id AND status = 'draft') AS draft_version_id,
+      (SELECT COUNT(*) FROM shops WHERE template_id = t.id) AS shop_count
+    FROM checklist_templates t ORDER BY t.name
+  `).all();
+  res.json({ templates });
+});
+app.get('/api/templates/:id', requireRole('admin'), (req, res) => {
+  const template = db.prepare('SELECT * FROM checklist_templates WHERE id = ?').get(req.params.id);
+  if (!template) return res.status(404).json({ ok:false, error:'Vorlage nicht gefunden' });
+  const versions = db.prepare(`
+    SELECT v.*, u.email AS published_by_email,
+      (SELECT COUNT(*) FROM check_items WHERE version_id = v.id) AS item_count,
+      (SELECT COUNT(*) FROM check_runs WHERE template_version_id = v.id) AS run_count
+    FROM checklist_versions v LEFT JOIN users u ON u.id = v.published_by
+    WHERE v.template_id = ? ORDER BY v.version DESC
+  `).all(template.id);
+  const shops = db.prepare('SELECT id, name, slug FROM shops WHERE template_id = ? ORDER BY name').all(template.id);
+  res.json({ template, versions, shops });
+});
+// Neue Vorlage (Entwurf v1), optional als Kopie der aktuellen Version einer anderen Vorlage
+app.post('/api/templates', requireRole('admin'), (req, res) => {
+  const { name, description = null, copy_from = null } = req.body || {};
+  if (!String(name || '').trim()) return res.status(400).json({ ok:false, error:'Name erforderlich' });
+  const source = copy_from ? currentVersion(copy_from) : null;
+  if (copy_from && !source) return res.status(400).json({ ok:false, error:'Quellvorlage hat keine veröffentlichte Version' });
+  try {
+    const ids = db.transaction(() => {
+      const t = db.prepare('INSERT INTO checklist_templates (name,description,created_at,created_by) VALUES (?,?,?,?)')
+        .run(String(name).trim(), description, now(), req.session.id);
+      const v = db.prepare(`INSERT INTO checklist_versions (template_id,version,status,created_at,created_by) VALUES (?,1,'draft',?,?)`)
+        .run(t.lastInsertRowid, now(), req.session.id);
+      if (source) copyItems(source.id, v.lastInsertRowid);
+      return { id: t.lastInsertRowid, version_id: v.lastInsertRowid };
+    })();
+    audit(req, 'template.create', { entity: 'template', entity_id: ids.id,
+      after: db.prepare('SELECT * FROM checklist_templates WHERE id = ?').get(ids.id), meta: { copy_from: source?.id || null } });
+    res.json({ ok: true, ...ids });
+  } catch (e) { res.status(409).json({ ok:false, error: e.message.includes('UNIQUE') ? 'Name bereits vergeben' : e.message }); }
+});
+// Neuer Entwurf auf Basis der aktuellen Version
+app.post('/api/templates/:id/versions', requireRole('admin'), (req, res) => {
+  const template = db.prepare('SELECT * FROM checklist_templates WHERE id = ?').get(req.params.id);
+  if (!template) return res.status(404).json({ ok:false, error:'Vorlage nicht gefunden' });
+  const draft = db.prepare(`SELECT id FROM checklist_versions WHERE template_id = ? AND status = 'draft'`).get(template.id);
+  if (draft) return res.status(409).json({ ok:false, error:'Es gibt bereits einen Entwurf', version_id: draft.id });
+  const cur = currentVersion(template.id);
+  const { next } = db.prepare('SELECT COALESCE(MAX(version), 0) + 1 AS next FROM checklist_versions WHERE template_id = ?').get(template.id);
+  const version_id = db.transaction(() => {
+    const v = db.prepare(`INSERT INTO checklist_versions (template_id,version,status,created_at,created_by) VALUES (?,?,'draft',?,?)`)
+      .run(template.id, next, now(), req.session.id);
+    if (cur) copyItems(cur.id, v.lastInsertRowid);
+    return v.lastInsertRowid;
+  })();
+  audit(req, 'template.version_create', { entity: 'template', entity_id: template.id, after: getVersion(version_id), meta: { based_on: cur?.id || null } });
+  res.json({ ok: true, version_id, version: next });
+});
+app.post('/api/template-versions/:id/publish', requireRole('admin'), (req, res) => {
+  const v = draftVersionOr409(res, req.params.id); if (!v) return;
+  const { n } = db.prepare('SELECT COUNT(*) AS n FROM check_items WHERE version_id = ?').get(v.id);
+  if (!n) return res.status(400).json({ ok:false, error:'Leere Version kann nicht veröffentlicht werden' });
+  db.prepare(`UPDATE checklist_versions SET status = 'published', notes = ?, published_at = ?, published_by = ? WHERE id = ?`)
+    .run(req.body?.notes || null, now(), req.session.id, v.id);
+  audit(req, 'template.publish', { entity: 'template', entity_id: v.template_id, before: v, after: getVersion(v.id) });
+  res.json({ ok: true });
+});
+// Entwurf verwerfen
+app.delete('/api/template-versions/:id', requireRole('admin'), (req, res) => {
+  const v = draftVersionOr409(res, req.params.id); if (!v) return;
+  const items = db.prepare('SELECT * FROM check_items WHERE version_id = ?').all(v.id);
+  db.prepare('DELETE FROM checklist_versions WHERE id = ?').run(v.id);
+  audit(req, 'template.version_discard', { entity: 'template', entity_id: v.template_id, before: { version: v, items } });
+  res.json({ ok: true });
+});
+
+// Vorlage einer Filiale zuweisen (template_id = null entfernt die Zuweisung)
+app.put('/api/shops/:id/template', requireRole('admin'), (req, res) => {
+  const shop = db.prepare('SELECT id, template_id FROM shops WHERE id = ?').get(req.params.id);
+  if (!shop) return res.status(404).json({ ok:false, error:'Filiale nicht gefunden' });
+  const template_id = req.body?.template_id ? Number(req.body.template_id) : null;
+  if (template_id && !db.prepare('SELECT id FROM checklist_templates WHERE id = ?').get(template_id)) {
+    return res.status(404).json({ ok:false, error:'Vorlage nicht gefunden' });
+  }
+  db.prepare('UPDATE shops SET template_id = ? WHERE id = ?').run(template_id, shop.id);
+  audit(req, 'shop.template_assign', { entity: 'shop', entity_id: shop.id, shop_id: shop.id,
+    before: { template_id: shop.template_id }, after: { template_id } });
+  res.json({ ok: true });
+});
+// Filial-Anpassungen: Einträge der aktuellen Version mit Vorgaben und Überschreibungen
+app.get('/api/shops/:id/overrides', requireRole('admin'), (req, res) => {
+  const shop = db.prepare('SELECT id, template_id FROM shops WHERE id = ?').get(req.params.id);
+  if (!shop) return res.status(404).json({ ok:false, error:'Filiale nicht gefunden' });
+  const v = shop.template_id && currentVersion(shop.template_id);
+  if (!v) return res.json({ template_id: shop.template_id, version: null, items: [] });
+  const items = db.prepare(`
+    SELECT i.id, i.item_key, i.label, i.kind, i.shift, i.position, i.min AS default_min, i.max AS default_max, i.unit AS default_unit,
+           o.min, o.max, o.unit, o.equipment_id
+    FROM check_items i
+    LEFT JOIN shop_item_overrides o ON o.shop_id = ? AND o.template_id = ? AND o.item_key = i.item_key
+    WHERE i.version_id = ? ORDER BY i.shift, i.position, i.id
+  `).all(shop.id, shop.template_id, v.id);
+  res.json({ template_id: shop.template_id, version: v.version, version_id: v.id, items });
+});
+app.put('/api/shops/:id/overrides', requireRole('admin'), (req, res) => {
+  const shop = db.prepare('SELECT id, template_id FROM shops WHERE id = ?').get(req.params.id);
+  if (!shop) return res.status(404).json({ ok:false, error:'Filiale nicht gefunden' });
+  if (!shop.template_id) return res.status(400).json({ ok:false, error:'Der Filiale ist keine Vorlage zugewiesen' });
+  const { overrides = [] } = req.body || {};
+  if (!Array.isArray(overrides)) return badRequest(res, { error: 'Anpassungen als Liste erwartet', field: 'overrides' });
+  // Grenzwerte wie beim Eintrag selbst prüfen – zusammen mit den Vorgaben, die nicht überschrieben werden
+  const v = currentVersion(shop.template_id);
+  const items = new Map((v ? db.prepare('SELECT item_key, label, min, max FROM check_items WHERE version_id = ?').all(v.id) : [])
+    .map(i => [i.item_key, i]));
+  const rows = [];
+  for (const o of overrides) {
+    const val = validate(OVERRIDE_SCHEMA, o);
+    if (val.error) return badRequest(res, val);
+    const item = items.get(val.data.item_key);
+    if (!item) return badRequest(res, { error: `Eintrag ${val.data.item_key} gehört nicht zur aktuellen Version`, field: 'item_key' });
+    const limits = checkItemLimits({ min: val.data.min ?? item.min, max: val.data.max ?? item.max });
+    if (limits) return badRequest(res, { ...limits, error: `${item.label}: ${limits.error}` });
+    if (val.data.equipment_id && !db.prepare('SELECT id FROM equipment WHERE id = ? AND shop_id = ? AND archived_at IS NULL').get(val.data.equipment_id, shop.id)) {
+      return res.status(400).json({ ok:false, error:'Gerät gehört nicht zu dieser Filiale oder ist archiviert', field:'equipment_id' });
+    }
+    rows.push(val.data);
+  }
+  const list = () => db.prepare('SELECT * FROM shop_item_overrides WHERE shop_id = ? AND template_id = ? ORDER BY item_key').all(shop.id, shop.template_id);
+  const before = list();
+  db.transaction(() => {
+    db.prepare('DELETE FROM shop_item_overrides WHERE shop_id = ? AND template_id = ?').run(shop.id, shop.template_id);
+    for (const o of rows) {
+      const row = [o.min, o.max, o.unit, o.equipment_id];
+      if (row.every(x => x === null)) continue;
+      db.prepare('INSERT INTO shop_item_overrides (shop_id,template_id,item_key,min,max,unit,equipment_id) VALUES (?,?,?,?,?,?,?)')
+        .run(shop.id, shop.template_id, o.item_key, ...row);
+    }
+  })();
+  audit(req, 'shop.overrides_update', { entity: 'shop', entity_id: shop.id, shop_id: shop.id, before, after: list() });
+  res.json({ ok: true });
+});
+
+/* -------------------- Checklist Items -------------------- */
+// ?version_id=… → Einträge einer Vorlagen-Version (Verwaltung); ?shop/shop_id (+shift) → aktuelle Checkliste der Filiale
+app.get('/api/check-items', requireRole(), (req, res) => {
+  if (req.query.version_id) {
+    if (!hasRole(req.session, 'admin')) return forbidden(res);
+    const items = db.prepare('SELECT * FROM check_items WHERE version_id = ? AND (? IS NULL OR shift = ?) ORDER BY position ASC, id ASC')
+      .all(req.query.version_id, req.query.shift || null, req.query.shift || null);
+    return res.json({ version: getVersion(req.query.version_id) || null, items });
+  }
+  let shop_id = req.query.shop_id;
+  if (!shop_id && req.query.shop) shop_id = getShopIdBySlug(req.query.shop);
+  if (!shop_id) return res.json({ items: [] });
+  if (!canAccessShop(req.session, shop_id)) return forbidden(res);
+  const items = shopItems(Number(shop_id), req.query.shift || null);
+  const version = items.length ? getVersion(items[0].version_id) : null;
+  res.json({ items, template: version && { id: version.template_id, name: version.template_name, version: version.version, version_id: version.id } });
+});
+app.post('/api/check-items', requireRole('admin'), (req, res) => {
+  const val = validate(ITEM_SCHEMA, req.body);
+  if (val.error) return badRequest(res, val);
+  const limits = checkItemLimits(val.data);
+  if (limits) return badRequest(res, limits);
+  const cfg = itemConfig(val.data.kind, req.body);
+  if (cfg.error) return badRequest(res, cfg);
+  const v = draftVersionOr409(res, req.body?.version_id); if (!v) return;
+  const item_key = crypto.randomUUID();
+  const dep = checkDependsOn({ ...val.data, version_id: v.id, item_key });
+  if (dep) return badRequest(res, dep);
+  const { label, kind, position, min, max, unit, shift, required, critical, photo_required, depends_on } = val.data;
+  const info = db.prepare(`
+    INSERT INTO check_items (version_id,item_key,label,kind,position,min,max,unit,shift,required,critical,config_json,photo_required,depends_on)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `).run(v.id, item_key, label, kind, position, min, max, unit, shift, required, critical, cfg.config_json, photo_required, depends_on);
+  const id = info.lastInsertRowid;
+  audit(req, 'check_item.create', { entity: 'check_item', entity_id: id, after: db.prepare('SELECT * FROM check_items WHERE id = ?').get(id) });
+  res.json({ ok: true, id });
+});
+// Teil-Update eines Eintrags im Entwurf (auch nur { position } beim Sortieren)
+app.put('/api/check-items/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM check_items WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Eintrag nicht gefunden');
+  const val = validate(ITEM_SCHEMA, req.body, { partial: true });
+  if (val.error) return badRequest(res, val);
+  const limits = checkItemLimits({ ...before, ...val.data });
+  if (limits) return badRequest(res, limits);
+  const cfg = itemConfig(val.data.kind ?? before.kind, req.body, before.config_json);
+  if (cfg.error) return badRequest(res, cfg);
+  val.data.config_json = cfg.config_json;
+  const dep = checkDependsOn({ ...before, ...val.data });
+  if (dep) return badRequest(res, dep);
+  if (!draftVersionOr409(res, before.version_id)) return;
+  const fields = Object.keys(val.data).filter(f => val.data[f] !== before[f]);
+  if (fields.length) {
+    db.prepare(`UPDATE check_items SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`).run(...fields.map(f => val.data[f]), before.id);
+    audit(req, 'check_item.update', { entity: 'check_item', entity_id: before.id,
+      before: Object.fromEntries(fields.map(f => [f, before[f]])), after: Object.fromEntries(fields.map(f => [f, val.data[f]])) });
+  }
+  res.json({ ok: true, item: db.prepare('SELECT * FROM check_items WHERE id = ?').get(before.id) });
+});
+app.delete('/api/check-items/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM check_items WHERE id = ?').get(req.params.id);
+  if (!before) return notFound(res, 'Eintrag nicht gefunden');
+  if (!draftVersionOr409(res, before.version_id)) return;
+  db.transaction(() => {
+    // Abhängige Einträge werden wieder unbedingt
+    db.prepare('UPDATE check_items SET depends_on = NULL WHERE version_id = ? AND depends_on = ?').run(before.version_id, before.item_key);
+    db.prepare('DELETE FROM check_items WHERE id = ?').run(req.params.id);
+  })();
+  audit(req, 'check_item.delete', { entity: 'check_item', entity_id: before.id, before });
+  res.json({ ok: true });
+});
+
+/* -------------------- Check Runs -------------------- */
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+function getShopIdBySlug(slug) {
+  const s = db.prepare('SELECT id FROM shops WHERE slug = ?').get(slug);
+  return s?.id || null;
+}
+
+// Temperaturen gelten immer als kritisch (HACCP-Grenzwerte), sonst das Kennzeichen am Eintrag.
+function isCritical(item) { return !!item.critical || item.kind === 'temperature'; }
+
+/* Bewertet einen Wert gegen Art und Grenzen eines Eintrags (Checklisten-Eintrag oder Antwort-Snapshot).
+ * run_date: Stichtag für MHD-Einträge (date); evidence_url: Nachweisfoto für photo_required.
+ */
+function evaluateAnswer(item, value, { run_date = ymd(), evidence_url = null } = {}) {
+  if (item.photo_required && !evidence_url) return 0;
+  return evaluateValue(item, value, run_date);
+}
+function evaluateValue(item, value, run_date) {
+  const { kind, min, max } = item;
+  const cfg = item.config_json ? JSON.parse(item.config_json) : {};
+  if (kind === 'boolean') {
+    const v = String(value || '').toLowerCase();
+    return (v === 'true' || v === '1' || v === 'yes' || v === 'ja') ? 1 : 0;
+  }
+  if (kind === 'number' || kind === 'temperature') {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return 0;
+    if (min !== null && n < Number(min)) return 0;
+    if (max !== null && n > Number(max)) return 0;
+    return 1;
+  }
+  if (kind === 'choice') {
+    const opt = (cfg.options || []).find(o => o.label === String(value ?? ''));
+    return opt?.ok ? 1 : 0;
+  }
+  if (kind === 'multi') {
+    const picked = parseMulti(value);
+    if (!picked.length) return 0;
+    return picked.every(p => (cfg.options || []).find(o => o.label === p)?.ok) ? 1 : 0;
+  }
+  if (kind === 'counter') {
+    if (String(value ?? '').trim() === '') return 0;
+    const n = Number(value);
+    if (!Number.isFinite(n)) return 0;
+    return Math.abs(n - Number(cfg.target)) <= Number(cfg.tolerance || 0) ? 1 : 0;
+  }
+  if (kind === 'date') {
+    // MHD: am Stichtag selbst noch in Ordnung
+    const v = String(value ?? '');
+    return /^\d{4}-\d{2}-\d{2}$/.test(v) && dayjs(v).isValid() && v >= run_date ? 1 : 0;
+  }
+  return String(value || '').trim().length > 0 ? 1 : 0;
+}
+// Mehrfachauswahl: JSON-Array der gewählten Optionen (ältere/einfache Clients: kommagetrennt)
+function parseMulti(value) {
+  if (Array.isArray(value)) return value.map(String);
+  try { const a = JSON.parse(value); if (Array.isArray(a)) return a.map(String); } catch {}
+  return String(value ?? '').split(',').map(x => x.trim()).filter(Boolean);
+}
+function answerValue(item, value) {
+  if (item.kind === 'multi') return JSON.stringify(parseMulti(value));
+  return String(value ?? '');
+}
+// Lesbarer Wert für PDF und Benachrichtigungen
+function formatAnswerValue(a) {
+  if (a.kind === 'multi') return parseMulti(a.value).join(', ') || '—';
+  if (a.kind === 'signature') return a.value ? 'Unterschrieben' : '—';
+  if (a.kind === 'date' && a.value) return dayjs(a.value).isValid() ? dayjs(a.value).format('DD.MM.YYYY') : a.value;
+  if (a.kind === 'temperature') return `${a.value} ${a.unit || ''}`.trim();
+  return String(a.value ?? '');
+}
+// Vorgabe als Text: Grenzen, Soll ± Toleranz, zulässige Optionen
+function formatAnswerTarget(a) {
+  const cfg = a.config_json ? JSON.parse(a.config_json) : {};
+  if (a.kind === 'temperature' || a.kind === 'number') {
+    if (a.min == null && a.max == null) return '—';
+    return `${a.min ?? ''}–${a.max ?? ''} ${a.unit || ''}`.trim();
+  }
+  if (a.kind === 'counter') return `${cfg.target} ± ${cfg.tolerance || 0}${a.unit ? ' ' + a.unit : ''}`;
+  if (a.kind === 'choice' || a.kind === 'multi') return (cfg.options || []).filter(o => o.ok).map(o => o.label).join(', ');
+  if (a.kind === 'date') return 'nicht abgelaufen';
+  return '—';
+}
+
+/* Prüfsumme über den unterschriebenen Inhalt: Laufdaten + alle Antworten in fester
+ * Reihenfolge, bei Kalibrierläufen zusätzlich die Prüfungen aus dem Geräteprotokoll.
+ * Wird beim Unterschreiben gespeichert und ist im PDF/Verlauf sichtbar.
+ */
+/* legacy: Format vor Migration 8 ohne Erfasser, Schicht und Erfassungszeit. Ältere Läufe wurden so
+ * unterschrieben; der Abgleich prüft beide Formate (runHashIntact).
+ */
+function runContentHash(run_id, { legacy = false } = {}) {
+  const { run_type, created_by, shift, captured_at, ...run } = db.prepare(`
+    SELECT id, shop_id, run_date, note, run_type, created_by, shift, captured_at FROM check_runs WHERE id = ?
+  `).get(run_id);
+  // config_json/photo_required nur wenn gesetzt – Prüfsummen älterer Läufe bleiben gültig
+  const answers = db.prepare(`
+    SELECT id, item_id, label, kind, equipment_id, unit, min, max, shift, value, ok, evidence_url, config_json, photo_required, answered_by
+    FROM check_run_answers WHERE run_id = ? ORDER BY id ASC
+  `).all(run_id).map(({ config_json, photo_required, answered_by, ...a }) => ({
+    ...a, ...(config_json ? { config_json } : {}), ...(photo_required ? { photo_required } : {}), ...(legacy ? {} : { answered_by }),
+  }));
+  // Tagescheck-Prüfsummen ohne eigenen Schlüssel, damit bestehende gültig bleiben
+  const calibrations = run_type === 'calibration' ? db.prepare(`
+    SELECT id, equipment_id, performed_at, performed_by, method, reference, reading, tolerance, result, note, document_url, next_due, created_by
+    FROM equipment_logs WHERE run_id = ? ORDER BY id ASC
+  `).all(run_id) : null;
+  const content = { run: legacy ? run : { ...run, created_by, shift, captured_at }, answers };
+  return crypto.createHash('sha256').update(JSON.stringify(calibrations ? { ...content, calibrations } : content)).digest('hex');
+}
+function runHashIntact(run) {
+  return runContentHash(run.id) === run.content_hash || runContentHash(run.id, { legacy: true }) === run.content_hash;
+}
+function amendmentHash(a, runHash) {
+  return crypto.createHash('sha256').update(JSON.stringify([
+    runHash, a.id, a.run_id, a.answer_id, a.field, a.old_value, a.new_value, a.new_ok, a.reason, a.created_by, a.created_at,
+  ])).digest('hex');
+}
+function checkPassword(user_id, password) {
+  const u = db.prepare('SELECT * FROM users WHERE id = ?').get(user_id);
+  return !!u && bcrypt.compareSync(password || '', u.password_hash);
+}
+function getAmendments(run_id) {
+  return db.prepare(`
+    SELECT m.*, a.label AS answer_label, cu.email AS created_by_email, su.email AS signed_by_email
+    FROM check_run_amendments m
+    LEFT JOIN check_run_answers a ON a.id = m.answer_id
+    LEFT JOIN users cu ON cu.id = m.created_by
+    LEFT JOIN users su ON su.id = m.signed_by
+    WHERE m.run_id = ? ORDER BY m.id ASC
+  `).all(run_id);
+}
+
+/* Liste der Läufe. Filter: shop (slug), from/to (run_date), status, shift, equipment_id,
+ * item (item_key), failed=1, open_actions=1, q (Teilstring der Notiz).
+ * Sortierung: sort = created_at | run_date | fail_count, order = desc | asc.
+ * Seitenweise über `cursor` (aus next_cursor der vorigen Seite), limit höchstens 200.
+ */
+const RUN_SORTS = ['created_at', 'run_date', 'fail_count'];
+const encodeCursor = (v, id) => Buffer.from(JSON.stringify([v, id])).toString('base64url');
+function decodeCursor(c) {
+  try {
+    const out = JSON.parse(Buffer.from(String(c), 'base64url').toString());
+    return Array.isArray(out) && out.length === 2 ? out : null;
+  } catch { return null; }
+}
+
+app.get('/api/check-runs', requireRole(), (req, res) => {
+  const q = req.query;
+  const shop_id = q.shop ? getShopIdBySlug(q.shop) : null;
+  if (q.shop && !shop_id) return notFound(res, 'Filiale nicht gefunden');
+  if (shop_id && !canAccessShop(req.session, shop_id)) return forbidden(res);
+  if (q.shift && !SHIFTS.includes(q.shift)) return badRequest(res, { error: 'Ungültige Schicht', field: 'shift' });
+  if (q.type && !Object.hasOwn(RUN_TYPES, q.type)) return badRequest(res, { error: 'Ungültige Laufart', field: 'type' });
+  const sort = q.sort || 'created_at';
+  if (!RUN_SORTS.includes(sort)) return badRequest(res, { error: 'Ungültige Sortierung', field: 'sort' });
+  const dir = q.order === 'asc' ? 'ASC' : 'DESC';
+  const cursor = q.cursor ? decodeCursor(q.cursor) : null;
+  if (q.cursor && !cursor) return badRequest(res, { error: 'Ungültiger Cursor', field: 'cursor' });
+  const limit = Math.min(Math.max(toInt(q.limit, 50), 1), 200);
+  const scope = scopeParam(req.session);
+  const search = q.q ? `%${String(q.q).replace(/[\\%_]/g, c => '\\' + c)}%` : null;
+  const flag = v => (v === '1' || v === 'true' ? 1 : null);
+  const equipment_id = q.equipment_id ? toInt(q.equipment_id, null) : null;
+
+  const rows = db.prepare(`
+    SELECT r.id, r.shop_id, r.run_date, r.shift, r.run_type, r.status, r.note, r.ok_count, r.fail_count,
+           r.created_at, r.captured_at, r.signed_at, s.name AS shop_name, s.slug AS shop_slug,
+           (SELECT COUNT(*) FROM corrective_actions ca WHERE ca.run_id = r.id AND ca.status = 'open') AS open_actions
+    FROM check_runs r JOIN shops s ON s.id = r.shop_id
+    WHERE (? IS NULL OR r.shop_id = ?)
+      AND r.run_date >= ? AND r.run_date <= ?
+      AND (? IS NULL OR r.status = ?)
+      AND (? IS NULL OR r.shift = ?)
+      AND (? IS NULL OR r.run_type = ?)
+      AND (? IS NULL OR r.shop_id IN (SELECT value FROM json_each(?)))
+      AND (? IS NULL OR EXISTS (SELECT 1 FROM check_run_answers a WHERE a.run_id = r.id AND a.equipment_id = ?)
+                     OR EXISTS (SELECT 1 FROM equipment_logs l WHERE l.run_id = r.id AND l.equipment_id = ?))
+      AND (? IS NULL OR EXISTS (SELECT 1 FROM check_run_answers a WHERE a.run_id = r.id
+                                  AND a.item_id IN (SELECT id FROM check_items WHERE item_key = ?)))
+      AND (? IS NULL OR r.fail_count > 0)
+      AND (? IS NULL OR EXISTS (SELECT 1 FROM corrective_actions ca WHERE ca.run_id = r.id AND ca.status = 'open'))
+      AND (? IS NULL OR r.note LIKE ? ESCAPE '\\')
+      AND (? IS NULL OR r.${sort} ${dir === 'DESC' ? '<' : '>'} ? OR (r.${sort} = ? AND r.id ${dir === 'DESC' ? '<' : '>'} ?))
+    ORDER BY r.${sort} ${dir}, r.id ${dir}
+    LIMIT ?
+  `).all(
+    shop_id, shop_id, q.from || '0000-01-01', q.to || '9999-12-31',
+    q.status || null, q.status || null, q.shift || null, q.shift || null, q.type || null, q.type || null, scope, scope,
+    equipment_id, equipment_id, equipment_id,
+    q.item || null, q.item || null,
+    flag(q.failed), flag(q.open_actions), search, search,
+    cursor ? 1 : null, cursor?.[0] ?? null, cursor?.[0] ?? null, cursor?.[1] ?? null,
+    limit
+  );
+  const last = rows[rows.length - 1];
+  res.json({ runs: rows, next_cursor: rows.length === limit ? encodeCursor(last[sort], last.id) : null });
+});
+
+/* Offene Entwürfe einer Filiale (shop=slug) mit Fortschritt und Beteiligten.
+ * abandoned: seit DRAFT_STALE_MIN nicht mehr bearbeitet oder von einem früheren Tag.
+ */
+app.get('/api/check-runs/drafts', requireRole('staff'), (req, res) => {
+  const shop_id = getShopIdBySlug(req.query.shop);
+  if (!shop_id) return notFound(res, 'Filiale nicht gefunden');
+  if (!canAccessShop(req.session, shop_id)) return forbidden(res);
+  const stale = dayjs().subtract(DRAFT_STALE_MIN, 'minute').toISOString();
+  const today = businessDay(db.prepare('SELECT timezone, day_cutoff FROM shops WHERE id = ?').get(shop_id));
+  const drafts = db.prepare(`
+    SELECT r.id, r.run_date, r.shift, r.note, r.created_at, r.updated_at, COALESCE(c.name, c.email) AS created_by_name,
+           (SELECT COUNT(*) FROM check_run_answers a WHERE a.run_id = r.id) AS answered,
+           (SELECT COUNT(*) FROM check_items i WHERE i.version_id = r.template_version_id AND i.shift = r.shift) AS total,
+           (SELECT json_group_array(DISTINCT COALESCE(p.name, p.email)) FROM check_run_answers a
+              JOIN users p ON p.id = a.answered_by WHERE a.run_id = r.id) AS people_json
+    FROM check_runs r LEFT JOIN users c ON c.id = r.created_by
+    WHERE r.shop_id = ? AND r.status = 'draft'
+    ORDER BY r.run_date DESC, r.created_at DESC
+  `).all(shop_id).map(({ people_json, ...d }) => ({
+    ...d,
+    people: JSON.parse(people_json),
+    abandoned: d.run_date < today || (d.updated_at || d.created_at) < stale,
+  }));
+  res.json({ drafts });
+});
+
+app.get('/api/check-runs/:id', requireRole(), (req, res) => {
+  const run = db.prepare(`
+    SELECT r.*, u.email AS signed_by_email, COALESCE(c.name, c.email) AS created_by_name,
+           t.name AS template_name, v.version AS template_version
+    FROM check_runs r LEFT JOIN users u ON u.id = r.signed_by
+    LEFT JOIN users c ON c.id = r.created_by
+    LEFT JOIN checklist_versions v ON v.id = r.template_version_id
+    LEFT JOIN checklist_templates t ON t.id = v.template_id
+    WHERE r.id = ?
+  `).get(req.params.id);
+  if (!run) return notFound(res, 'Lauf nicht gefunden');
+  if (!canAccessShop(req.session, run.shop_id)) return forbidden(res);
+  const answers = db.prepare(`
+    SELECT a.*, e.name AS equipment_name, COALESCE(p.name, p.email) AS answered_by_name
+    FROM check_run_answers a
+    LEFT JOIN equipment e ON e.id = a.equipment_id
+    LEFT JOIN users p ON p.id = a.answered_by
+    WHERE a.run_id = ?
+    ORDER BY a.id ASC
+  `).all(run.id);
+  const actions = db.prepare(`${CA_SELECT} WHERE ca.run_id = ? ORDER BY ca.id ASC`).all(businessDaysJson(), run.id);
+  const calibrations = run.run_type === 'calibration' ? calibrationLogs(run.id) : [];
+  res.json({ run, answers, actions, calibrations, amendments: getAmendments(run.id) });
+});
+
+/* Wer einen Wert erfasst hat. Auf dem Tablet kann der Lauf später übertragen werden als erfasst
+ * (Offline-Warteschlange, Personenwechsel mitten im Formular): acted_by/answered_by des Clients gilt,
+ * wenn sich diese Person in derselben Sitzung per PIN eingewählt hatte – sonst die aktuelle Person.
+ */
+function actingUser(req) {
+  const s = req.session;
+  const known = new Map();
+  return (claimed) => {
+    const id = Number(claimed);
+    if (!claimed || !Number.isInteger(id) || id === s.id || !s.shared) return s.id;
+    if (!known.has(id)) known.set(id, !!db.prepare('SELECT 1 FROM session_actors WHERE session_id = ? AND user_id = ?').get(s.sid, id));
+    return known.get(id) ? id : s.id;
+  };
+}
+
+/* Bewertung eines ganzen Laufs gegen die Einträge seiner Version, nach denselben Regeln wie das
+ * Formular: Einträge an Geräten außer Betrieb entfallen, bedingte Einträge gelten nur, wenn ihr
+ * Auslöser beantwortet und nicht bestanden ist. answers: item_id → { value, evidence_url, corrective, … }.
+ * missing: Pflichtfelder ohne Wert; uncorrected: nicht bestanden und ohne Korrekturmaßnahme.
+ */
+function evaluateRun(items, answers, run_date) {
+  const entries = new Map();
+  for (const item of items) {
+    if (item.equipment_status === 'out_of_service') continue;
+    const a = answers.get(String(item.id)) || {};
+    const value = answerValue(item, a.value);
+    entries.set(item.item_key, {
+      item, answer: a, value,
+      empty: !value.trim() || (item.kind === 'multi' && value === '[]'),
+      ok: evaluateAnswer(item, value, { run_date, evidence_url: a.evidence_url }),
+    });
+  }
+  const isActive = (e, depth = 0) => {
+    const t = e.item.depends_on && entries.get(e.item.depends_on);
+    if (!t || depth > 20) return true;
+    return isActive(t, depth + 1) && !t.empty && !t.ok;
+  };
+  const rows = [...entries.values()].filter(e => isActive(e));
+  const brief = e => ({ item_id: e.item.id, label: e.item.label });
+  return {
+    rows,
+    missing: rows.filter(e => e.item.required && e.empty).map(brief),
+    uncorrected: rows.filter(e => !e.ok && !e.answer.corrective?.description).map(brief),
+  };
+}
+function incompleteRun(res, { missing, uncorrected }) {
+  const error = missing.length
+    ? `Fehlende Pflichtfelder: ${missing.map(m => m.label).join(', ')}`
+    : `Korrekturmaßnahme fehlt: ${uncorrected.map(m => m.label).join(', ')}`;
+  return res.status(400).json({ ok:false, error, code:'incomplete', missing, uncorrected });
+}
+// Korrekturmaßnahme aus dem Formular; ohne Beschreibung keine. Ungültige Frist bzw. Fotoverweis entfallen –
+// der Lauf (evtl. aus der Offline-Warteschlange) soll daran nicht scheitern.
+function cleanCorrective(c, ref = checkUploadRef) {
+  if (!c || typeof c !== 'object' || !String(c.description ?? '').trim()) return null;
+  const opt = v => (v == null || String(v).trim() === '' ? null : String(v).trim());
+  const due_date = opt(c.due_date), photo_url = opt(c.photo_url);
+  return {
+    description: String(c.description).trim(), assigned_to: opt(c.assigned_to),
+    due_date: due_date && dayjs(due_date, 'YYYY-MM-DD', true).isValid() ? due_date : null,
+    photo_url: photo_url && !ref(photo_url, 'photo_url') ? photo_url : null,
+  };
+}
+function insertAnswer(run_id, item, { value, ok, evidence_url = null, answered_by = null, answered_at = null, corrective = null }) {
+  return db.prepare(`
+    INSERT INTO check_run_answers (run_id,item_id,label,kind,equipment_id,unit,min,max,shift,value,ok,evidence_url,config_json,photo_required,answered_by,answered_at,corrective_json)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+  `).run(run_id, item.id, item.label, item.kind, item.equipment_id || null, item.unit, item.min, item.max, item.shift,
+    value, ok, evidence_url || null, item.config_json, item.photo_required || 0, answered_by, answered_at,
+    corrective ? JSON.stringify(corrective) : null);
+}
+/* Schreibt die Antworten eines Laufs neu (Snapshot der Einträge, wie sie jetzt gelten) und zählt.
+ * submit: Korrekturmaßnahmen anlegen – in Entwürfen stehen sie nur an der Antwort.
+ * Liefert die nicht bestandenen kritischen Einträge für die Benachrichtigung.
+ */
+function writeRunAnswers(run_id, rows, { submit }) {
+  let ok_count = 0, fail_count = 0;
+  const criticalFails = [];
+  db.prepare('DELETE FROM check_run_answers WHERE run_id = ?').run(run_id);
+  for (const { item, answer: a, value, ok } of rows) {
+    if (ok) ok_count++; else fail_count++;
+    if (!ok && isCritical(item)) criticalFails.push({ item, value: formatAnswerValue({ ...item, value }) });
+    const corrective = !ok ? cleanCorrective(a.corrective) : null;
+    insertAnswer(run_id, item, { value, ok, evidence_url: a.evidence_url, answered_by: a.answered_by, answered_at: a.answered_at, corrective });
+    if (submit && corrective) {
+      db.prepare(`
+        INSERT INTO corrective_actions (run_id,item_id,description,assigned_to,due_date,photo_url,status,created_at,created_by)
+        VALUES (?,?,?,?,?,?,?,?,?)
+      `).run(run_id, item.id, corrective.description, corrective.assigned_to, corrective.due_date, corrective.photo_url, 'open', now(), a.answered_by);
+    }
+  }
+  db.prepare('UPDATE check_runs SET ok_count=?, fail_count=? WHERE id = ?').run(ok_count, fail_count, run_id);
+  return criticalFails;
+}
+function runSnapshot(id) {
+  return {
+    run: db.prepare('SELECT * FROM check_runs WHERE id = ?').get(id),
+    answers: db.prepare('SELECT item_id,label,value,ok,evidence_url,answered_by FROM check_run_answers WHERE run_id = ? ORDER BY id').all(id),
+    actions: db.prepare('SELECT * FROM corrective_actions WHERE run_id = ? ORDER BY id').all(id),
+  };
+}
+function notifyCriticalFails(run_id, shop_id, run_date, criticalFails) {
+  const shop = db.prepare('SELECT name, slug FROM shops WHERE id = ?').get(shop_id);
+  for (const f of criticalFails) {
+    const target = [f.item.min, f.item.max].some(v => v != null) ? ` (Ziel ${f.item.min ?? ''}–${f.item.max ?? ''}${f.item.unit ? ' ' + f.item.unit : ''})` : '';
+    notifier.emit('check.failed_critical', {
+      key: `${run_id}:${f.item.id}`, shop_id,
+      subject: `${shop.name}: ${f.item.label} nicht bestanden`,
+      body: `${shop.name} · ${run_date}\n${f.item.label}: ${f.value}${target}`,
+      data: { run_id, shop_slug: shop.slug, item_id: f.item.id, label: f.item.label, value: f.value, min: f.item.min, max: f.item.max },
+    });
+  }
+}
+
+/* Lauf in einem Zug (Formular ohne Entwurf, Offline-Warteschlange). Abgesendete Läufe werden wie
+ * beim Absenden eines Entwurfs geprüft: Pflichtfelder und Korrekturmaßnahmen (400 code 'incomplete').
+ */
+app.post('/api/check-runs', requireRole('staff'), (req, res) => {
+  const { shop_slug, answers = [], note = '' } = req.body || {};
+  const status = req.body?.status === 'draft' ? 'draft' : 'submitted';
+  // Schicht aus dem Formular; ältere Clients (Offline-Warteschlange) schicken keine –
+  // dann gilt die Schicht des ersten beantworteten Eintrags.
+  let shift = SHIFTS.includes(req.body?.shift) ? req.body.shift : null;
+  const shop_id = getShopIdBySlug(shop_slug);
+  if (!shop_id) return notFound(res, 'Filiale nicht gefunden');
+  if (!canAccessShop(req.session, shop_id)) return forbidden(res);
+
+  /* Idempotenz: der Client vergibt die Lauf-ID beim Öffnen des Formulars. Wiederholte
+   * Übertragungen (Timeout, Offline-Warteschlange) liefern den bereits gespeicherten Lauf.
+   * Ein Entwurf mit dieser ID wird ersetzt – das Formular sendet offline in einem Zug.
+   * captured_at ist der Zeitpunkt der Erfassung und bestimmt den Geschäftstag des Laufs.
+   */
+  const client_id = req.body?.id;
+  if (client_id != null && !UUID_RE.test(String(client_id))) return badRequest(res, { error: 'Ungültige Lauf-ID', field: 'id' });
+  const existing = client_id ? db.prepare('SELECT id, shop_id, status FROM check_runs WHERE id = ?').get(client_id) : null;
+  if (existing && existing.shop_id !== shop_id) return res.status(409).json({ ok:false, error:'Lauf-ID bereits vergeben', field:'id' });
+  if (existing && existing.status !== 'draft') return res.json({ ok: true, run_id: existing.id, duplicate: true });
+  const captured = req.body?.captured_at ? dayjs(req.body.captured_at) : dayjs();
+  if (!captured.isValid()) return badRequest(res, { error: 'Ungültiger Erfassungszeitpunkt', field: 'captured_at' });
+  if (captured.isAfter(dayjs().add(5, 'minute'))) return badRequest(res, { error: 'Erfassungszeitpunkt liegt in der Zukunft', field: 'captured_at' });
+  // Der Client bestimmt captured_at selbst – ohne Grenze ließe sich jeder verpasste Tag nachtragen
+  if (captured.isBefore(dayjs().subtract(OFFLINE_MAX_HOURS, 'hour'))) {
+    return badRequest(res, { error: `Erfassungszeitpunkt liegt mehr als ${OFFLINE_MAX_HOURS} Stunden zurück`, field: 'captured_at' });
+  }
+  const shop = db.prepare('SELECT archived_at, timezone, day_cutoff FROM shops WHERE id = ?').get(shop_id);
+  if (shop.archived_at) return res.status(409).json({ ok:false, error:'Filiale ist archiviert' });
+
+  // Der Lauf gilt für die Vorlagen-Version, gegen die das Formular ausgefüllt wurde –
+  // auch wenn inzwischen (z.B. während der Offline-Warteschlange) eine neuere veröffentlicht ist.
+  const answered = new Map();
+  for (const a of answers) {
+    const item = shopItem(shop_id, a.item_id);
+    if (item) answered.set(String(a.item_id), item);
+  }
+  const versionIds = new Set([...answered.values()].map(i => i.version_id));
+  if (versionIds.size > 1) return res.status(400).json({ ok:false, error:'Antworten aus verschiedenen Checklisten-Versionen' });
+  const template_version_id = versionIds.size ? [...versionIds][0] : null;
+  if (!shift && answered.size) shift = [...answered.values()][0].shift;
+  const items = template_version_id ? versionItemsForShop(shop_id, template_version_id, shift) : [];
+
+  const id = client_id || crypto.randomUUID();
+  const actedBy = actingUser(req);
+  const created_by = actedBy(req.body?.acted_by);
+  const captured_at = captured.toISOString();
+  const run_date = businessDay(shop, captured.toDate());
+  const ref = (url, field) => checkUploadRef(url, field, { session: req.session, shop_id });
+  const byItem = new Map(answers.filter(a => answered.has(String(a.item_id))).map(a => [String(a.item_id), {
+    value: a.value, evidence_url: a.evidence_url, corrective: cleanCorrective(a.corrective, ref),
+    answered_by: a.answered_by ? actedBy(a.answered_by) : created_by, answered_at: captured_at,
+  }]));
+  for (const [item_id, a] of byItem) {
+    const refErr = answerRefError(answered.get(item_id), a, ref);
+    if (refErr) return badRequest(res, refErr);
+  }
+  // Ist für diese Schicht schon ein Entwurf offen, wird dort weiter ausgefüllt – ein zweiter Lauf würde ihn überholen
+  const open = shift && db.prepare(`
+    SELECT id FROM check_runs WHERE shop_id = ? AND run_date = ? AND shift = ? AND status = 'draft' AND id <> ?
+  `).get(shop_id, run_date, shift, id);
+  if (open) return res.status(409).json({ ok:false, error:'Für diese Schicht ist bereits ein Entwurf offen – bitte dort weiter ausfüllen', code:'draft_open', draft_id: open.id });
+  const evaluated = evaluateRun(items, byItem, run_date);
+  if (status === 'submitted' && (evaluated.missing.length || evaluated.uncorrected.length)) return incompleteRun(res, evaluated);
+
+  let criticalFails;
+  db.transaction(() => {
+    if (existing) {
+      db.prepare(`
+        UPDATE check_runs SET run_date=?, shift=?, status=?, note=?, created_at=?, template_version_id=?, captured_at=?, created_by=?, updated_at=?
+        WHERE id = ?
+      `).run(run_date, shift, status, note, now(), template_version_id, captured_at, created_by, now(), id);
+    } else {
+      db.prepare(`
+        INSERT INTO check_runs (id,shop_id,run_date,shift,status,note,ok_count,fail_count,created_at,template_version_id,captured_at,created_by,updated_at)
+        VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
+      `).run(id, shop_id, run_date, shift, status, note, 0, 0, now(), template_version_id, captured_at, created_by, now());
+    }
+    criticalFails = writeRunAnswers(id, evaluated.rows, { submit: status === 'submitted' });
+  })();
+
+  audit(req, 'check_run.submit', { entity: 'check_run', entity_id: id, shop_id, after: runSnapshot(id) });
+  if (status === 'submitted') notifyCriticalFails(id, shop_id, run_date, criticalFails);
+  res.json({ ok: true, run_id: id });
+});
+
+/* -------------------- Entwürfe -------------------- */
+/* Ein Entwurf je Filiale, Schicht und Tag (eindeutiger Index). Antworten werden einzeln gespeichert, sobald sie
+ * eingegeben sind; mehrere Personen können verschiedene Abschnitte desselben Entwurfs ausfüllen.
+ * Erst beim Absenden wird der Lauf geprüft, die Korrekturmaßnahmen angelegt und der Lauf zählt
+ * (Compliance, Auswertungen). Liegengebliebene Entwürfe zeigt die Filialseite.
+ */
+function draftOr409(req, res) {
+  const run = db.prepare('SELECT * FROM check_runs WHERE id = ?').get(req.params.id);
+  if (!run) { notFound(res, 'Lauf nicht gefunden'); return null; }
+  if (!canAccessShop(req.session, run.shop_id)) { forbidden(res); return null; }
+  if (run.status !== 'draft') { res.status(409).json({ ok:false, error:'Lauf ist bereits abgesendet', code:'submitted' }); return null; }
+  return run;
+}
+function draftAnswers(run_id) {
+  return db.prepare(`
+    SELECT a.id, a.item_id, a.value, a.ok, a.evidence_url, a.corrective_json, a.answered_by, a.answered_at,
+           COALESCE(p.name, p.email) AS answered_by_name
+    FROM check_run_answers a LEFT JOIN users p ON p.id = a.answered_by
+    WHERE a.run_id = ? ORDER BY a.id ASC
+  `).all(run_id).map(({ corrective_json, ...a }) => ({ ...a, corrective: corrective_json ? JSON.parse(corrective_json) : null }));
+}
+function draftPayload(run) {
+  const version = run.template_version_id ? getVersion(run.template_version_id) : null;
+  const shop = db.prepare('SELECT slug FROM shops WHERE id = ?').get(run.shop_id);
+  return {
+    ok: true,
+    run: { ...db.prepare('SELECT * FROM check_runs WHERE id = ?').get(run.id), shop_slug: shop.slug },
+    template: version && { id: version.template_id, name: version.template_name, version: version.version, version_id: version.id },
+    items: version ? versionItemsForShop(run.shop_id, version.id, run.shift) : [],
+    answers: draftAnswers(run.id),
+  };
+}
+function findDraft(shop_id, run_date, shift) {
+  return db.prepare(`SELECT * FROM check_runs WHERE shop_id = ? AND run_date = ? AND shift = ? AND status = 'draft'`)
+    .get(shop_id, run_date, shift);
+}
+function touchDraft(run_id) {
+  db.prepare('UPDATE check_runs SET updated_at = ? WHERE id = ?').run(now(), run_id);
+}
+
+// Entwurf für den heutigen Geschäftstag öffnen oder anlegen. Noch leere Entwürfe ziehen auf eine neu veröffentlichte Version nach.
+app.post('/api/check-runs/drafts', requireRole('staff'), (req, res) => {
+  const { shop_slug, shift } = req.body || {};
+  const shop_id = getShopIdBySlug(shop_slug);
+  if (!shop_id) return notFound(res, 'Filiale nicht gefunden');
+  if (!canAccessShop(req.session, shop_id)) return forbidden(res);
+  if (!SHIFTS.includes(shift)) return badRequest(res, { error: 'Ungültige Schicht', field: 'shift' });
+  const shop = db.prepare('SELECT template_id, archived_at, timezone, day_cutoff FROM shops WHERE id = ?').get(shop_id);
+  if (shop.archived_at) return res.status(409).json({ ok:false, error:'Filiale ist archiviert' });
+  const version = shop.template_id && currentVersion(shop.template_id);
+  const hasItems = version && db.prepare('SELECT 1 FROM check_items WHERE version_id = ? AND shift = ? LIMIT 1').get(version.id, shift);
+
+  const run_date = businessDay(shop);
+  let run = findDraft(shop_id, run_date, shift);
+  if (!run && !hasItems) return res.json({ ok: true, run: null, template: null, items: [], answers: [] });
+  if (!run) {
+    const id = crypto.randomUUID();
+    try {
+      db.prepare(`
+        INSERT INTO check_runs (id,shop_id,run_date,shift,status,note,ok_count,fail_count,created_at,template_version_id,created_by,updated_at)
+        VALUES (?,?,?,?,'draft','',0,0,?,?,?,?)
+      `).run(id, shop_id, run_date, shift, now(), version.id, actingUser(req)(req.body?.acted_by), now());
+      run = db.prepare('SELECT * FROM check_runs WHERE id = ?').get(id);
+      audit(req, 'check_run.draft', { entity: 'check_run', entity_id: id, shop_id, after: run });
+    } catch (e) {
+      // Ein anderes Gerät war schneller (eindeutiger Index je Filiale, Tag und Schicht): dessen Entwurf öffnen
+      if (e.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw e;
+      run = findDraft(shop_id, run_date, shift);
+    }
+  } else if (version && run.template_version_id !== version.id
+      && !db.prepare('SELECT 1 FROM check_run_answers WHERE run_id = ? LIMIT 1').get(run.id)) {
+    db.prepare('UPDATE check_runs SET template_version_id = ?, updated_at = ? WHERE id = ?').run(version.id, now(), run.id);
+  }
+  res.json(draftPayload(run));
+});
+
+app.get('/api/check-runs/:id/draft', requireRole('staff'), (req, res) => {
+  const run = draftOr409(req, res); if (!run) return;
+  res.json(draftPayload(run));
+});
+
+/* Eine Antwort speichern. base_answered_at: Stand, den das Formular zuletzt gesehen hat – hat
+ * inzwischen eine andere Person denselben Eintrag geändert, gibt es 409 code 'conflict' mit
+ * der aktuellen Antwort. Ohne Wert, Foto und Maßnahme wird die Antwort entfernt.
+ */
+app.put('/api/check-runs/:id/answers/:item_id', requireRole('staff'), (req, res) => {
+  const run = draftOr409(req, res); if (!run) return;
+  const item = db.prepare(`${EFFECTIVE_ITEM_SELECT} WHERE i.id = ? AND i.version_id = ? AND i.shift = ?`)
+    .get(run.shop_id, run.shop_id, req.params.item_id, run.template_version_id, run.shift);
+  if (!item) return notFound(res, 'Eintrag gehört nicht zu diesem Lauf');
+  const body = req.body || {};
+  const who = actingUser(req)(body.acted_by);
+  const current = db.prepare('SELECT * FROM check_run_answers WHERE run_id = ? AND item_id = ?').get(run.id, item.id);
+  if (current && 'base_answered_at' in body && current.answered_at !== (body.base_answered_at || null) && current.answered_by !== who) {
+    const answer = draftAnswers(run.id).find(a => a.item_id === item.id);
+    return res.status(409).json({ ok:false, error:`${answer.answered_by_name || 'Jemand'} hat diesen Eintrag inzwischen geändert`, code:'conflict', answer });
+  }
+  const value = answerValue(item, body.value);
+  const evidence_url = body.evidence_url ? String(body.evidence_url) : null;
+  const ref = (url, field) => checkUploadRef(url, field, { session: req.session, shop_id: run.shop_id });
+  const refErr = answerRefError(item, { value, evidence_url }, ref);
+  if (refErr) return badRequest(res, refErr);
+  const corrective = cleanCorrective(body.corrective, ref);
+  const empty = !value.trim() || (item.kind === 'multi' && value === '[]');
+  const answered_at = now();
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM check_run_answers WHERE run_id = ? AND item_id = ?').run(run.id, item.id);
+    if (!empty || evidence_url || corrective) {
+      const ok = evaluateAnswer(item, value, { run_date: run.run_date, evidence_url });
+      insertAnswer(run.id, item, { value, ok, evidence_url, answered_by: who, answered_at, corrective });
+    }
+    touchDraft(run.id);
+  })();
+  res.json({ ok: true, answer: draftAnswers(run.id).find(a => a.item_id === item.id) || null });
+});
+
+app.put('/api/check-runs/:id/note', requireRole('staff'), (req, res) => {
+  const run = draftOr409(req, res); if (!run) return;
+  db.prepare('UPDATE check_runs SET note = ?, updated_at = ? WHERE id = ?').run(String(req.body?.note ?? ''), now(), run.id);
+  res.json({ ok: true });
+});
+
+/* Absenden: Prüfung gegen die Einträge des Entwurfs wie im Formular (400 code 'incomplete' mit
+ * missing/uncorrected). Eingang (created_at) und Erfassung sind der Zeitpunkt des Absendens,
+ * erfasst von der absendenden Person; wer welchen Wert gemessen hat, steht an den Antworten.
+ */
+app.post('/api/check-runs/:id/submit', requireRole('staff'), (req, res) => {
+  const run = draftOr409(req, res); if (!run) return;
+  if (db.prepare('SELECT archived_at FROM shops WHERE id = ?').get(run.shop_id).archived_at) {
+    return res.status(409).json({ ok:false, error:'Filiale ist archiviert' });
+  }
+  const items = run.template_version_id ? versionItemsForShop(run.shop_id, run.template_version_id, run.shift) : [];
+  const saved = draftAnswers(run.id);
+  const evaluated = evaluateRun(items, new Map(saved.map(a => [String(a.item_id), a])), run.run_date);
+  if (evaluated.missing.length || evaluated.uncorrected.length) return incompleteRun(res, evaluated);
+
+  const submitted_by = actingUser(req)(req.body?.acted_by);
+  const at = now();
+  const note = req.body?.note != null ? String(req.body.note) : run.note;
+  let criticalFails;
+  db.transaction(() => {
+    criticalFails = writeRunAnswers(run.id, evaluated.rows, { submit: true });
+    db.prepare(`
+      UPDATE check_runs SET status='submitted', note=?, created_at=?, captured_at=?, created_by=?, updated_at=? WHERE id = ?
+    `).run(note, at, at, submitted_by, at, run.id);
+  })();
+  audit(req, 'check_run.submit', { entity: 'check_run', entity_id: run.id, shop_id: run.shop_id, after: runSnapshot(run.id) });
+  notifyCriticalFails(run.id, run.shop_id, run.run_date, criticalFails);
+  res.json({ ok: true, run_id: run.id });
+});
+
+// Entwurf verwerfen (Filialleitung) – Inhalt bleibt im Audit-Log
+app.delete('/api/check-runs/:id', requireRole('manager'), (req, res) => {
+  const run = draftOr409(req, res); if (!run) return;
+  const before = runSnapshot(run.id);
+  db.prepare('DELETE FROM check_runs WHERE id = ?').run(run.id);
+  audit(req, 'check_run.discard', { entity: 'check_run', entity_id: run.id, shop_id: run.shop_id, before });
+  res.json({ ok: true });
+});
+
+app.post('/api/check-runs/:id/sign', requireRole('manager'), (req, res) => {
+  const { password } = req.body || {};
+  const run = db.prepare('SELECT shop_id, status, signed_at FROM check_runs WHERE id = ?').get(req.params.id);
+  if (!run) return res.status(404).json({ ok:false, error:'Lauf nicht gefunden' });
+  if (!canAccessShop(req.session, run.shop_id)) return forbidden(res);
+  if (run.status === 'signed') return res.status(409).json({ ok:false, error:'Lauf ist bereits unterschrieben' });
+  if (run.status === 'draft') return res.status(409).json({ ok:false, error:'Entwürfe können nicht unterschrieben werden' });
+  if (!checkPassword(req.session.id, password)) {
+    return res.status(403).json({ ok:false, error:'Passwort ungültig', field:'password' });
+  }
+  const signed_at = now();
+  const content_hash = runContentHash(req.params.id);
+  db.prepare(`UPDATE check_runs SET status = 'signed', signed_at = ?, signed_by = ?, content_hash = ? WHERE id = ?`)
+    .run(signed_at, req.session.id, content_hash, req.params.id);
+  audit(req, 'check_run.sign', { entity: 'check_run', entity_id: req.params.id, shop_id: run.shop_id,
+    before: { status: run.status, signed_at: run.signed_at }, after: { status: 'signed', signed_at, signed_by: req.session.id, content_hash } });
+  res.json({ ok: true, content_hash });
+});
+
+/* Nachträge: field 'value' korrigiert eine Antwort (answer_id), field 'note' die Notiz des Laufs.
+ * Der neue Wert wird gegen den Snapshot der Antwort bewertet (new_ok).
+ */
+app.post('/api/check-runs/:id/amendments', requireRole('staff'), (req, res) => {
+  const run = db.prepare('SELECT * FROM check_runs WHERE id = ?').get(req.params.id);
+  if (!run) return res.status(404).json({ ok:false, error:'Lauf nicht gefunden' });
+  if (!canAccessShop(req.session, run.shop_id)) return forbidden(res);
+  if (run.status === 'draft') return res.status(409).json({ ok:false, error:'Entwürfe werden direkt bearbeitet' });
+  const { answer_id = null, field = 'value', new_value = '', reason = '' } = req.body || {};
+  if (!String(reason).trim()) return res.status(400).json({ ok:false, error:'Begründung erforderlich' });
+  if (!['value', 'note'].includes(field)) return res.status(400).json({ ok:false, error:'Ungültiges Feld' });
+
+  let old_value, new_ok = null, value = String(new_value ?? '');
+  if (field === 'value') {
+    const answer = db.prepare('SELECT * FROM check_run_answers WHERE id = ? AND run_id = ?').get(answer_id, run.id);
+    if (!answer) return res.status(400).json({ ok:false, error:'Antwort nicht gefunden' });
+    // Bereits korrigierte Antworten: Ausgangswert ist der letzte Nachtrag
+    const prev = db.prepare(`SELECT new_value FROM check_run_amendments WHERE answer_id = ? ORDER BY id DESC LIMIT 1`).get(answer.id);
+    old_value = prev ? prev.new_value : answer.value;
+    value = answerValue(answer, new_value);
+    new_ok = evaluateAnswer(answer, value, { run_date: run.run_date, evidence_url: answer.evidence_url });
+  } else {
+    const prev = db.prepare(`SELECT new_value FROM check_run_amendments WHERE run_id = ? AND field = 'note' ORDER BY id DESC LIMIT 1`).get(run.id);
+    old_value = prev ? prev.new_value : run.note;
+  }
+  const info = db.prepare(`
+    INSERT INTO check_run_amendments (run_id,answer_id,field,old_value,new_value,new_ok,reason,status,created_by,created_at)
+    VALUES (?,?,?,?,?,?,?,?,?,?)
+  `).run(run.id, field === 'value' ? answer_id : null, field, old_value ?? null, value, new_ok,
+    String(reason).trim(), 'pending', req.session.id, now());
+  const amendment = db.prepare('SELECT * FROM check_run_amendments WHERE id = ?').get(info.lastInsertRowid);
+  audit(req, 'check_run.amend', { entity: 'check_run', entity_id: run.id, shop_id: run.shop_id, after: amendment });
+  res.json({ ok: true, amendment });
+});
+
+app.post('/api/check-runs/:id/amendments/:aid/sign', requireRole('manager'), (req, res) => {
+  const run = db.prepare('SELECT * FROM check_runs WHERE id = ?').get(req.params.id);
+  if (!run) return res.status(404).json({ ok:false, error:'Lauf nicht gefunden' });
+  if (!canAccessShop(req.session, run.shop_id)) return forbidden(res);
+  const m = db.prepare('SELECT * FROM check_run_amendments WHERE id = ? AND run_id = ?').get(req.params.aid, run.id);
+  if (!m) return res.status(404).json({ ok:false, error:'Nachtrag nicht gefunden' });
+  if (m.status === 'signed') return res.status(409).json({ ok:false, error:'Nachtrag ist bereits unterschrieben' });
+  // Vier-Augen-Prinzip: wer den Nachtrag erfasst hat, unterschreibt ihn nicht selbst
+  if (m.created_by === req.session.id) return res.status(403).json({ ok:false, error:'Eigene Nachträge muss eine andere Person unterschreiben' });
+  if (!checkPassword(req.session.id, (req.body || {}).password)) {
+    return res.status(403).json({ ok:false, error:'Passwort ungültig', field:'password' });
+  }
+  const signed_at = now();
+  const content_hash = amendmentHash(m, run.content_hash);
+  db.prepare(`UPDATE check_run_amendments SET status = 'signed', signed_by = ?, signed_at = ?, content_hash = ? WHERE id = ?`)
+    .run(req.session.id, signed_at, content_hash, m.id);
+  audit(req, 'check_run.amendment_sign', { entity: 'check_run', entity_id: run.id, shop_id: run.shop_id,
+    before: { amendment_id: m.id, status: m.status }, after: { amendment_id: m.id, status: 'signed', signed_at, content_hash } });
+  res.json({ ok: true, content_hash });
+});
+
+/* -------------------- Korrekturmaßnahmen -------------------- */
+/* Lebenszyklus: open → done (Abschluss mit Verifizierung) → ggf. wieder open.
+ * Wer wann was geändert hat, steht in updated_by/closed_by und vollständig im Audit-Log.
+ */
+const CA_SELECT = `
+  SELECT ca.*, r.shop_id, r.run_date, s.name AS shop_name, s.slug AS shop_slug, s.timezone,
+         ci.label AS item_label,
+         cu.email AS closed_by_email, uu.email AS updated_by_email,
+         (ca.status = 'open' AND ca.due_date IS NOT NULL AND ca.due_date < ${shopToday('r.shop_id')}) AS overdue
+  FROM corrective_actions ca
+  JOIN check_runs r ON r.id = ca.run_id
+  JOIN shops s ON s.id = r.shop_id
+  LEFT JOIN check_items ci ON ci.id = ca.item_id
+  LEFT JOIN users cu ON cu.id = ca.closed_by
+  LEFT JOIN users uu ON uu.id = ca.updated_by
+`;
+function getAction(id) {
+  return db.prepare(`${CA_SELECT} WHERE ca.id = ?`).get(businessDaysJson(), id);
+}
+// Lädt die Maßnahme und prüft den Filialzugriff; schreibt bei Fehler selbst die Antwort.
+function loadActionFor(req, res) {
+  const ca = getAction(req.params.id);
+  if (!ca) { res.status(404).json({ ok:false, error:'Maßnahme nicht gefunden' }); return null; }
+  if (!canAccessShop(req.session, ca.shop_id)) { forbidden(res); return null; }
+  return ca;
+}
+
+const CA_SCHEMA = {
+  description: { type: 'string', required: true, max: 2000, label: 'Beschreibung' },
+  assigned_to: { type: 'string', max: 100, label: 'Zuständig' },
+  due_date: { ...DATE_RULE, label: 'Fällig bis' },
+  photo_url: { type: 'string', max: 200, label: 'Foto' },
+};
+const CA_CLOSE_SCHEMA = {
+  verification_note: { type: 'string', required: true, max: 2000, label: 'Verifizierungsnotiz' },
+  after_photo_url: { type: 'string', max: 200, label: 'Foto danach' },
+};
+
+// Filter: shop (slug), status (open|done), overdue=1, assigned_to (Teilstring), from/to (run_date)
+app.get('/api/corrective-actions', requireRole(), (req, res) => {
+  const q = req.query;
+  const shop_id = q.shop ? getShopIdBySlug(q.shop) : null;
+  if (shop_id && !canAccessShop(req.session, shop_id)) return forbidden(res);
+  const range = validate(RANGE_SCHEMA, q);
+  if (range.error) return badRequest(res, range);
+  const scope = scopeParam(req.session);
+  const today = businessDaysJson();
+  const assigned = q.assigned_to ? `%${String(q.assigned_to).replace(/[\\%_]/g, c => '\\' + c)}%` : null;
+  const rows = db.prepare(`${CA_SELECT}
+    WHERE (? IS NULL OR r.shop_id = ?)
+      AND (? IS NULL OR r.shop_id IN (SELECT value FROM json_each(?)))
+      AND (? IS NULL OR ca.status = ?)
+      AND (? = 0 OR (ca.status = 'open' AND ca.due_date IS NOT NULL AND ca.due_date < ${shopToday('r.shop_id')}))
+      AND (? IS NULL OR ca.assigned_to LIKE ? ESCAPE '\\')
+      AND r.run_date >= ? AND r.run_date <= ?
+    ORDER BY (ca.status = 'open') DESC, overdue DESC, ca.due_date IS NULL, ca.due_date ASC, ca.id DESC
+  `).all(today,
+    shop_id || null, shop_id || null,
+    scope, scope,
+    q.status || null, q.status || null,
+    q.overdue === '1' ? 1 : 0, today,
+    assigned, assigned,
+    range.data.from || '0000-01-01', range.data.to || '9999-12-31');
+  res.json({ actions: rows });
+});
+
+app.get('/api/corrective-actions/:id', requireRole(), (req, res) => {
+  const ca = loadActionFor(req, res); if (!ca) return;
+  const history = db.prepare(`
+    SELECT a.id, a.action, a.created_at, a.before_json, a.after_json, u.email AS user_email
+    FROM audit a LEFT JOIN users u ON u.id = a.user_id
+    WHERE a.entity = 'corrective_action' AND a.entity_id = ?
+    ORDER BY a.id ASC
+  `).all(String(ca.id));
+  res.json({ action: ca, history });
+});
+
+app.patch('/api/corrective-actions/:id', requireRole('staff'), (req, res) => {
+  const ca = loadActionFor(req, res); if (!ca) return;
+  if (ca.status !== 'open') return res.status(409).json({ ok:false, error:'Maßnahme ist abgeschlossen' });
+  const v = validate(CA_SCHEMA, req.body, { partial: true });
+  if (v.error) return badRequest(res, v);
+  const next = v.data;
+  const fields = Object.keys(next);
+  if (!fields.length) return res.status(400).json({ ok:false, error:'Keine Änderungen' });
+  const photoErr = checkUploadRef(next.photo_url, 'photo_url', { session: req.session, shop_id: ca.shop_id });
+  if (photoErr) return badRequest(res, photoErr);
+  db.prepare(`UPDATE corrective_actions SET ${fields.map(k => `${k} = ?`).join(', ')}, updated_at = ?, updated_by = ? WHERE id = ?`)
+    .run(...fields.map(k => next[k]), now(), req.session.id, ca.id);
+  audit(req, 'corrective_action.update', { entity: 'corrective_action', entity_id: ca.id, shop_id: ca.shop_id,
+    before: Object.fromEntries(fields.map(k => [k, ca[k]])), after: next });
+  res.json({ ok: true, action: getAction(ca.id) });
+});
+
+app.post('/api/corrective-actions/:id/close', requireRole('manager'), (req, res) => {
+  const ca = loadActionFor(req, res); if (!ca) return;
+  if (ca.status === 'done') return res.status(409).json({ ok:false, error:'Maßnahme ist bereits abgeschlossen' });
+  const v = validate(CA_CLOSE_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  const { verification_note, after_photo_url } = v.data;
+  const photoErr = checkUploadRef(after_photo_url, 'after_photo_url', { session: req.session, shop_id: ca.shop_id });
+  if (photoErr) return badRequest(res, photoErr);
+  const t = now();
+  db.prepare(`
+    UPDATE corrective_actions
+    SET status = 'done', verification_note = ?, after_photo_url = ?, closed_at = ?, closed_by = ?, updated_at = ?, updated_by = ?
+    WHERE id = ?
+  `).run(verification_note, after_photo_url, t, req.session.id, t, req.session.id, ca.id);
+  audit(req, 'corrective_action.close', { entity: 'corrective_action', entity_id: ca.id, shop_id: ca.shop_id,
+    before: { status: ca.status }, after: { status: 'done', verification_note, after_photo_url } });
+  res.json({ ok: true, action: getAction(ca.id) });
+});
+
+app.post('/api/corrective-actions/:id/reopen', requireRole('manager'), (req, res) => {
+  const ca = loadActionFor(req, res); if (!ca) return;
+  if (ca.status === 'open') return res.status(409).json({ ok:false, error:'Maßnahme ist bereits offen' });
+  const { reason = '' } = req.body || {};
+  if (!String(reason).trim()) return res.status(400).json({ ok:false, error:'Begründung erforderlich' });
+  db.prepare(`
+    UPDATE corrective_actions
+    SET status = 'open', closed_at = NULL, closed_by = NULL, updated_at = ?, updated_by = ?
+    WHERE id = ?
+  `).run(now(), req.session.id, ca.id);
+  audit(req, 'corrective_action.reopen', { entity: 'corrective_action', entity_id: ca.id, shop_id: ca.shop_id,
+    before: { status: ca.status, verification_note: ca.verification_note, closed_at: ca.closed_at }, after: { status: 'open' }, meta: { reason } });
+  res.json({ ok: true, action: getAction(ca.id) });
+});
+
+/* -------------------- Schichtplan & Compliance -------------------- */
+const DEFAULT_DUE = { morning: '10:00', mid: '15:00', closing: '22:00' };
+
+/* Effektiver Plan einer Filiale. Ohne gepflegten Plan gelten die Standardzeiten
+ * für jede Schicht, für die es Checklisten-Einträge gibt.
+ */
+function shopSchedule(shop_id) {
+  const rows = db.prepare('SELECT * FROM shop_shifts WHERE shop_id = ?').all(shop_id);
+  if (rows.length) return rows.filter(r => r.active);
+  return [...new Set(shopItems(shop_id).map(i => i.shift))]
+    .filter(shift => SHIFTS.includes(shift))
+    .map(shift => ({ shop_id, shift, due_time: DEFAULT_DUE[shift], grace_min: 30, days: '1234567', active: 1 }));
+}
+
+/* Status je Filiale/Tag/Schicht:
+ *   done    – Lauf vor Fälligkeit (+ Kulanz) erfasst
+ *   late    – Lauf danach erfasst
+ *   missed  – kein Lauf, Frist verstrichen
+ *   pending – heute, Frist noch offen
+ * Geschlossene Filialen und Tage außerhalb des Plans erzeugen keine Zellen.
+ * Fristen gelten in der Zeitzone der Filiale; eine Uhrzeit vor dem Tageswechsel (z.B. 01:00)
+ * liegt am Kalendertag nach dem Geschäftstag.
+ */
+function computeCompliance(shops, from, to) {
+  const nowTs = dayjs();
+  const ids = shops.map(s => s.id);
+  // Maßgeblich ist der Zeitpunkt der Erfassung – offline erfasste Läufe kommen erst später an.
+  // Liegt er weiter als OFFLINE_MAX_HOURS vor dem Eingang (Altdaten), zählt der Eingang beim Server.
+  const runs = db.prepare(`
+    SELECT id, shop_id, run_date, shift,
+           CASE WHEN captured_at IS NOT NULL AND julianday(created_at) - julianday(captured_at) <= ? / 24.0
+                THEN captured_at ELSE created_at END AS submitted_at
+    FROM check_runs
+    WHERE status != 'draft' AND run_type = 'check' AND run_date >= ? AND run_date <= ?
+      AND shop_id IN (SELECT value FROM json_each(?))
+    ORDER BY submitted_at ASC
+  `).all(OFFLINE_MAX_HOURS, from, to, JSON.stringify(ids));
+  // Thermometer-Prüfungen zählen nicht gegen den Schichtplan, werden aber je Filiale mit ausgewiesen
+  const calRuns = db.prepare(`
+    SELECT shop_id, COUNT(*) AS runs, SUM(fail_count > 0) AS failed FROM check_runs
+    WHERE run_type = 'calibration' AND status != 'draft' AND run_date >= ? AND run_date <= ?
+      AND shop_id IN (SELECT value FROM json_each(?))
+    GROUP BY shop_id
+  `).all(from, to, JSON.stringify(ids));
+  const calOverdue = db.prepare(`
+    SELECT shop_id, name, next_calibration_due FROM equipment
+    WHERE type = 'probe' AND archived_at IS NULL AND next_calibration_due < ${shopToday('shop_id')}
+      AND shop_id IN (SELECT value FROM json_each(?))
+    ORDER BY next_calibration_due, name
+  `).all(businessDaysJson(shops), JSON.stringify(ids));
+  const first = new Map();
+  for (const r of runs) {
+    const key = `${r.shop_id}|${r.run_date}|${r.shift}`;
+    if (!first.has(key)) first.set(key, r);
+  }
+
+  const days = [];
+  for (let d = dayjs(from); !d.isAfter(dayjs(to), 'day'); d = d.add(1, 'day')) days.push(d);
+
+  const summary = { due: 0, done: 0, late: 0, missed: 0, pending: 0, calibration: { runs: 0, failed: 0, overdue: 0 } };
+  const result = shops.map(shop => {
+    const cells = [];
+    const cr = calRuns.find(c => c.shop_id === shop.id);
+    const calibration = {
+      runs: cr?.runs || 0, failed: cr?.failed || 0,
+      overdue: calOverdue.filter(e => e.shop_id === shop.id).map(e => ({ name: e.name, due: e.next_calibration_due })),
+    };
+    summary.calibration.runs += calibration.runs;
+    summary.calibration.failed += calibration.failed;
+    summary.calibration.overdue += calibration.overdue.length;
+    if (shop.status !== 'closed') {
+      const plan = shopSchedule(shop.id);
+      for (const d of days) {
+        const date = d.format('YYYY-MM-DD');
+        const isoDay = String(d.day() === 0 ? 7 : d.day());
+        for (const p of plan) {
+          if (!String(p.days).includes(isoDay)) continue;
+          const deadline = dayjs.tz(`${date}T${p.due_time}`, shop.timezone || DEFAULT_TIMEZONE)
+            .add(p.due_time < (shop.day_cutoff || DEFAULT_DAY_CUTOFF) ? 1 : 0, 'day').add(p.grace_min || 0, 'minute');
+          const run = first.get(`${shop.id}|${date}|${p.shift}`);
+          let status;
+          if (run) status = dayjs(run.submitted_at).isAfter(deadline) ? 'late' : 'done';
+          else status = nowTs.isAfter(deadline) ? 'missed' : 'pending';
+          summary[status]++;
+          if (status !== 'pending') summary.due++;
+          cells.push({ date, shift: p.shift, due_time: p.due_time, status, run_id: run?.id || null, submitted_at: run?.submitted_at || null });
+        }
+      }
+    }
+    return { shop_id: shop.id, name: shop.name, slug: shop.slug, cells, calibration };
+  });
+  summary.rate = summary.due ? Math.round(((summary.done + summary.late) / summary.due) * 1000) / 10 : null;
+  summary.on_time_rate = summary.due ? Math.round((summary.done / summary.due) * 1000) / 10 : null;
+  return { from, to, shops: result, summary };
+}
+
+app.get('/api/shops/:id/shifts', requireRole(), (req, res) => {
+  if (!canAccessShop(req.session, req.params.id)) return forbidden(res);
+  const configured = db.prepare('SELECT * FROM shop_shifts WHERE shop_id = ?').all(req.params.id);
+  res.json({ shifts: configured, effective: shopSchedule(Number(req.params.id)) });
+});
+
+app.put('/api/shops/:id/shifts', requireRole('admin'), (req, res) => {
+  const shop = db.prepare('SELECT id FROM shops WHERE id = ?').get(req.params.id);
+  if (!shop) return res.status(404).json({ ok:false, error:'Filiale nicht gefunden' });
+  const { shifts = [] } = req.body || {};
+  if (!Array.isArray(shifts)) return badRequest(res, { error: 'Schichtplan als Liste erwartet', field: 'shifts' });
+  const rows = [];
+  for (const r of shifts) {
+    if (!r || typeof r !== 'object' || Array.isArray(r)) return badRequest(res, { error: 'Ungültiger Eintrag im Schichtplan', field: 'shifts' });
+    const val = validate(SHIFT_PLAN_SCHEMA, r);
+    if (val.error) return badRequest(res, val);
+    if (rows.some(x => x.shift === val.data.shift)) return badRequest(res, { error: `Schicht ${SHIFT_DE[val.data.shift]} ist doppelt`, field: 'shift' });
+    // Fehlende Wochentage: täglich; leere Angabe: an keinem Tag
+    rows.push({ ...val.data, days: r.days == null ? '1234567' : val.data.days ?? '' });
+  }
+  const before = db.prepare('SELECT * FROM shop_shifts WHERE shop_id = ?').all(shop.id);
+  db.transaction(() => {
+    db.prepare('DELETE FROM shop_shifts WHERE shop_id = ?').run(shop.id);
+    for (const r of rows) {
+      db.prepare('INSERT INTO shop_shifts (shop_id,shift,due_time,grace_min,days,active) VALUES (?,?,?,?,?,?)')
+        .run(shop.id, r.shift, r.due_time, r.grace_min, r.days, r.active);
+    }
+  })();
+  const after = db.prepare('SELECT * FROM shop_shifts WHERE shop_id = ?').all(shop.id);
+  audit(req, 'shop.shifts_update', { entity: 'shop', entity_id: shop.id, shop_id: shop.id, before, after });
+  res.json({ ok: true, shifts: after });
+});
+
+// Filter wie Verlauf: shop (slug, optional), from/to (Standard: letzte 14 Tage)
+app.get('/api/compliance', requireRole(), (req, res) => {
+  const slug = req.query.shop;
+  const scope = scopeParam(req.session);
+  const shops = db.prepare(`
+    SELECT id, name, slug, status, timezone, day_cutoff FROM shops
+    WHERE archived_at IS NULL AND (? IS NULL OR slug = ?)
+      AND (? IS NULL OR id IN (SELECT value FROM json_each(?)))
+    ORDER BY name
+  `).all(slug || null, slug || null, scope, scope);
+  if (slug && !shops.length) {
+    return getShopIdBySlug(slug) ? forbidden(res) : res.status(404).json({ ok:false, error:'Filiale nicht gefunden' });
+  }
+  const v = validate(RANGE_SCHEMA, req.query);
+  if (v.error) return badRequest(res, v);
+  const to = v.data.to || latestBusinessDay(shops);
+  const from = v.data.from || dayjs(to).subtract(13, 'day').format('YYYY-MM-DD');
+  if (from > to) return badRequest(res, { error: 'Beginn liegt nach dem Ende', field: 'from' });
+  if (dayjs(to).diff(dayjs(from), 'day') > 366) return res.status(400).json({ ok:false, error:'Zeitraum zu groß (max. 1 Jahr)' });
+  res.json(computeCompliance(shops, from, to));
+});
+
+/* -------------------- Benachrichtigungen -------------------- */
+const notifier = createNotifier({
+  db,
+  smtp: {
+    host: process.env.SMTP_HOST, port: toInt(process.env.SMTP_PORT, 587), secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER, pass: process.env.SMTP_PASS, from: process.env.NOTIFY_FROM || 'BUNCA HACCP <haccp@bunca.de>',
+  },
+  webhook: { secret: process.env.NOTIFY_WEBHOOK_SECRET },
+});
+
+/* Zeitgesteuerte Ereignisse (versäumte Schichten, überfällige Maßnahmen, fehlende Unterschriften).
+ * Wiederholte Läufe sind unkritisch – emit() dedupliziert über den key.
+ */
+function scanNotifications() {
+  const shops = db.prepare(`SELECT id, name, slug, status, timezone, day_cutoff FROM shops WHERE archived_at IS NULL`).all();
+  const today = latestBusinessDay(shops);
+  const comp = computeCompliance(shops, dayjs(today).subtract(1, 'day').format('YYYY-MM-DD'), today);
+  for (const s of comp.shops) {
+    for (const c of s.cells.filter(c => c.status === 'missed')) {
+      notifier.emit('shift.missed', {
+        key: `${s.shop_id}:${c.date}:${c.shift}`, shop_id: s.shop_id,
+        subject: `${s.name}: ${SHIFT_DE[c.shift] || c.shift}-Checkliste am ${c.date} versäumt`,
+        body: `Die Checkliste für die Schicht ${SHIFT_DE[c.shift] || c.shift} (fällig ${c.due_time}) wurde nicht abgegeben.`,
+        data: { shop_slug: s.slug, date: c.date, shift: c.shift, due_time: c.due_time },
+      });
+    }
+  }
+  const todays = businessDaysJson();
+  for (const a of db.prepare(`${CA_SELECT} WHERE ca.status = 'open' AND ca.due_date IS NOT NULL AND ca.due_date < ${shopToday('r.shop_id')}`).all(todays, todays)) {
+    notifier.emit('action.overdue', {
+      key: `${a.id}:${a.due_date}`, shop_id: a.shop_id,
+      subject: `${a.shop_name}: Korrekturmaßnahme seit ${a.due_date} überfällig`,
+      body: `${a.description}\nEintrag: ${a.item_label || '—'} · Zuständig: ${a.assigned_to || '—'}`,
+      data: { action_id: a.id, run_id: a.run_id, shop_slug: a.shop_slug, due_date: a.due_date },
+    });
+  }
+  const cutoff = new Date(Date.now() - SIGN_REMINDER_HOURS * 3600000).toISOString();
+  for (const r of db.prepare(`
+    SELECT r.id, r.shop_id, r.run_date, r.shift, r.run_type, s.name, s.slug FROM check_runs r JOIN shops s ON s.id = r.shop_id
+    WHERE r.status = 'submitted' AND r.created_at < ?
+  `).all(cutoff)) {
+    const type = RUN_TYPES[r.run_type] || RUN_TYPES.check;
+    notifier.emit('run.awaiting_signature', {
+      key: r.id, shop_id: r.shop_id,
+      subject: `${r.name}: ${type} vom ${r.run_date} wartet auf Unterschrift`,
+      body: r.run_type === 'calibration'
+        ? `Die ${type} ist abgegeben, aber noch nicht unterschrieben.`
+        : `Der ${type} (${SHIFT_DE[r.shift] || r.shift || '—'}) ist abgegeben, aber noch nicht unterschrieben.`,
+      data: { run_id: r.id, shop_slug: r.slug, run_date: r.run_date },
+    });
+  }
+  const silentSince = new Date(Date.now() - SENSOR_OFFLINE_HOURS * 3600000).toISOString();
+  for (const se of db.prepare(`
+    SELECT se.*, e.name AS equipment_name, e.shop_id, s.name AS shop_name, s.slug AS shop_slug, s.timezone
+    FROM sensors se JOIN equipment e ON e.id = se.equipment_id JOIN shops s ON s.id = e.shop_id
+    WHERE se.revoked_at IS NULL AND e.archived_at IS NULL AND s.archived_at IS NULL AND se.last_seen_at < ?
+  `).all(silentSince)) {
+    notifier.emit('sensor.offline', {
+      key: `${se.id}:${se.last_seen_at}`, shop_id: se.shop_id,
+      subject: `${se.shop_name}: Datenlogger ${se.name} (${se.equipment_name}) sendet nicht`,
+      body: `Letzte Übertragung: ${localTime(se, se.last_seen_at)}. Batterie und Funkverbindung prüfen.`,
+      data: { sensor_id: se.id, equipment_id: se.equipment_id, shop_slug: se.shop_slug },
+    });
+  }
+  for (const e of db.prepare(`
+    SELECT e.*, s.name AS shop_name, s.slug AS shop_slug, s.timezone, s.day_cutoff FROM equipment e JOIN shops s ON s.id = e.shop_id
+    WHERE e.archived_at IS NULL AND s.archived_at IS NULL AND e.status = 'active'
+      AND (e.next_maintenance_due < ${shopToday('e.shop_id')} OR e.next_calibration_due < ${shopToday('e.shop_id')})
+  `).all(todays, todays)) {
+    for (const [kind, due] of [['maintenance', e.next_maintenance_due], ['calibration', e.next_calibration_due]]) {
+      if (!due || due >= businessDay(e)) continue;
+      notifier.emit('equipment.due', {
+        key: `${e.id}:${kind}:${due}`, shop_id: e.shop_id,
+        subject: `${e.shop_name}: ${EQUIPMENT_LOG_KINDS[kind]} von ${e.name} seit ${due} überfällig`,
+        body: `Gerät: ${e.name}${e.location ? ` (${e.location})` : ''} · Servicekontakt: ${e.service_contact || '—'}`,
+        data: { equipment_id: e.id, shop_slug: e.shop_slug, kind, due },
+      });
+    }
+  }
+}
+setInterval(() => {
+  try { scanNotifications(); } catch (e) { console.error('[notify] scan', e); }
+  notifier.processQueue().catch(e => console.error('[notify] queue', e));
+}, NOTIFY_INTERVAL_MIN * 60000).unref();
+
+// Inbox des angemeldeten Benutzers
+app.get('/api/notifications', requireRole(), (req, res) => {
+  const items = db.prepare(`
+    SELECT id, event, shop_id, subject, body, payload_json, created_at, read_at FROM notifications
+    WHERE channel = 'inbox' AND user_id = ? AND (? = 0 OR read_at IS NULL)
+    ORDER BY id DESC LIMIT 100
+  `).all(req.session.id, req.query.unread === '1' ? 1 : 0);
+  const { unread } = db.prepare(`SELECT COUNT(*) AS unread FROM notifications WHERE channel = 'inbox' AND user_id = ? AND read_at IS NULL`).get(req.session.id);
+  res.json({ items, unread });
+});
+app.post('/api/notifications/:id/read', requireRole(), (req, res) => {
+  db.prepare(`UPDATE notifications SET read_at = ? WHERE id = ? AND channel = 'inbox' AND user_id = ? AND read_at IS NULL`)
+    .run(now(), req.params.id, req.session.id);
+  res.json({ ok: true });
+});
+app.post('/api/notifications/read-all', requireRole(), (req, res) => {
+  db.prepare(`UPDATE notifications SET read_at = ? WHERE channel = 'inbox' AND user_id = ? AND read_at IS NULL`).run(now(), req.session.id);
+  res.json({ ok: true });
+});
+
+// Regeln & Zustellprotokoll (Admin)
+app.get('/api/notification-rules', requireRole('admin'), (req, res) => {
+  const rules = db.prepare(`
+    SELECT r.*, s.name AS shop_name FROM notification_rules r LEFT JOIN shops s ON s.id = r.shop_id ORDER BY r.id DESC
+  `).all();
+  res.json({ rules, events: NOTIFY_EVENTS, channels: NOTIFY_CHANNELS });
+});
+const NOTIFY_RULE_SCHEMA = {
+  event: { type: 'enum', values: Object.keys(NOTIFY_EVENTS), required: true, label: 'Ereignis' },
+  channel: { type: 'enum', values: NOTIFY_CHANNELS, required: true, label: 'Kanal' },
+  shop_id: { type: 'int', min: 1, label: 'Filiale' },
+  role: { type: 'enum', values: Object.keys(ROLE_RANK), label: 'Rolle' },
+};
+// Empfänger je Kanal; die Inbox geht an die Benutzer der Rolle/Filiale und hat kein Ziel
+const NOTIFY_TARGET_SCHEMAS = {
+  email: { target: { type: 'string', max: 200, label: 'E-Mail', pattern: /^[^@\s]+@[^@\s]+$/, message: 'Ungültige E-Mail-Adresse' } },
+  webhook: { target: { type: 'string', required: true, max: 500, label: 'Webhook-URL', pattern: /^https?:\/\/\S+$/, message: 'Webhook-URL muss mit http:// oder https:// beginnen' } },
+  inbox: {},
+};
+app.post('/api/notification-rules', requireRole('admin'), (req, res) => {
+  const v = validate(NOTIFY_RULE_SCHEMA, req.body);
+  if (v.error) return badRequest(res, v);
+  const t = validate(NOTIFY_TARGET_SCHEMAS[v.data.channel], req.body);
+  if (t.error) return badRequest(res, t);
+  const { event, shop_id, role, channel } = v.data;
+  const target = t.data.target ?? null;
+  if (shop_id && !db.prepare('SELECT 1 FROM shops WHERE id = ?').get(shop_id)) return badRequest(res, { error: 'Filiale nicht gefunden', field: 'shop_id' });
+  const info = db.prepare(`
+    INSERT INTO notification_rules (event,shop_id,role,channel,target,active,created_at) VALUES (?,?,?,?,?,1,?)
+  `).run(event, shop_id, role, channel, target, now());
+  const rule = db.prepare('SELECT * FROM notification_rules WHERE id = ?').get(info.lastInsertRowid);
+  audit(req, 'notification_rule.create', { entity: 'notification_rule', entity_id: rule.id, shop_id: rule.shop_id, after: rule });
+  res.json({ ok: true, id: rule.id });
+});
+app.delete('/api/notification-rules/:id', requireRole('admin'), (req, res) => {
+  const before = db.prepare('SELECT * FROM notification_rules WHERE id = ?').get(req.params.id);
+  db.prepare('DELETE FROM notification_rules WHERE id = ?').run(req.params.id);
+  if (before) audit(req, 'notification_rule.delete', { entity: 'notification_rule', entity_id: before.id, shop_id: before.shop_id, before });
+  res.json({ ok: true });
+});
+app.get('/api/notification-outbox', requireRole('admin'), (req, res) => {
+  const items = db.prepare(`
+    SELECT id, event, shop_id, channel, recipient, subject, status, attempts, last_error, created_at, sent_at
+    FROM notifications WHERE (? IS NULL OR status = ?) ORDER BY id DESC LIMIT 200
+  `).all(req.query.status || null, req.query.status || null);
+  res.json({ items });
+});
+app.post('/api/notification-outbox/:id/retry', requireRole('admin'), (req, res) => {
+  const n = notifier.retry(req.params.id);
+  if (n) notifier.processQueue().catch(e => console.error('[notify] queue', e));
+  res.json({ ok: !!n });
+});
+// Testereignis an alle Regeln für "test" – zum Prüfen von SMTP/Webhook-Konfiguration
+app.post('/api/notifications/test', requireRole('admin'), (req, res) => {
+  const created = notifier.emit('test', {
+    key: crypto.randomUUID(), shop_id: req.body?.shop_id || null,
+    subject: 'BUNCA HACCP – Testbenachrichtigung', body: `Ausgelöst von ${req.session.email} am ${now()}`,
+  });
+  res.json({ ok: true, created });
+});
+
+/* -------------------- Dashboard -------------------- */
+// Zahlen über abgesendete Läufe – offene Entwürfe zählen nicht mit
+app.get('/api/dashboard', requireRole(), (req, res) => {
+  const slug = req.query.shop;
+  const shop_id = slug ? getShopIdBySlug(slug) : null;
+  if (shop_id && !canAccessShop(req.session, shop_id)) return forbidden(res);
+  const scope = scopeParam(req.session);
+  // Geschäftstag der Filiale; über mehrere Filialen der jüngste
+  const today = shop_id
+    ? businessDay(db.prepare('SELECT timezone, day_cutoff FROM shops WHERE id = ?').get(shop_id))
+    : latestBusinessDay(db.prepare(`
+      SELECT timezone, day_cutoff FROM shops
+      WHERE archived_at IS NULL AND (? IS NULL OR id IN (SELECT value FROM json_each(?)))
+    `).all(scope, scope));
+  const total = db.prepare(`
+    SELECT COUNT(*) AS runs,
+           SUM(CASE WHEN status='signed' THEN 1 ELSE 0 END) AS signed
+    FROM check_runs
+    WHERE status != 'draft' AND (? IS NULL OR shop_id = ?)
+      AND (? IS NULL OR shop_id IN (SELECT value FROM json_each(?)))
+  `).get(shop_id || null, shop_id || null, scope, scope);
+  const issues = new Map(db.prepare(`
+    SELECT run_date, SUM(fail_count) AS issues FROM check_runs
+    WHERE status != 'draft' AND run_date >= ? AND (? IS NULL OR shop_id = ?)
+      AND (? IS NULL OR shop_id IN (SELECT value FROM json_each(?)))
+    GROUP BY run_date
+  `).all(dayjs(today).subtract(6, 'day').format('YYYY-MM-DD'), shop_id || null, shop_id || null, scope, scope)
+    .map(r => [r.run_date, r.issues]));
+  const last7 = [];
+  for (let i = 6; i >= 0; i--) {
+    const d = dayjs(today).subtract(i, 'day').format('YYYY-MM-DD');
+    last7.push({ run_date: d, issues: issues.get(d) || 0 });
+  }
+  const actions = db.prepare(`
+    SELECT SUM(CASE WHEN ca.status = 'open' THEN 1 ELSE 0 END) AS open,
+           SUM(CASE WHEN ca.status = 'open' AND ca.due_date IS NOT NULL AND ca.due_date < ${shopToday('r.shop_id')} THEN 1 ELSE 0 END) AS overdue
+    FROM corrective_actions ca JOIN check_runs r ON r.id = ca.run_id
+    WHERE (? IS NULL OR r.shop_id = ?)
+      AND (? IS NULL OR r.shop_id IN (SELECT value FROM json_each(?)))
+  `).get(businessDaysJson(), shop_id || null, shop_id || null, scope, scope);
+  res.json({ today, totals: total, last7, actions: { open: actions.open || 0, overdue: actions.overdue || 0 } });
+});
+
+/* Filialübersicht für Bereichsleiter: eine Zeile je zugewiesener Filiale (Admins/Auditoren: alle).
+ * today: Schichten laut Schichtplan (done/late/missed/pending), Erfüllung = abgegeben / geplant.
+ * Heute, 7 und 30 Tage rechnen je Filiale ab ihrem Geschäftstag (business_day).
+ */
+app.get('/api/dashboard/shops', requireRole('manager'), (req, res) => {
+  const scope = scopeParam(req.session);
+  const shops = db.prepare(`
+    SELECT id, name, slug, status, timezone, day_cutoff FROM shops
+    WHERE archived_at IS NULL AND (? IS NULL OR id IN (SELECT value FROM json_each(?)))
+    ORDER BY name ASC
+  `).all(scope, scope);
+  const ids = JSON.stringify(shops.map(s => s.id));
+  const days = new Map(shops.map(s => [s.id, businessDay(s)]));
+  const windows = JSON.stringify(shops.map(s => ({
+    shop_id: s.id,
+    d7: dayjs(days.get(s.id)).subtract(6, 'day').format('YYYY-MM-DD'),
+    d30: dayjs(days.get(s.id)).subtract(29, 'day').format('YYYY-MM-DD'),
+  })));
+  const byShop = rows => new Map(rows.map(r => [r.shop_id, r]));
+  const runs = byShop(db.prepare(`
+    WITH w AS (
+      SELECT json_extract(value, '$.shop_id') AS shop_id, json_extract(value, '$.d7') AS d7, json_extract(value, '$.d30') AS d30
+      FROM json_each(?)
+    )
+    SELECT r.shop_id,
+           SUM(CASE WHEN r.run_date >= w.d7 THEN r.fail_count ELSE 0 END) AS fails_7,
+           SUM(CASE WHEN r.run_date >= w.d30 THEN r.fail_count ELSE 0 END) AS fails_30,
+           SUM(CASE WHEN r.status = 'submitted' THEN 1 ELSE 0 END) AS unsigned,
+           MAX(r.created_at) AS last_run_at
+    FROM check_runs r JOIN w ON w.shop_id = r.shop_id
+    WHERE r.status != 'draft'
+    GROUP BY r.shop_id
+  `).all(windows));
+  const actions = byShop(db.prepare(`
+    SELECT r.shop_id,
+           SUM(CASE WHEN ca.status = 'open' THEN 1 ELSE 0 END) AS open,
+           SUM(CASE WHEN ca.status = 'open' AND ca.due_date IS NOT NULL AND ca.due_date < ${shopToday('r.shop_id')} THEN 1 ELSE 0 END) AS overdue
+    FROM corrective_actions ca JOIN check_runs r ON r.id = ca.run_id
+    WHERE r.shop_id IN (SELECT value FROM json_each(?))
+    GROUP BY r.shop_id
+  `).all(businessDaysJson(shops), ids));
+  // Filialen mit demselben Geschäftstag gemeinsam auswerten
+  const comp = new Map();
+  for (const day of new Set(days.values())) {
+    for (const s of computeCompliance(shops.filter(x => days.get(x.id) === day), day, day).shops) comp.set(s.shop_id, s.cells);
+  }
+
+  const rows = shops.map(s => {
+    const cells = comp.get(s.id) || [];
+    const count = st => cells.filter(c => c.status === st).length;
+    const submitted = count('done') + count('late');
+    const r = runs.get(s.id) || {};
+    const a = actions.get(s.id) || {};
+    return {
+      shop_id: s.id, name: s.name, slug: s.slug, status: s.status, business_day: days.get(s.id),
+      today: { planned: cells.length, done: count('done'), late: count('late'), missed: count('missed'), pending: count('pending'),
+        rate: cells.length ? Math.round((submitted / cells.length) * 1000) / 10 : null },
+      fails_7: r.fails_7 || 0, fails_30: r.fails_30 || 0, unsigned: r.unsigned || 0, last_run_at: r.last_run_at || null,
+      actions: { open: a.open || 0, overdue: a.overdue || 0 },
+    };
+  });
+  res.json({ date: latestBusinessDay(shops), shops: rows });
+});
+
+/* Temperaturverlauf je Gerät (Antworten vom Typ temperature; ohne Gerät nach Bezeichnung gruppiert).
+ * Je Tag min/max/avg, Ausreißer außerhalb der Grenzen und eine Drift-Warnung: steigen bzw. fallen
+ * die Tagesmittel über DRIFT.window Tage so, dass die Grenze in DRIFT.horizon Tagen erreicht wäre,
+ * obwohl alle Werte noch in Ordnung sind.
+ */
+const DRIFT = { window: 7, minPoints: 4, minSlope: 0.2, horizon: 7 }; // minSlope in Einheiten/Tag
+
+// Lineare Regression über [x, y]-Paare
+function linearTrend(points) {
+  const n = points.length;
+  const mx = points.reduce((a, p) => a + p[0], 0) / n;
+  const my = points.reduce((a, p) => a + p[1], 0) / n;
+  const sxx = points.reduce((a, p) => a + (p[0] - mx) ** 2, 0);
+  const slope = sxx ? points.reduce((a, p) => a + (p[0] - mx) * (p[1] - my), 0) / sxx : 0;
+  return { slope, at: x => my + slope * (x - mx) };
+}
+const round1 = v => Math.round(v * 10) / 10;
+
+function detectDrift(days, limits, to) {
+  const end = dayjs(to);
+  const recent = days.filter(d => end.diff(dayjs(d.date), 'day') < DRIFT.window);
+  if (recent.length < DRIFT.minPoints || recent.some(d => d.excursions)) return null;
+  const points = recent.map(d => [DRIFT.window - 1 - end.diff(dayjs(d.date), 'day'), d.avg]);
+  const { slope, at } = linearTrend(points);
+  const dir = slope > 0 ? 'high' : 'low';
+  const limit = dir === 'high' ? limits.max : limits.min;
+  if (limit == null || Math.abs(slope) < DRIFT.minSlope) return null;
+  const current = at(DRIFT.window - 1);
+  const headroom = dir === 'high' ? limit - current : current - limit;
+  const days_to_limit = headroom / Math.abs(slope);
+  if (headroom <= 0 || days_to_limit > DRIFT.horizon) return null;
+  return {
+    direction: dir, slope: Math.round(slope * 100) / 100, limit, current: round1(current),
+    days_to_limit: round1(days_to_limit),
+    message: `Tendenz ${dir === 'high' ? 'steigend' : 'fallend'} (${slope > 0 ? '+' : ''}${String(Math.round(slope * 100) / 100).replace('.', ',')}/Tag) – Grenze ${String(limit).replace('.', ',')} voraussichtlich in ${Math.max(1, Math.round(days_to_limit))} Tag(en) erreicht`,
+  };
+}
+
+// Parameter: shop (slug, erforderlich), days (1–365, Standard 30) oder from/to
+app.get('/api/analytics/temperatures', requireRole(), (req, res) => {
+  const shop_id = req.query.shop ? getShopIdBySlug(req.query.shop) : null;
+  if (!shop_id) return badRequest(res, { error: 'Filiale erforderlich', field: 'shop' });
+  if (!canAccessShop(req.session, shop_id)) return forbidden(res);
+  const to = req.query.to || businessDay(db.prepare('SELECT timezone, day_cutoff FROM shops WHERE id = ?').get(shop_id));
+  const from = req.query.from || dayjs(to).subtract(Math.min(Math.max(toInt(req.query.days, 30), 1), 365) - 1, 'day').format('YYYY-MM-DD');
+  if (!dayjs(from).isValid() || !dayjs(to).isValid() || from > to) return badRequest(res, { error: 'Ungültiger Zeitraum', field: 'from' });
+
+  const rows = db.prepare(`
+    SELECT a.run_id, a.equipment_id, a.label, a.value, a.unit, a.min, a.max, r.run_date, r.shift, e.name AS equipment_name
+    FROM check_run_answers a
+    JOIN check_runs r ON r.id = a.run_id
+    LEFT JOIN equipment e ON e.id = a.equipment_id
+    WHERE r.shop_id = ? AND r.run_date >= ? AND r.run_date <= ? AND r.status != 'draft' AND a.kind = 'temperature'
+    ORDER BY r.run_date ASC, r.created_at ASC, a.id ASC
+  `).all(shop_id, from, to);
+
+  const series = new Map();
+  for (const a of rows) {
+    const value = Number(a.value);
+    if (a.value == null || a.value === '' || !Number.isFinite(value)) continue;
+    const key = a.equipment_id ? `e${a.equipment_id}` : `l${a.label}`;
+    if (!series.has(key)) series.set(key, { equipment_id: a.equipment_id, name: a.equipment_name || a.label, byDay: new Map(), excursions: [], limits: {} });
+    const s = series.get(key);
+    s.unit = a.unit || s.unit || '°C';
+    s.limits = { min: a.min, max: a.max }; // jüngste Vorgabe gilt für die Drift
+    const out = (a.min != null && value < a.min) || (a.max != null && value > a.max);
+    if (out) s.excursions.push({ date: a.run_date, shift: a.shift, run_id: a.run_id, label: a.label, value, min: a.min, max: a.max });
+    const d = s.byDay.get(a.run_date) || { date: a.run_date, values: [], excursions: 0 };
+    d.values.push(value);
+    if (out) d.excursions++;
+    s.byDay.set(a.run_date, d);
+  }
+
+  // Datenlogger: bis 31 Tage Stundenwerte, darüber Tageswerte. Geräte nur mit Sensordaten kommen dazu.
+  const sensors = sensorSeries(shop_id, from, to, { resolution: dayjs(to).diff(dayjs(from), 'day') < 31 ? 'hour' : 'day' });
+  for (const id of sensors.keys()) {
+    if (series.has(`e${id}`)) continue;
+    const eq = db.prepare('SELECT * FROM equipment WHERE id = ?').get(id);
+    series.set(`e${id}`, { equipment_id: id, name: eq.name, unit: '°C', byDay: new Map(), excursions: [], limits: equipmentLimits(eq) || {} });
+  }
+
+  const equipment = [...series.values()].map(s => {
+    const days = [...s.byDay.values()].map(d => ({
+      date: d.date, count: d.values.length, excursions: d.excursions,
+      min: Math.min(...d.values), max: Math.max(...d.values),
+      avg: round1(d.values.reduce((x, y) => x + y, 0) / d.values.length),
+    }));
+    const sensor = s.equipment_id ? sensors.get(s.equipment_id) || null : null;
+    return {
+      equipment_id: s.equipment_id, name: s.name, unit: s.unit, limits: s.limits,
+      days, excursions: s.excursions, sensor,
+      // Ohne Handmessungen zeigt sich die Drift an den Tagesmitteln des Datenloggers
+      drift: detectDrift(days.length || !sensor ? days : sensor.days, s.limits, to),
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name, 'de'));
+  res.json({ from, to, equipment });
+});
+
+/* -------------------- CSV / XLSX Export -------------------- */
+/* Filter wie im Verlauf: shop (slug), from, to, status, shift, equipment_id. Entwürfe zählen erst
+ * nach dem Absenden und fehlen im Export.
+ * Quellen liefern Zeilen seitenweise (EXPORT_PAGE), damit große Zeiträume nicht komplett
+ * im Speicher landen; zwischen den Seiten wartet der Export auf den Client (drain).
+ */
+const EXPORT_PAGE = 1000;
+const EXPORT_DETAILS = ['answers', 'runs', 'actions'];
+
+function exportFilter(req, res) {
+  const q = req.query;
+  const shop_id = q.shop ? getShopIdBySlug(q.shop) : null;
+  if (q.shop && !shop_id) { notFound(res, 'Filiale nicht gefunden'); return null; }
+  if (shop_id && !canAccessShop(req.session, shop_id)) { forbidden(res); return null; }
+  if (q.shift && !SHIFTS.includes(q.shift)) { badRequest(res, { error: 'Ungültige Schicht', field: 'shift' }); return null; }
+  if (q.type && !Object.hasOwn(RUN_TYPES, q.type)) { badRequest(res, { error: 'Ungültige Laufart', field: 'type' }); return null; }
+  const equipment_id = q.equipment_id ? toInt(q.equipment_id, null) : null;
+  const scope = scopeParam(req.session);
+  return {
+    slug: q.shop || 'alle',
+    where: `
+      WHERE r.status != 'draft' AND (? IS NULL OR r.shop_id = ?) AND r.run_date >= ? AND r.run_date <= ?
+        AND (? IS NULL OR r.status = ?) AND (? IS NULL OR r.shift = ?) AND (? IS NULL OR r.run_type = ?)
+        AND (? IS NULL OR r.shop_id IN (SELECT value FROM json_each(?)))`,
+    params: [shop_id, shop_id, q.from || '0000-01-01', q.to || '9999-12-31', q.status || null, q.status || null,
+      q.shift || null, q.shift || null, q.type || null, q.type || null, scope, scope],
+    equipment_id,
+  };
+}
+
+const yesNo = v => (v ? 'Ja' : 'Nein');
+const exportNumber = v => (v == null || v === '' || !Number.isFinite(Number(v)) ? (v ?? '') : Number(v));
+// Messwerte als Zahl (rechnen in Excel), alles andere als Text wie im PDF
+function exportValue(a) {
+  return ['temperature', 'number', 'counter'].includes(a.kind) ? exportNumber(a.value) : formatAnswerValue(a);
+}
+
+// Spalten je Quelle: [Überschrift, Schlüssel, Breite in XLSX]
+const EXPORT_SOURCES = {
+  runs: {
+    sheet: 'Läufe',
+    columns: [['Filiale', 'shop', 18], ['Datum', 'run_date', 12], ['Art', 'run_type', 20], ['Schicht', 'shift', 10], ['Status', 'status', 14],
+      ['OK', 'ok_count', 6], ['Probleme', 'fail_count', 9], ['Erfasst', 'captured_at', 17], ['Erfasst von', 'created_by', 24], ['Unterschrieben am', 'signed_at', 17],
+      ['Unterschrieben von', 'signed_by', 24], ['Notiz', 'note', 40], ['Lauf-ID', 'id', 38]],
+    sql: f => `
+      SELECT r.*, s.name AS shop_name, s.timezone, u.email AS signed_by_email, COALESCE(c.name, c.email) AS created_by_name
+      FROM check_runs r JOIN shops s ON s.id = r.shop_id LEFT JOIN users u ON u.id = r.signed_by
+      LEFT JOIN users c ON c.id = r.created_by
+      ${f.where}
+        AND (? IS NULL OR ? IN (
+          SELECT x.equipment_id FROM check_run_answers x WHERE x.run_id = r.id
+          UNION SELECT l.equipment_id FROM equipment_logs l WHERE l.run_id = r.id))
+      ORDER BY r.run_date DESC, r.created_at DESC`,
+    row: r => ({
+      shop: r.shop_name, run_date: r.run_date, run_type: RUN_TYPES[r.run_type] || r.run_type,
+      shift: SHIFT_DE[r.shift] || r.shift || '', status: statusLabelDE(r.status),
+      ok_count: r.ok_count, fail_count: r.fail_count,
+      captured_at: localTime(r, r.captured_at || r.created_at), created_by: r.created_by_name || '',
+      signed_at: localTime(r, r.signed_at), signed_by: r.signed_by_email || '',
+      note: r.note || '', id: r.id,
+    }),
+  },
+  answers: {
+    sheet: 'Antworten',
+    columns: [['Filiale', 'shop', 18], ['Datum', 'run_date', 12], ['Schicht', 'shift', 10], ['Gerät', 'equipment', 18],
+      ['Eintrag', 'label', 32], ['Wert', 'value', 14], ['Einheit', 'unit', 8], ['Min', 'min', 7], ['Max', 'max', 7],
+      ['Vorgabe', 'target', 20], ['OK', 'ok', 6], ['Gemessen von', 'answered_by', 24], ['Korrekturmaßnahme', 'action', 36],
+      ['Maßnahme-Status', 'action_status', 16], ['Lauf-ID', 'run_id', 38]],
+    sql: f => `
+      SELECT a.*, r.run_date, r.shift AS run_shift, s.name AS shop_name, e.name AS equipment_name,
+             ca.description AS action_description, ca.status AS action_status, COALESCE(p.name, p.email) AS answered_by_name
+      FROM check_run_answers a
+      JOIN check_runs r ON r.id = a.run_id
+      JOIN shops s ON s.id = r.shop_id
+      LEFT JOIN equipment e ON e.id = a.equipment_id
+      LEFT JOIN users p ON p.id = a.answered_by
+      LEFT JOIN corrective_actions ca ON ca.id = (
+        SELECT id FROM corrective_actions WHERE run_id = a.run_id AND item_id = a.item_id ORDER BY id DESC LIMIT 1)
+      ${f.where}
+        AND (? IS NULL OR a.equipment_id = ?)
+      ORDER BY r.run_date DESC, r.created_at DESC, a.id ASC`,
+    row: a => ({
+      shop: a.shop_name, run_date: a.run_date, shift: SHIFT_DE[a.run_shift] || a.run_shift, equipment: a.equipment_name || '',
+      label: a.label, value: exportValue(a), unit: a.unit || '', min: exportNumber(a.min), max: exportNumber(a.max),
+      target: formatAnswerTarget(a) === '—' ? '' : formatAnswerTarget(a), ok: yesNo(a.ok), answered_by: a.answered_by_name || '',
+      action: a.action_description || '', action_status: a.action_status ? (a.action_status === 'done' ? 'erledigt' : 'offen') : '',
+      run_id: a.run_id,
+    }),
+  },
+  actions: {
+    sheet: 'Maßnahmen',
+    columns: [['Filiale', 'shop', 18], ['Datum', 'run_date', 12], ['Eintrag', 'item', 28], ['Maßnahme', 'description', 40],
+      ['Zuständig', 'assigned_to', 18], ['Fällig', 'due_date', 12], ['Status', 'status', 10], ['Überfällig', 'overdue', 10],
+      ['Abgeschlossen am', 'closed_at', 17], ['Abgeschlossen von', 'closed_by', 24], ['Verifizierung', 'verification_note', 32],
+      ['Lauf-ID', 'run_id', 38]],
+    sql: f => `
+      ${CA_SELECT}
+      ${f.where}
+        AND (? IS NULL OR EXISTS (SELECT 1 FROM check_run_answers x WHERE x.run_id = ca.run_id AND x.item_id = ca.item_id AND x.equipment_id = ?))
+      ORDER BY r.run_date DESC, ca.id ASC`,
+    // CA_SELECT erwartet zuerst das Stichtagsdatum für "overdue"
+    prefix: () => [ymd()],
+    row: ca => ({
+      shop: ca.shop_name, run_date: ca.run_date, item: ca.item_label || '', description: ca.description,
+      assigned_to: ca.assigned_to || '', due_date: ca.due_date || '', status: ca.status === 'done' ? 'erledigt' : 'offen',
+      overdue: yesNo(ca.overdue), closed_at: localTime(ca, ca.closed_at),
+      closed_by: ca.closed_by_email || '', verification_note: ca.verification_note || '', run_id: ca.run_id,
+    }),
+  },
+};
+
+// Zeilen einer Quelle seitenweise lesen
+function* exportRows(source, f) {
+  const stmt = db.prepare(`${source.sql(f)} LIMIT ? OFFSET ?`);
+  const params = [...(source.prefix ? source.prefix() : []), ...f.params, f.equipment_id, f.equipment_id];
+  for (let offset = 0; ; offset += EXPORT_PAGE) {
+    const rows = stmt.all(...params, EXPORT_PAGE, offset);
+    yield rows.map(source.row);
+    if (rows.length < EXPORT_PAGE) return;
+  }
+}
+
+// RFC 4180 mit ";" (deutsches Excel); Zahlen mit Dezimalkomma, Formel-Präfixe entschärft
+function csvField(v) {
+  if (typeof v === 'number') return String(v).replace('.', ',');
+  let t = String(v ?? '');
+  if (/^([=+@\t\r]|-(?!\d))/.test(t)) t = `'${t}`; // "-2–7 °C" bleibt lesbar
+  return /[;"\r\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+}
+const drained = res => new Promise(resolve => res.once('drain', resolve));
+
+app.get('/api/export/csv', requireRole(), async (req, res) => {
+  const detail = req.query.detail || 'answers';
+  if (!EXPORT_DETAILS.includes(detail)) return badRequest(res, { error: 'Ungültige Detailstufe', field: 'detail' });
+  const f = exportFilter(req, res);
+  if (!f) return;
+  const source = EXPORT_SOURCES[detail];
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="bunca-${detail === 'runs' ? 'verlauf' : detail === 'answers' ? 'antworten' : 'massnahmen'}-${f.slug}.csv"`);
+  res.write('\ufeff' + source.columns.map(c => csvField(c[0])).join(';') + '\r\n');
+  for (const rows of exportRows(source, f)) {
+    const chunk = rows.map(r => source.columns.map(c => csvField(r[c[1]])).join(';') + '\r\n').join('');
+    if (!res.write(chunk)) await drained(res);
+    if (res.destroyed) return;
+  }
+  res.end();
+});
+
+// Excel-Arbeitsmappe mit je einem Blatt für Läufe, Antworten und Maßnahmen (gestreamt)
+app.get('/api/export/xlsx', requireRole(), async (req, res) => {
+  const f = exportFilter(req, res);
+  if (!f) return;
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="bunca-export-${f.slug}.xlsx"`);
+  const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  wb.creator = 'BUNCA HACCP';
+  try {
+    for (const detail of ['runs', 'answers', 'actions']) {
+      const source = EXPORT_SOURCES[detail];
+      const sheet = wb.addWorksheet(source.sheet, { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.columns = source.columns.map(([header, key, width]) => ({ header, key, width }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+      for (const rows of exportRows(source, f)) {
+        for (const r of rows) sheet.addRow(r).commit();
+        if (res.writableNeedDrain) await drained(res);
+        if (res.destroyed) return;
+      }
+      sheet.commit();
+    }
+    await wb.commit();
+  } catch (e) {
+    console.error('XLSX-Export fehlgeschlagen:', e);
+    res.destroy(e);
+  }
 });
 
 /* -------------------- PDF Export (DE) -------------------- */
-app.get('/api/export/pdf', async (req, res) => {
+/* Gemeinsame Bausteine der PDF-Berichte (A4, Rand 36, bufferPages für die Fußzeile).
+ * Tabellen: cols = { key: [x, breite] }; Zeilenhöhe richtet sich nach der längsten Zelle.
+ */
+function pdfLayout(doc) {
+  const LEFT = 36, RIGHT = 559;
+  const line = (color = '#f3f4f6') => {
+    doc.moveTo(LEFT, doc.y).lineTo(RIGHT, doc.y).strokeColor(color).lineWidth(1).stroke();
+  };
+  // Seitenumbruch, wenn der nächste Block nicht mehr passt; onBreak zeichnet z.B. den Tabellenkopf neu
+  const ensureSpace = (h, onBreak) => {
+    if (doc.y + h <= doc.page.height - 56) return;
+    doc.addPage();
+    if (onBreak) onBreak();
+  };
+  const header = (cols, titles) => {
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#111827');
+    const y = doc.y;
+    for (const [k, t] of Object.entries(titles)) doc.text(t, cols[k][0], y, { width: cols[k][1] });
+    doc.x = LEFT; doc.moveDown(0.2);
+    line('#e5e7eb');
+    doc.moveDown(0.3).font('Helvetica');
+  };
+  // color: { key: Farbe } je Zelle; draw(y) zeichnet Zusätzliches (Bilder) in die Zeile
+  const row = (cols, cells, { color = {}, minHeight = 0, onBreak, draw } = {}) => {
+    doc.fontSize(10).font('Helvetica');
+    const h = Math.max(minHeight, ...Object.entries(cells).map(([k, t]) => doc.heightOfString(t || ' ', { width: cols[k][1] })));
+    ensureSpace(h + 8, onBreak);
+    const y = doc.y;
+    for (const [k, t] of Object.entries(cells)) doc.fillColor(color[k] || '#111827').text(t || '', cols[k][0], y, { width: cols[k][1] });
+    if (draw) draw(y);
+    doc.fillColor('#111827').fontSize(10);
+    doc.x = LEFT; doc.y = y + h + 4;
+  };
+  // Fußzeile mit Seitenzahlen auf allen Seiten – erst ganz am Ende aufrufen
+  const footer = text => {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0; // sonst erzeugt Text unterhalb des Rands eine neue Seite
+      const fy = doc.page.height - 30;
+      doc.fontSize(8).fillColor('#6b7280')
+        .text(text, LEFT, fy, { width: 380, lineBreak: false })
+        .text(`Seite ${i - range.start + 1} von ${range.count}`, LEFT + 380, fy, { width: RIGHT - LEFT - 380, align: 'right', lineBreak: false });
+      doc.page.margins.bottom = bottom;
+    }
+  };
+  return { LEFT, RIGHT, line, ensureSpace, header, row, footer };
+}
+
+/* Prüfcode eines unterschriebenen Laufs: die ersten 12 Stellen der Prüfsumme, gruppiert.
+ * GET /api/verify/:code findet den Lauf und prüft, ob die Prüfsumme noch zum Inhalt passt.
+ */
+function verificationCode(run) {
+  return run.content_hash ? run.content_hash.slice(0, 12).toUpperCase().match(/.{4}/g).join('-') : null;
+}
+function runUrl(req, run, shop) {
+  return `${APP_URL || `${req.protocol}://${req.get('host')}`}/history/${encodeURIComponent(shop?.slug || '')}?run=${encodeURIComponent(run.id)}`;
+}
+app.get('/api/verify/:code', requireRole(), (req, res) => {
+  const prefix = String(req.params.code).replace(/-/g, '').toLowerCase();
+  if (!/^[0-9a-f]{12,64}$/.test(prefix)) return badRequest(res, { error: 'Ungültiger Prüfcode', field: 'code' });
+  const run = db.prepare(`SELECT r.*, s.slug, s.name AS shop_name FROM check_runs r JOIN shops s ON s.id = r.shop_id WHERE r.content_hash LIKE ? || '%'`).get(prefix);
+  if (!run) return notFound(res, 'Kein unterschriebener Lauf mit diesem Prüfcode');
+  if (!canAccessShop(req.session, run.shop_id)) return forbidden(res);
+  res.json({
+    ok: true,
+    intact: runHashIntact(run),
+    run: { id: run.id, shop: run.shop_name, shop_slug: run.slug, run_date: run.run_date, status: run.status, signed_at: run.signed_at, content_hash: run.content_hash },
+    url: runUrl(req, run, run),
+  });
+});
+
+app.get('/api/export/pdf', requireRole(), async (req, res) => {
   const run_id = req.query.run_id;
   if (!run_id) return res.status(400).send('run_id erforderlich');
 
-  const run = db.prepare('SELECT * FROM check_runs WHERE id = ?').get(run_id);
+  const run = db.prepare(`
+    SELECT r.*, u.email AS signed_by_email, u.role AS signed_by_role, COALESCE(c.name, c.email) AS created_by_name,
+           t.name AS template_name, v.version AS template_version
+    FROM check_runs r LEFT JOIN users u ON u.id = r.signed_by
+    LEFT JOIN users c ON c.id = r.created_by
+    LEFT JOIN checklist_versions v ON v.id = r.template_version_id
+    LEFT JOIN checklist_templates t ON t.id = v.template_id
+    WHERE r.id = ?
+  `).get(run_id);
   if (!run) return res.status(404).send('Lauf nicht gefunden');
+  if (!canAccessShop(req.session, run.shop_id)) return res.status(403).send('Kein Zugriff');
+  const amendments = getAmendments(run_id);
 
   const shop = db.prepare('SELECT * FROM shops WHERE id = ?').get(run.shop_id);
   const answers = db.prepare(`
-    SELECT a.*, e.name AS equipment_name
+    SELECT a.*, e.name AS equipment_name, COALESCE(p.name, p.email) AS answered_by_name
     FROM check_run_answers a
     LEFT JOIN equipment e ON e.id = a.equipment_id
-    WHERE run_id = ?
-    ORDER BY id ASC
+    LEFT JOIN users p ON p.id = a.answered_by
+    WHERE a.run_id = ?
+    ORDER BY a.id ASC
   `).all(run_id);
-  const actions = db.prepare('SELECT * FROM corrective_actions WHERE run_id = ? ORDER BY id ASC').all(run_id);
+  const actions = db.prepare(`${CA_SELECT} WHERE ca.run_id = ? ORDER BY ca.id ASC`).all(businessDaysJson(), run_id);
+  const calibrations = run.run_type === 'calibration' ? calibrationLogs(run_id) : [];
 
   // Gruppieren nach Gerät
   const groups = {};
@@ -504,128 +3456,721 @@ app.get('/api/export/pdf', async (req, res) => {
     groups[key] = groups[key] || [];
     groups[key].push(a);
   }
+  // Bilder vorab laden (Ablage kann S3 sein): Vorschaubilder für Fotos, Original für Unterschriften
+  const images = {};
+  const want = (url, thumb) => { if (url && !(url in images)) images[url] = loadUpload(url, { thumb }); };
+  for (const a of answers) { want(a.evidence_url, true); if (a.kind === 'signature') want(a.value, false); }
+  for (const ca of actions) { want(ca.photo_url, true); want(ca.after_photo_url, true); }
+  for (const [url, p] of Object.entries(images)) images[url] = await p;
 
-  // PDF aufsetzen
+  const code = verificationCode(run);
+  const link = runUrl(req, run, shop);
   const fileName = `bunca-haccp-${shop?.slug || 'filiale'}-${run.run_date}.pdf`;
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
 
-  const doc = new PDFDocument({ size: 'A4', margin: 36, info: { Title: fileName } });
+  const doc = new PDFDocument({ size: 'A4', margin: 36, bufferPages: true, info: { Title: fileName } });
   doc.pipe(res);
 
+  const { LEFT, RIGHT, line, ensureSpace, header, row, footer } = pdfLayout(doc);
+  const COLS = { label: [LEFT, 150], value: [190, 92], target: [286, 80], by: [370, 72], status: [446, 50], photo: [500, 59] };
+  const image = (url, x, y, fit) => {
+    if (!images[url]) return false;
+    try { doc.image(images[url], x, y, { fit }); return true; } catch { return false; } // kein PNG/JPEG
+  };
+
   // Kopfbereich
-  doc
-    .fillColor('#111827')
-    .fontSize(20).font('Helvetica-Bold').text('BUNCA HACCP', { continued: false })
-    .moveDown(0.2)
-    .fontSize(12).font('Helvetica')
+  const isCalibration = run.run_type === 'calibration';
+  doc.fillColor('#111827').fontSize(20).font('Helvetica-Bold').text(`BUNCA HACCP · ${RUN_TYPES[run.run_type] || RUN_TYPES.check}`);
+  doc.moveDown(0.2).fontSize(11).font('Helvetica')
     .text(`Filiale: ${shop?.name || '-'} (${shop?.slug || '-'})`)
-    .text(`Datum: ${run.run_date}`)
+    .text(`Datum: ${run.run_date}${run.shift ? ` · Schicht: ${SHIFT_DE[run.shift] || run.shift}` : ''}`)
+    .text(`Erfasst: ${localTime(shop, run.captured_at || run.created_at)}${run.created_by_name ? ` von ${run.created_by_name}` : ''}`)
+    .text(isCalibration
+      ? `Art: ${RUN_TYPES.calibration} (${calibrations.map(l => l.equipment_name).join(', ') || '—'})`
+      : `Checkliste: ${run.template_name ? `${run.template_name} · Version ${run.template_version}` : '—'}`)
     .text(`Status: ${statusLabelDE(run.status)}`)
-    .text(`Unterschrieben am: ${run.signed_at ? dayjs(run.signed_at).format('YYYY-MM-DD HH:mm') : '—'}`)
-    .moveDown(0.5)
-    .text(`Notizen: ${run.note || '—'}`)
-    .moveDown(0.6);
-
-  // Trenner
-  doc.moveTo(doc.x, doc.y).lineTo(559, doc.y).strokeColor('#e5e7eb').lineWidth(1).stroke();
+    .text(`Notizen: ${run.note || '—'}`, { width: RIGHT - LEFT });
+  doc.moveDown(0.3).fontSize(10).fillColor('#2563eb')
+    .text(`Online ansehen: ${link}`, { link, underline: true, width: RIGHT - LEFT });
+  doc.fillColor('#111827').font('Helvetica-Bold')
+    .text(code ? `Prüfcode: ${code}` : 'Prüfcode: — (noch nicht unterschrieben)');
+  doc.font('Helvetica').moveDown(0.6);
+  line('#e5e7eb');
   doc.moveDown(0.6);
 
-  // Gruppen rendern
-  const labelRow = (l, r, colW) => {
-    doc.font('Helvetica-Bold').text(l, { continued: true, width: colW });
-    doc.font('Helvetica').text(r);
-  };
+  // Zusammenfassung
+  const open = actions.filter(ca => ca.status !== 'done');
+  doc.fontSize(14).font('Helvetica-Bold').text('Zusammenfassung');
+  doc.moveDown(0.3).fontSize(11).font('Helvetica')
+    .text(`${isCalibration ? 'Prüfungen' : 'Einträge'}: ${isCalibration ? calibrations.length : answers.length} · OK: ${run.ok_count} · Probleme: ${run.fail_count}`)
+    .text(`Korrekturmaßnahmen: ${actions.length} · offen: ${open.length}${open.some(ca => ca.overdue) ? ` (davon überfällig: ${open.filter(ca => ca.overdue).length})` : ''}`)
+    .text(`Nachträge: ${amendments.length}${amendments.some(m => m.status !== 'signed') ? ` · nicht unterschrieben: ${amendments.filter(m => m.status !== 'signed').length}` : ''}`);
+  if (open.length) {
+    doc.moveDown(0.4).font('Helvetica-Bold').text('Offene Maßnahmen').font('Helvetica').fontSize(10);
+    for (const ca of open) {
+      const item = answers.find(a => a.item_id === ca.item_id);
+      ensureSpace(doc.heightOfString(ca.description, { width: RIGHT - LEFT - 12 }) + 14);
+      doc.fillColor(ca.overdue ? '#b91c1c' : '#111827')
+        .text(`• ${item ? `${item.label}: ` : ''}${ca.description} · Fällig: ${ca.due_date || '—'}${ca.overdue ? ' (überfällig)' : ''} · Zuständig: ${ca.assigned_to || '—'}`,
+          LEFT + 6, doc.y, { width: RIGHT - LEFT - 12 });
+    }
+    doc.fillColor('#111827').fontSize(11);
+  }
 
-  const tableHeader = () => {
-    doc
-      .font('Helvetica-Bold')
-      .fillColor('#111827')
-      .text('Eintrag',  { width: 190 })
-      .text('Wert',     { width: 120, continued: true })
-      .text('Ziel',     { width: 120, continued: true })
-      .text('Status',   { width: 80 });
-    doc.moveDown(0.2);
-    doc.moveTo(36, doc.y).lineTo(559, doc.y).strokeColor('#e5e7eb').lineWidth(1).stroke();
-    doc.moveDown(0.4);
-  };
+  // Einträge
+  const tableHeader = () => header(COLS, { label: 'Eintrag', value: 'Wert', target: 'Ziel', by: 'Gemessen von', status: 'Status', photo: 'Foto' });
 
-  Object.entries(groups).forEach(([gname, arr], gi) => {
-    if (gi > 0) doc.addPage();
+  // Thermometer-Prüfung: Messprotokoll statt Checklisten-Einträgen
+  const CCOLS = { device: [LEFT, 130], method: [170, 110], reference: [284, 50], reading: [338, 56], tolerance: [398, 50], by: [452, 66], result: [522, 37] };
+  const calHeader = () => header(CCOLS, { device: 'Gerät', method: 'Methode', reference: 'Soll', reading: 'Messwert', tolerance: 'Toleranz', by: 'Durchgeführt von', result: 'Ergebnis' });
+  const degrees = v => (v == null ? '—' : `${String(v).replace('.', ',')} °C`);
+  if (isCalibration) {
+    doc.moveDown(0.8);
+    ensureSpace(60);
+    doc.fontSize(14).font('Helvetica-Bold').fillColor('#111827').text('Messprotokoll', LEFT, doc.y);
+    doc.moveDown(0.3);
+    calHeader();
+    for (const l of calibrations) {
+      row(CCOLS, {
+        device: `${l.equipment_name}${l.equipment_serial ? ` (${l.equipment_serial})` : ''}`,
+        method: CALIBRATION_METHODS[l.method]?.label || l.method || '—',
+        reference: degrees(l.reference),
+        reading: degrees(l.reading),
+        tolerance: l.tolerance == null ? '—' : `±${String(l.tolerance).replace('.', ',')}`,
+        by: l.performed_by || l.created_by_name || '—',
+        result: l.result === 'fail' ? 'Nicht bestanden' : 'OK',
+      }, { color: { result: l.result === 'fail' ? '#b91c1c' : null }, onBreak: calHeader });
+      if (l.note) doc.fillColor('#6b7280').fontSize(9).text(`Bemerkung: ${l.note}`, LEFT + 12, doc.y, { width: 430 }).fillColor('#111827').fontSize(10);
+      doc.x = LEFT;
+      doc.moveDown(0.2);
+      line();
+      doc.moveDown(0.3);
+    }
+  }
 
-    doc.fontSize(14).font('Helvetica-Bold').fillColor('#111827').text(gname);
+  if (!isCalibration) doc.addPage();
+  Object.entries(groups).forEach(([gname, arr], gi) => {
+    ensureSpace(60);
+    if (gi > 0) doc.moveDown(0.6);
+    doc.fontSize(14).font('Helvetica-Bold').fillColor('#111827').text(gname, LEFT, doc.y);
     doc.moveDown(0.3);
     tableHeader();
-    doc.fontSize(11).font('Helvetica').fillColor('#111827');
 
     for (const a of arr) {
-      const target = (a.kind === 'temperature' || a.kind === 'number')
-        ? `${a.min != null ? a.min : ''}${(a.min != null || a.max != null) ? '–' : ''}${a.max != null ? a.max : ''} ${a.unit || ''}`.trim()
-        : '—';
-      const value = `${a.value}${a.kind === 'temperature' ? ` ${a.unit || ''}` : ''}`;
-      const status = a.ok ? 'OK' : 'Problem';
-
-      // Zeile
-      const yBefore = doc.y;
-      doc.text(a.label,     { width: 190 });
-      doc.y = yBefore; doc.x = 36 + 190; doc.text(value,    { width: 120 });
-      doc.y = yBefore; doc.x = 36 + 190 + 120; doc.text(target || '—', { width: 120 });
-      doc.y = yBefore; doc.x = 36 + 190 + 120 + 120; doc.text(status,  { width: 80 });
-      doc.moveDown(0.2);
+      const cells = {
+        label: a.label,
+        value: a.kind === 'signature' && images[a.value] ? '' : formatAnswerValue(a),
+        target: formatAnswerTarget(a) || '—',
+        by: a.answered_by_name || '—',
+        status: a.ok ? 'OK' : (a.photo_required && !a.evidence_url ? 'Foto fehlt' : 'Problem'),
+      };
+      const photo = images[a.evidence_url];
+      const sig = a.kind === 'signature' && images[a.value];
+      row(COLS, cells, {
+        minHeight: photo || sig ? 46 : 0,
+        color: { status: a.ok ? null : '#b91c1c' },
+        onBreak: tableHeader,
+        draw: y => {
+          if (sig) image(a.value, COLS.value[0], y, [COLS.value[1], 44]);
+          if (photo) image(a.evidence_url, COLS.photo[0], y, [COLS.photo[1], 44]);
+          else if (a.evidence_url) doc.fillColor('#6b7280').fontSize(8).text('Foto fehlt in der Ablage', COLS.photo[0], y, { width: COLS.photo[1] });
+        },
+      });
 
-      // Korrekturmaßnahme für diesen Eintrag?
-      const ca = actions.find(c => c.item_id === a.item_id);
-      if (ca) {
-        doc.fillColor('#6b7280').fontSize(10);
-        doc.text(`• Korrekturmaßnahme: ${ca.description}`, { width: 500 });
-        const meta = `   Zuständig: ${ca.assigned_to || '—'} · Fällig: ${ca.due_date || '—'}${ca.photo_url ? ` · Foto: ${ca.photo_url}` : ''}`;
-        doc.text(meta, { width: 500 });
-        doc.fillColor('#111827').fontSize(11);
+      // Korrekturmaßnahme(n) für diesen Eintrag
+      for (const ca of actions.filter(c => c.item_id === a.item_id)) {
+        const text = `Korrekturmaßnahme: ${ca.description}`;
+        const meta = `Zuständig: ${ca.assigned_to || '—'} · Fällig: ${ca.due_date || '—'} · ${ca.status === 'done' ? `erledigt ${localTime(shop, ca.closed_at, 'YYYY-MM-DD')}${ca.verification_note ? ` – ${ca.verification_note}` : ''}` : 'offen'}`;
+        const photos = [ca.photo_url, ca.after_photo_url].filter(u => images[u]);
+        const caH = doc.heightOfString(text, { width: 430 }) + doc.heightOfString(meta, { width: 430 }) + (photos.length ? 50 : 0);
+        ensureSpace(caH + 6, tableHeader);
+        doc.fillColor('#6b7280').fontSize(9).text(text, LEFT + 12, doc.y, { width: 430 }).text(meta, { width: 430 });
+        if (photos.length) {
+          const py = doc.y + 2;
+          photos.forEach((u, i) => image(u, LEFT + 12 + i * 80, py, [72, 46]));
+          doc.y = py + 48;
+        }
+        doc.fillColor('#111827').fontSize(10);
+      }
+      for (const m of amendments.filter(m => m.answer_id === a.id)) {
+        ensureSpace(16, tableHeader);
+        doc.fillColor('#b45309').fontSize(9)
+          .text(`Korrigiert auf ${formatAnswerValue({ ...a, value: m.new_value })} (Nachtrag #${m.id}${m.status === 'signed' ? '' : ', nicht unterschrieben'})`, LEFT + 12, doc.y, { width: 430 });
+        doc.fillColor('#111827').fontSize(10);
       }
 
-      // dünne Linie
-      doc.moveDown(0.2);
-      doc.moveTo(36, doc.y).lineTo(559, doc.y).strokeColor('#f3f4f6').lineWidth(1).stroke();
+      doc.x = LEFT;
       doc.moveDown(0.2);
+      line();
+      doc.moveDown(0.3);
     }
   });
 
-  // Fuß
+  // Nachträge
+  if (amendments.length) {
+    ensureSpace(80);
+    doc.moveDown(0.6).fontSize(14).font('Helvetica-Bold').fillColor('#111827').text('Nachträge / Korrekturen', LEFT, doc.y);
+    doc.moveDown(0.4).fontSize(10).font('Helvetica');
+    for (const m of amendments) {
+      ensureSpace(60);
+      const answer = answers.find(a => a.id === m.answer_id);
+      const fmt = v => (answer && v != null ? formatAnswerValue({ ...answer, value: v }) : (v ?? '—'));
+      const what = m.field === 'note' ? 'Notiz' : (m.answer_label || 'Eintrag');
+      doc.font('Helvetica-Bold').text(`#${m.id} · ${what}: ${fmt(m.old_value)} -> ${fmt(m.new_value)}${m.new_ok == null ? '' : (m.new_ok ? ' (OK)' : ' (Problem)')}`, { width: RIGHT - LEFT });
+      doc.font('Helvetica').fillColor('#6b7280').fontSize(9)
+        .text(`Begründung: ${m.reason}`, { width: RIGHT - LEFT })
+        .text(`Erfasst: ${localTime(shop, m.created_at)} von ${m.created_by_email || '—'}`)
+        .text(m.status === 'signed'
+          ? `Unterschrieben: ${localTime(shop, m.signed_at)} von ${m.signed_by_email || '—'} · Prüfsumme ${m.content_hash}`
+          : 'Noch nicht unterschrieben', { width: RIGHT - LEFT });
+      doc.fillColor('#111827').fontSize(10).moveDown(0.4);
+    }
+  }
+
+  // Unterschriftsblock
+  ensureSpace(120);
+  doc.moveDown(1).fontSize(14).font('Helvetica-Bold').fillColor('#111827').text('Unterschrift', LEFT, doc.y);
+  doc.moveDown(0.3);
+  const boxY = doc.y;
+  doc.rect(LEFT, boxY, RIGHT - LEFT, 84).strokeColor('#e5e7eb').lineWidth(1).stroke();
+  doc.fontSize(10).font('Helvetica');
+  if (run.status === 'signed') {
+    doc.text(`Elektronisch unterschrieben von: ${run.signed_by_email || '—'}${run.signed_by_role ? ` (${run.signed_by_role})` : ''}`, LEFT + 10, boxY + 10, { width: RIGHT - LEFT - 20 })
+      .text(`Zeitpunkt: ${localTime(shop, run.signed_at)}`)
+      .text(`Prüfcode: ${code}`)
+      .fontSize(8).fillColor('#6b7280').text(`Prüfsumme (SHA-256): ${run.content_hash}`, { width: RIGHT - LEFT - 20 });
+  } else {
+    doc.fillColor('#b45309').text('Noch nicht elektronisch unterschrieben.', LEFT + 10, boxY + 10)
+      .fillColor('#111827').moveDown(2.2)
+      .text('Name: ______________________    Datum: ____________    Unterschrift: ______________________');
+  }
+  doc.fillColor('#111827');
+  doc.x = LEFT; doc.y = boxY + 92;
+
+  footer(`BUNCA HACCP · ${shop?.name || '-'} · ${run.run_date}${code ? ` · Prüfcode ${code}` : ''}`);
+  doc.end();
+});
+
+/* Prüfbericht je Filiale über einen Zeitraum (für Behördenkontrollen):
+ * Deckblatt mit Erfüllungsquote und versäumten Schichten, Temperaturprotokoll je Gerät,
+ * Abweichungen mit Korrekturmaßnahmen. Filter wie im Verlauf: shop (slug), from, to.
+ */
+const REPORT_MAX_DAYS = 366;
+app.get('/api/export/report', requireRole(), (req, res) => {
+  const shop_id = req.query.shop ? getShopIdBySlug(req.query.shop) : null;
+  if (!req.query.shop) return res.status(400).send('shop erforderlich');
+  if (!shop_id) return res.status(404).send('Filiale nicht gefunden');
+  if (!canAccessShop(req.session, shop_id)) return res.status(403).send('Kein Zugriff');
+  const shop = db.prepare('SELECT * FROM shops WHERE id = ?').get(shop_id);
+  const to = req.query.to || businessDay(shop);
+  const from = req.query.from || dayjs(to).subtract(29, 'day').format('YYYY-MM-DD');
+  const isDate = d => /^\d{4}-\d{2}-\d{2}$/.test(d) && dayjs(d).isValid();
+  if (!isDate(from) || !isDate(to) || from > to) return res.status(400).send('Ungültiger Zeitraum');
+  if (dayjs(to).diff(dayjs(from), 'day') >= REPORT_MAX_DAYS) return res.status(400).send(`Zeitraum höchstens ${REPORT_MAX_DAYS} Tage`);
+
+  const runs = db.prepare(`
+    SELECT * FROM check_runs
+    WHERE shop_id = ? AND run_date >= ? AND run_date <= ? AND status != 'draft'
+    ORDER BY run_date ASC, created_at ASC
+  `).all(shop_id, from, to);
+  const runIds = JSON.stringify(runs.map(r => r.id));
+  const runById = new Map(runs.map(r => [r.id, r]));
+  const answers = db.prepare(`
+    SELECT a.*, e.name AS equipment_name, COALESCE(p.name, p.email) AS answered_by_name
+    FROM check_run_answers a
+    LEFT JOIN equipment e ON e.id = a.equipment_id
+    LEFT JOIN users p ON p.id = a.answered_by
+    WHERE a.run_id IN (SELECT value FROM json_each(?))
+    ORDER BY a.id ASC
+  `).all(runIds).map(a => ({ ...a, run: runById.get(a.run_id) }));
+  const actions = db.prepare(`${CA_SELECT} WHERE ca.run_id IN (SELECT value FROM json_each(?)) ORDER BY ca.id ASC`).all(businessDaysJson(), runIds);
+  // jüngster Wert-Nachtrag je Antwort
+  const amended = new Map();
+  for (const m of db.prepare(`
+    SELECT * FROM check_run_amendments
+    WHERE run_id IN (SELECT value FROM json_each(?)) AND field = 'value' ORDER BY id ASC
+  `).all(runIds)) amended.set(m.answer_id, m);
+  const compliance = computeCompliance([shop], from, to);
+  const cells = compliance.shops[0].cells;
+  const missed = cells.filter(c => c.status === 'missed');
+
+  const byRunDate = (a, b) => (a.run.run_date + SHIFTS.indexOf(a.run.shift)).localeCompare(b.run.run_date + SHIFTS.indexOf(b.run.shift));
+  const shiftLabel = s => SHIFT_DE[s] || s || '—';
+  const valueText = a => {
+    const m = amended.get(a.id);
+    return m ? `${formatAnswerValue(a)} -> ${formatAnswerValue({ ...a, value: m.new_value })} (Nachtrag #${m.id})` : formatAnswerValue(a);
+  };
+  const isOk = a => (amended.get(a.id)?.new_ok ?? a.ok) ? true : false;
+
+  const fileName = `bunca-haccp-bericht-${shop.slug}-${from}-${to}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  const doc = new PDFDocument({ size: 'A4', margin: 36, bufferPages: true, info: { Title: fileName } });
+  doc.pipe(res);
+  const { LEFT, RIGHT, line, ensureSpace, header, row, footer } = pdfLayout(doc);
+  const heading = text => {
+    ensureSpace(60);
+    doc.fontSize(14).font('Helvetica-Bold').fillColor('#111827').text(text, LEFT, doc.y);
+    doc.moveDown(0.3).fontSize(10).font('Helvetica');
+  };
+
+  // Deckblatt
+  const fails = answers.filter(a => !isOk(a));
+  const openActions = actions.filter(ca => ca.status !== 'done');
+  const sum = compliance.summary;
+  const pct = v => (v == null ? '—' : `${String(v).replace('.', ',')} %`);
+  doc.fillColor('#111827').fontSize(22).font('Helvetica-Bold').text('BUNCA HACCP · Prüfbericht');
+  doc.moveDown(0.3).fontSize(12).font('Helvetica')
+    .text(`Filiale: ${shop.name} (${shop.slug})`)
+    .text(`Zeitraum: ${from} bis ${to}`)
+    .text(`Erstellt: ${localTime(shop, new Date())} von ${req.session.email}`);
   doc.moveDown(0.6);
-  doc.fontSize(10).fillColor('#6b7280').text('© BUNCA HACCP · Automatisch erzeugter Bericht', { align: 'left' });
+  line('#e5e7eb');
+  doc.moveDown(0.6);
+  heading('Kennzahlen');
+  doc.fontSize(11)
+    .text(`Erfüllungsquote: ${pct(sum.rate)} (pünktlich: ${pct(sum.on_time_rate)})`)
+    .text(`Fällige Schichten: ${sum.due} · pünktlich: ${sum.done} · verspätet: ${sum.late} · versäumt: ${sum.missed}`)
+    .text(`Läufe: ${runs.length} · unterschrieben: ${runs.filter(r => r.status === 'signed').length}`)
+    .text(`Einträge: ${answers.length} · Abweichungen: ${fails.length}`)
+    .text(`Thermometer-Prüfungen: ${sum.calibration.runs} · nicht bestanden: ${sum.calibration.failed} · Kalibrierung überfällig: ${compliance.shops[0].calibration.overdue.map(e => e.name).join(', ') || 'keine'}`)
+    .text(`Korrekturmaßnahmen: ${actions.length} · erledigt: ${actions.length - openActions.length} · offen: ${openActions.length}${openActions.some(ca => ca.overdue) ? ` (davon überfällig: ${openActions.filter(ca => ca.overdue).length})` : ''}`);
+  doc.moveDown(0.8);
+  heading('Versäumte Schichten');
+  if (!missed.length) doc.fontSize(11).text('Keine – alle fälligen Schichten wurden erfasst.');
+  const missedByDate = {};
+  for (const c of missed) (missedByDate[c.date] = missedByDate[c.date] || []).push(c);
+  for (const [date, list] of Object.entries(missedByDate)) {
+    ensureSpace(16);
+    doc.fontSize(10).fillColor('#b91c1c')
+      .text(`${date}: ${list.map(c => `${shiftLabel(c.shift)} (fällig ${c.due_time})`).join(', ')}`, LEFT + 6, doc.y, { width: RIGHT - LEFT - 12 });
+  }
+  doc.fillColor('#111827');
+
+  // Temperaturprotokoll je Gerät; versäumte Schichten erscheinen als eigene Zeile
+  doc.addPage();
+  heading('Temperaturprotokoll');
+  const TCOLS = { date: [LEFT, 62], shift: [98, 44], label: [142, 140], value: [282, 96], target: [378, 68], by: [446, 70], status: [518, 41] };
+  const tHeader = () => header(TCOLS, { date: 'Datum', shift: 'Schicht', label: 'Eintrag', value: 'Wert', target: 'Ziel', by: 'Gemessen von', status: 'Status' });
+  const groups = {};
+  for (const a of answers.filter(a => a.kind === 'temperature').sort(byRunDate)) {
+    const key = a.equipment_name || 'Allgemein';
+    (groups[key] = groups[key] || []).push(a);
+  }
+  if (!Object.keys(groups).length) doc.fontSize(11).text('Keine Temperaturwerte im Zeitraum.');
+  Object.entries(groups).forEach(([gname, arr], gi) => {
+    if (gi > 0) doc.moveDown(0.6);
+    ensureSpace(60);
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#111827').text(gname, LEFT, doc.y);
+    doc.moveDown(0.2);
+    tHeader();
+    const rows = [
+      ...arr.map(a => ({ date: a.run.run_date, shift: a.run.shift, a })),
+      ...missed.map(c => ({ date: c.date, shift: c.shift, missed: c })),
+    ].sort((x, y) => (x.date + SHIFTS.indexOf(x.shift)).localeCompare(y.date + SHIFTS.indexOf(y.shift)));
+    for (const r of rows) {
+      if (r.missed) {
+        row(TCOLS, { date: r.date, shift: shiftLabel(r.shift), label: 'kein Eintrag – Schicht versäumt', value: '', target: '', by: '', status: 'Fehlt' },
+          { color: { label: '#b91c1c', status: '#b91c1c' }, onBreak: tHeader });
+        continue;
+      }
+      const ok = isOk(r.a);
+      row(TCOLS, { date: r.date, shift: shiftLabel(r.shift), label: r.a.label, value: valueText(r.a), target: formatAnswerTarget(r.a) || '—', by: r.a.answered_by_name || '—', status: ok ? 'OK' : 'Problem' },
+        { color: { status: ok ? null : '#b91c1c' }, onBreak: tHeader });
+    }
+  });
 
+  // Datenlogger: Tageswerte je Gerät und Abweichungs-Ereignisse
+  const sensors = sensorSeries(shop_id, from, to);
+  if (sensors.size) {
+    doc.addPage();
+    heading('Datenlogger');
+    const SCOLS = { date: [LEFT, 80], count: [116, 80], min: [196, 80], max: [276, 80], avg: [356, 80], out: [436, 123] };
+    const sHeader = () => header(SCOLS, { date: 'Datum', count: 'Messwerte', min: 'Min', max: 'Max', avg: 'Mittel', out: 'Außerhalb' });
+    const deg = v => `${String(v).replace('.', ',')} °C`;
+    const names = new Map(db.prepare('SELECT id, name FROM equipment WHERE shop_id = ?').all(shop_id).map(e => [e.id, e.name]));
+    [...sensors.entries()].sort((a, b) => (names.get(a[0]) || '').localeCompare(names.get(b[0]) || '', 'de')).forEach(([id, ser], gi) => {
+      if (gi > 0) doc.moveDown(0.6);
+      ensureSpace(60);
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#111827').text(names.get(id) || 'Gerät', LEFT, doc.y);
+      doc.moveDown(0.2);
+      sHeader();
+      for (const d of ser.days) {
+        row(SCOLS, { date: d.date, count: String(d.count), min: deg(d.min), max: deg(d.max), avg: deg(d.avg), out: d.excursions ? String(d.excursions) : '—' },
+          { color: { out: d.excursions ? '#b91c1c' : null }, onBreak: sHeader });
+      }
+      for (const x of ser.excursions) {
+        const sameDay = x.ended_at && localTime(shop, x.ended_at, 'YYYY-MM-DD') === localTime(shop, x.started_at, 'YYYY-MM-DD');
+        const text = `Abweichung ${localTime(shop, x.started_at)} bis ${x.ended_at ? localTime(shop, x.ended_at, sameDay ? 'HH:mm' : 'YYYY-MM-DD HH:mm') : 'andauernd'}`
+          + ` (${x.minutes} Min., Spitze ${deg(x.peak)}, Soll ${x.min ?? '—'} bis ${x.max ?? '—'} °C, Sensor ${x.sensor})`;
+        doc.fontSize(9);
+        ensureSpace(doc.heightOfString(text, { width: 500 }) + 4, sHeader);
+        doc.fillColor('#b91c1c').text(text, LEFT + 6, doc.y, { width: 500 });
+      }
+      doc.fillColor('#111827').fontSize(10);
+      doc.x = LEFT;
+    });
+  }
+
+  // Abweichungen mit Korrekturmaßnahmen
+  doc.addPage();
+  heading('Abweichungen und Korrekturmaßnahmen');
+  if (!fails.length) doc.fontSize(11).text('Keine Abweichungen im Zeitraum.');
+  const DCOLS = { date: [LEFT, 62], shift: [98, 50], label: [148, 160], value: [308, 100], target: [408, 76], by: [484, 75] };
+  const dHeader = () => header(DCOLS, { date: 'Datum', shift: 'Schicht', label: 'Eintrag', value: 'Wert', target: 'Ziel', by: 'Gemessen von' });
+  if (fails.length) dHeader();
+  for (const a of fails.sort(byRunDate)) {
+    row(DCOLS, { date: a.run.run_date, shift: shiftLabel(a.run.shift), label: a.label, value: valueText(a), target: formatAnswerTarget(a) || '—', by: a.answered_by_name || '—' }, { onBreak: dHeader });
+    const cas = actions.filter(ca => ca.run_id === a.run_id && ca.item_id === a.item_id);
+    if (!cas.length) {
+      ensureSpace(14, dHeader);
+      doc.fillColor('#b45309').fontSize(9).text('Keine Korrekturmaßnahme erfasst', LEFT + 12, doc.y, { width: 430 });
+    }
+    for (const ca of cas) {
+      const text = `Korrekturmaßnahme: ${ca.description}`;
+      const meta = `Zuständig: ${ca.assigned_to || '—'} · Fällig: ${ca.due_date || '—'} · ${ca.status === 'done'
+        ? `erledigt ${localTime(shop, ca.closed_at, 'YYYY-MM-DD')}${ca.closed_by_email ? ` von ${ca.closed_by_email}` : ''}${ca.verification_note ? ` – ${ca.verification_note}` : ''}`
+        : (ca.overdue ? 'offen, überfällig' : 'offen')}`;
+      doc.fontSize(9);
+      ensureSpace(doc.heightOfString(text, { width: 430 }) + doc.heightOfString(meta, { width: 430 }) + 6, dHeader);
+      doc.fillColor('#6b7280').text(text, LEFT + 12, doc.y, { width: 430 })
+        .fillColor(ca.status === 'done' ? '#6b7280' : '#b91c1c').text(meta, { width: 430 });
+    }
+    doc.fillColor('#111827').fontSize(10);
+    doc.x = LEFT;
+    doc.moveDown(0.2);
+    line();
+    doc.moveDown(0.3);
+  }
+
+  footer(`BUNCA HACCP · Prüfbericht ${shop.name} · ${from} bis ${to}`);
+  doc.end();
+});
+
+/* Gerätenachweis (PDF) für die Lebensmittelkontrolle: je Gerät Stammdaten, Status, nächste
+ * Fälligkeiten und alle Wartungs-, Kalibrier- und Statuseinträge im Zeitraum (Standard: 12 Monate).
+ */
+app.get('/api/export/equipment', requireRole(), (req, res) => {
+  const shop_id = req.query.shop ? getShopIdBySlug(req.query.shop) : null;
+  if (!req.query.shop) return res.status(400).send('shop erforderlich');
+  if (!shop_id) return res.status(404).send('Filiale nicht gefunden');
+  if (!canAccessShop(req.session, shop_id)) return res.status(403).send('Kein Zugriff');
+  const shop = db.prepare('SELECT * FROM shops WHERE id = ?').get(shop_id);
+  const to = req.query.to || businessDay(shop);
+  const from = req.query.from || dayjs(to).subtract(1, 'year').add(1, 'day').format('YYYY-MM-DD');
+  const isDate = d => /^\d{4}-\d{2}-\d{2}$/.test(d) && dayjs(d).isValid();
+  if (!isDate(from) || !isDate(to) || from > to) return res.status(400).send('Ungültiger Zeitraum');
+  if (dayjs(to).diff(dayjs(from), 'day') >= REPORT_MAX_DAYS) return res.status(400).send(`Zeitraum höchstens ${REPORT_MAX_DAYS} Tage`);
+
+  const equipment = db.prepare('SELECT * FROM equipment WHERE shop_id = ? AND archived_at IS NULL ORDER BY name COLLATE NOCASE').all(shop_id).map(withDueState);
+  const logs = db.prepare(`
+    SELECT l.*, u.email AS created_by_email FROM equipment_logs l
+    JOIN equipment e ON e.id = l.equipment_id LEFT JOIN users u ON u.id = l.created_by
+    WHERE e.shop_id = ? AND l.performed_at >= ? AND l.performed_at <= ?
+    ORDER BY l.performed_at ASC, l.id ASC
+  `).all(shop_id, from, to);
+
+  const fileName = `bunca-haccp-geraete-${shop.slug}-${from}-${to}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  const doc = new PDFDocument({ size: 'A4', margin: 36, bufferPages: true, info: { Title: fileName } });
+  doc.pipe(res);
+  const { LEFT, RIGHT, line, ensureSpace, header, row, footer } = pdfLayout(doc);
+  const DUE = { overdue: ['überfällig', '#b91c1c'], soon: ['bald fällig', '#b45309'], ok: ['', '#111827'] };
+  const dueText = (date, state) => (date ? `${date}${DUE[state][0] ? ` (${DUE[state][0]})` : ''}` : '—');
+  const num = v => (v == null ? '—' : String(v).replace('.', ','));
+  const detail = l => {
+    if (l.kind === 'status') return l.status === 'out_of_service' ? `Außer Betrieb${l.note ? `: ${l.note}` : ''}` : `Wieder in Betrieb${l.note ? `: ${l.note}` : ''}`;
+    const parts = [];
+    if (l.kind === 'calibration') {
+      parts.push(CALIBRATION_METHODS[l.method]?.label || l.method || 'Kalibrierung');
+      if (l.reading != null) parts.push(`gemessen ${num(l.reading)} °C, Soll ${num(l.reference)} °C ± ${num(l.tolerance)}`);
+    }
+    if (l.note) parts.push(l.note);
+    if (l.document_url) parts.push(`Nachweis: ${l.document_url}`);
+    return parts.join(' · ') || '—';
+  };
+
+  doc.fillColor('#111827').fontSize(22).font('Helvetica-Bold').text('BUNCA HACCP · Gerätenachweis');
+  doc.moveDown(0.3).fontSize(12).font('Helvetica')
+    .text(`Filiale: ${shop.name} (${shop.slug})`)
+    .text(`Zeitraum: ${from} bis ${to}`)
+    .text(`Erstellt: ${localTime(shop, new Date())} von ${req.session.email}`);
+  doc.moveDown(0.6);
+  line('#e5e7eb');
+  doc.moveDown(0.6);
+  if (!equipment.length) doc.fontSize(11).text('Keine Geräte erfasst.');
+
+  const LCOLS = { date: [LEFT, 62], kind: [98, 70], detail: [168, 230], by: [398, 100], result: [498, 61] };
+  const lHeader = () => header(LCOLS, { date: 'Datum', kind: 'Art', detail: 'Details', by: 'Durchgeführt', result: 'Ergebnis' });
+  equipment.forEach((e, i) => {
+    if (i > 0) doc.moveDown(0.8);
+    ensureSpace(110);
+    doc.fontSize(13).font('Helvetica-Bold').fillColor('#111827').text(e.name, LEFT, doc.y);
+    if (e.status === 'out_of_service') doc.fontSize(10).fillColor('#b91c1c').text(`Außer Betrieb seit ${localTime(shop, e.status_changed_at, 'YYYY-MM-DD')}${e.status_note ? ` – ${e.status_note}` : ''}`);
+    doc.moveDown(0.2).fontSize(10).font('Helvetica').fillColor('#374151')
+      .text([e.type && `Typ: ${e.type}`, e.serial && `Seriennr.: ${e.serial}`, e.location && `Standort: ${e.location}`, e.installed_at && `Installiert: ${e.installed_at}`].filter(Boolean).join(' · ') || '—')
+      .text(`Servicekontakt: ${e.service_contact || '—'}`);
+    doc.fillColor(DUE[e.maintenance_state]?.[1] || '#374151').text(`Nächste Wartung: ${dueText(e.next_maintenance_due, e.maintenance_state)}`)
+      .fillColor(DUE[e.calibration_state]?.[1] || '#374151').text(`Nächste Kalibrierung: ${dueText(e.next_calibration_due, e.calibration_state)}`);
+    doc.fillColor('#111827').moveDown(0.4);
+    const list = logs.filter(l => l.equipment_id === e.id);
+    if (!list.length) { doc.fontSize(10).fillColor('#6b7280').text('Keine Einträge im Zeitraum.', LEFT, doc.y); doc.fillColor('#111827'); return; }
+    lHeader();
+    for (const l of list) {
+      const fail = l.result === 'fail' || l.status === 'out_of_service';
+      row(LCOLS, {
+        date: l.performed_at, kind: EQUIPMENT_LOG_KINDS[l.kind] || l.kind, detail: detail(l),
+        by: l.performed_by || l.created_by_email || '—',
+        result: l.result === 'pass' ? 'bestanden' : l.result === 'fail' ? 'nicht bestanden' : '',
+      }, { color: { result: fail ? '#b91c1c' : null, detail: fail ? '#b91c1c' : null }, onBreak: lHeader });
+    }
+  });
+
+  footer(`BUNCA HACCP · Gerätenachweis ${shop.name} · ${from} bis ${to}`);
   doc.end();
 });
 
 /* -------------------- Audit -------------------- */
+// Filter: user_id, shop (slug) / shop_id, action (Präfix, z.B. "check_run."), entity, from, to.
+// Seitenweise über `before` (id der letzten Zeile) – Antwort enthält next_before.
 app.get('/api/audit', requireRole('admin'), (req, res) => {
-  const rows = db.prepare('SELECT * FROM audit ORDER BY id DESC LIMIT 200').all();
-  res.json({ items: rows });
+  const q = req.query;
+  const shop_id = q.shop_id || (q.shop ? getShopIdBySlug(q.shop) : null);
+  const limit = Math.min(Math.max(toInt(q.limit, 100), 1), 500);
+  const rows = db.prepare(`
+    SELECT a.*, u.email AS user_email
+    FROM audit a LEFT JOIN users u ON u.id = a.user_id
+    WHERE (? IS NULL OR a.user_id = ?)
+      AND (? IS NULL OR a.shop_id = ?)
+      AND (? IS NULL OR a.action LIKE ? || '%')
+      AND (? IS NULL OR a.entity = ?)
+      AND a.created_at >= ? AND a.created_at < ?
+      AND (? IS NULL OR a.id < ?)
+    ORDER BY a.id DESC
+    LIMIT ?
+  `).all(
+    q.user_id || null, q.user_id || null,
+    shop_id || null, shop_id || null,
+    q.action || null, q.action || null,
+    q.entity || null, q.entity || null,
+    q.from || '0000-01-01', q.to ? dayjs(q.to).add(1, 'day').format('YYYY-MM-DD') : '9999-12-31',
+    q.before || null, q.before || null,
+    limit
+  );
+  res.json({ items: rows, next_before: rows.length === limit ? rows[rows.length - 1].id : null });
 });
 
-/* -------------------- Upload “Presign” (lokal) -------------------- */
-/* Frontend ruft /api/uploads/sign auf und bekommt eine PUT-URL zurück,
- * wir speichern die Datei lokal in /uploads, damit Fotos in PDFs verlinkt werden können.
+// Prüft die Hash-Kette vollständig. Zeilen aus der Zeit vor der Verkettung (hash NULL) werden übersprungen.
+app.get('/api/audit/verify', requireRole('admin'), (req, res) => {
+  let prev = null, checked = 0;
+  for (const r of db.prepare('SELECT * FROM audit WHERE hash IS NOT NULL ORDER BY id ASC').iterate()) {
+    if (r.prev_hash !== prev) return res.json({ ok: false, broken_at: r.id, reason: 'Kette unterbrochen (Zeile fehlt)', checked });
+    if (auditHash(r) !== r.hash) return res.json({ ok: false, broken_at: r.id, reason: 'Inhalt verändert', checked });
+    prev = r.hash; checked++;
+  }
+  res.json({ ok: true, checked, head: prev });
+});
+
+/* -------------------- Uploads -------------------- */
+/* Ablauf: /api/uploads/sign legt einen Eintrag mit Einmal-Token an und liefert die PUT-URL.
+ * PUT /uploads/:key prüft Token, Größe und Bildformat, kodiert neu (ohne EXIF) und legt
+ * Bild + Vorschau in der Ablage (lokal oder S3) ab. Ausgeliefert wird nur an Benutzer,
+ * die den Lauf bzw. die Maßnahme sehen dürfen, an der die Datei hängt.
  */
-app.post('/api/uploads/sign', requireRole(), (req, res) => {
-  const { type='image/jpeg' } = req.body || {};
-  const key = `${crypto.randomUUID()}.${(type.split('/')[1] || 'bin')}`;
-  const url = `/uploads/${key}`;
-  res.json({ ok: true, url, key: url });
+const UPLOAD_MAX_BYTES = UPLOAD_MAX_MB * 1024 * 1024;
+const uploadUrl = key => `/uploads/${key}`;
+function tokenHash(token) { return crypto.createHash('sha256').update(String(token)).digest('hex'); }
+
+app.post('/api/uploads/sign', requireRole('staff'), (req, res) => {
+  const { type = 'image/jpeg', size = null } = req.body || {};
+  if (!IMAGE_TYPES.includes(type)) return res.status(415).json({ ok:false, error:'Nur Bilder (JPEG, PNG, WebP) erlaubt', field:'type' });
+  if (size != null && Number(size) > UPLOAD_MAX_BYTES) return res.status(413).json({ ok:false, error:`Datei zu groß (max. ${UPLOAD_MAX_MB} MB)`, field:'size' });
+  // Unterschriften bleiben PNG (Transparenz, scharfe Linien), alles andere wird JPEG
+  const key = `${crypto.randomUUID()}.${type === 'image/png' ? 'png' : 'jpg'}`;
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expires_at = new Date(Date.now() + UPLOAD_TOKEN_MIN * 60000).toISOString();
+  db.prepare(`DELETE FROM uploads WHERE status = 'pending' AND expires_at < ?`).run(now());
+  db.prepare('INSERT INTO uploads (key,token_hash,content_type,created_by,created_at,expires_at) VALUES (?,?,?,?,?,?)')
+    .run(key, tokenHash(token), type, req.session.id, now(), expires_at);
+  audit(req, 'upload.sign', { entity: 'upload', entity_id: key, meta: { type, size } });
+  res.json({ ok: true, url: `${uploadUrl(key)}?token=${token}`, key: uploadUrl(key), thumb: uploadUrl(`thumbs/${key}`), expires_at, max_bytes: UPLOAD_MAX_BYTES });
 });
 
-// Lokaler PUT-Upload
-const upload = multer({ storage: multer.memoryStorage() });
-app.put('/uploads/:key', upload.single('file'), (req, res) => {
-  const data = req.body && Object.keys(req.body).length ? Buffer.from('') : req.file?.buffer || req;
-  // Wenn via fetch(..., body: file) ohne multipart: req ist ein stream; einfacher Weg:
-  const out = fs.createWriteStream(path.join(UPLOAD_DIR, req.params.key), { flags: 'w' });
-  req.pipe(out);
-  req.on('end', () => res.status(200).end());
-  req.on('error', () => res.status(500).end());
+const rawUpload = express.raw({ type: () => true, limit: UPLOAD_MAX_BYTES });
+app.put('/uploads/:key', (req, res, next) => rawUpload(req, res, err => {
+  if (!err) return next();
+  if (err.type === 'entity.too.large') return res.status(413).json({ ok:false, error:`Datei zu groß (max. ${UPLOAD_MAX_MB} MB)` });
+  res.status(400).json({ ok:false, error:'Upload fehlgeschlagen' });
+}), async (req, res) => {
+  const up = db.prepare('SELECT * FROM uploads WHERE key = ?').get(req.params.key);
+  const token = String(req.query.token || '');
+  const valid = up && up.status === 'pending' && up.token_hash && up.expires_at >= now()
+    && crypto.timingSafeEqual(Buffer.from(up.token_hash), Buffer.from(tokenHash(token)));
+  if (!valid) return res.status(403).json({ ok:false, error:'Upload-Token ungültig oder abgelaufen' });
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim();
+  if (!IMAGE_TYPES.includes(type)) return res.status(415).json({ ok:false, error:'Nur Bilder (JPEG, PNG, WebP) erlaubt' });
+  if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ ok:false, error:'Leere Datei' });
+
+  // Token sofort verbrauchen, damit parallele Versuche nicht doppelt schreiben
+  if (!db.prepare(`UPDATE uploads SET token_hash = NULL WHERE key = ? AND token_hash IS NOT NULL`).run(up.key).changes) {
+    return res.status(403).json({ ok:false, error:'Upload-Token ungültig oder abgelaufen' });
+  }
+  try {
+    const img = await processImage(req.body, { ext: up.key.split('.').pop() });
+    await storage.put(up.key, img.data, img.contentType);
+    await storage.put(`thumbs/${up.key}`, img.thumb, img.contentType);
+    db.prepare(`UPDATE uploads SET status = 'stored', content_type = ?, size = ?, width = ?, height = ?, stored_at = ? WHERE key = ?`)
+      .run(img.contentType, img.data.length, img.width, img.height, now(), up.key);
+    res.json({ ok: true, key: uploadUrl(up.key), thumb: uploadUrl(`thumbs/${up.key}`) });
+  } catch (e) {
+    db.prepare(`UPDATE uploads SET status = 'failed' WHERE key = ?`).run(up.key);
+    if (!e.status) console.error('[upload]', e);
+    res.status(e.status || 500).json({ ok:false, error: e.status ? e.message : 'Speichern fehlgeschlagen' });
+  }
 });
 
-/* -------------------- Start -------------------- */
-app.listen(PORT, () => {
-  console.log(`BUNCA HACCP server running on http://localhost:${PORT}`);
+/* Wer darf eine Datei sehen? Hängt sie an Antworten/Maßnahmen, entscheidet die Filiale des Laufs;
+ * noch nicht zugeordnete Dateien sieht nur, wer sie hochgeladen hat (und Admins).
+ */
+function uploadShops(url) {
+  return db.prepare(`
+    SELECT r.shop_id FROM check_run_answers a JOIN check_runs r ON r.id = a.run_id
+    WHERE a.evidence_url = ? OR (a.kind = 'signature' AND a.value = ?)
+    UNION
+    SELECT r.shop_id FROM corrective_actions c JOIN check_runs r ON r.id = c.run_id
+    WHERE c.photo_url = ? OR c.after_photo_url = ?
+  `).all(url, url, url, url).map(s => s.shop_id);
+}
+function canAccessUpload(session, key) {
+  const shops = uploadShops(uploadUrl(key));
+  if (shops.length) return shops.some(id => canAccessShop(session, id));
+  const up = db.prepare('SELECT created_by FROM uploads WHERE key = ?').get(key);
+  return hasRole(session, 'admin') || (!!up && up.created_by === session.id);
+}
+/* Verweise auf Fotos und Unterschriften nur auf hier hochgeladene Dateien, keine beliebigen URLs.
+ * Mit session: nur eigene Uploads oder Dateien, die schon in dieser Filiale hängen (erneutes
+ * Speichern einer Antwort) – sonst könnte man über einen fremden Schlüssel Zugriff erlangen.
+ */
+function checkUploadRef(url, field, { session = null, shop_id = null } = {}) {
+  if (url == null) return null;
+  const key = url.startsWith('/uploads/') ? url.slice('/uploads/'.length) : '';
+  const up = KEY_RE.test(key) && !key.startsWith('thumbs/')
+    && db.prepare(`SELECT created_by FROM uploads WHERE key = ? AND status = 'stored'`).get(key);
+  const usable = up && (!session || hasRole(session, 'admin') || up.created_by === session.id
+    || uploadShops(url).some(id => id === shop_id));
+  return usable ? null : { error: 'Foto nicht gefunden – bitte erneut hochladen', field };
+}
+// Fotonachweis und Unterschrift einer Antwort prüfen (ref: checkUploadRef mit Sitzung und Filiale)
+function answerRefError(item, { value, evidence_url }, ref) {
+  return ref(evidence_url ? String(evidence_url) : null, 'evidence_url')
+    || (item.kind === 'signature' && value ? ref(String(value), 'value') : null);
+}
+async function serveUpload(req, res, key) {
+  if (!canAccessUpload(req.session, key)) return forbidden(res);
+  let file;
+  try {
+    file = await storage.get(req.thumb ? `thumbs/${key}` : key);
+    // Ältere Dateien haben keine Vorschau
+    if (!file && req.thumb) file = await storage.get(key);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok:false, error:e.message });
+    console.error('[upload]', e);
+    return res.status(502).json({ ok:false, error:'Ablage nicht erreichbar' });
+  }
+  if (!file) return notFound(res, 'Datei nicht gefunden');
+  res.set({ 'Content-Type': file.contentType, 'Cache-Control': 'private, max-age=3600', 'X-Content-Type-Options': 'nosniff' });
+  res.send(file.body);
+}
+app.get('/uploads/thumbs/:key', requireRole(), (req, res) => { req.thumb = true; serveUpload(req, res, req.params.key); });
+app.get('/uploads/:key', requireRole(), (req, res) => serveUpload(req, res, req.params.key));
+
+// Bild einer Antwort/Maßnahme für PDFs laden (null, wenn nicht vorhanden); thumb: Vorschau, sonst Original
+async function loadUpload(url, { thumb = false } = {}) {
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+  const key = url.slice('/uploads/'.length);
+  try {
+    return (thumb && (await storage.get(`thumbs/${key}`))?.body) || (await storage.get(key))?.body || null;
+  } catch { return null; }
+}
+
+/* -------------------- Datensicherung -------------------- */
+/* Online-Sicherung von Datenbank und Uploads (bei UPLOAD_DRIVER=s3 nur die Datenbank – den Bucket
+ * sichert dessen Versionierung). Zeitgesteuert alle BACKUP_INTERVAL_HOURS, gemessen an der jüngsten
+ * vorhandenen Sicherung, damit häufige Neustarts den Rhythmus nicht verschieben. Jede Sicherung wird
+ * direkt danach geprüft; Fehler gehen als backup.failed an die Benachrichtigungen.
+ * Wiederherstellen nur bei gestopptem Server: npm run restore -- <Name>.
+ */
+let backupRunning = null;
+async function runBackup(reason) {
+  const result = await createBackup({ db, backupDir: BACKUP_DIR, uploadDir: UPLOAD_DRIVER === 'local' ? UPLOAD_DIR : null, reason });
+  const verification = verifyBackup(result.dir);
+  if (!verification.ok) {
+    const failed = verification.checks.filter(c => !c.ok).map(c => `${c.check}: ${c.detail}`).join('\n');
+    notifier.emit('backup.failed', {
+      key: result.name, subject: `Datensicherung ${result.name} fehlerhaft`, body: failed, data: { name: result.name },
+    });
+  }
+  return { ...result, verification };
+}
+function startBackup(reason) {
+  if (backupRunning) return null;
+  backupRunning = runBackup(reason).finally(() => { backupRunning = null; });
+  return backupRunning;
+}
+function scheduledBackup() {
+  const last = listBackups(BACKUP_DIR).find(b => b.reason === 'scheduled' || b.reason === 'manual');
+  if (last && Date.now() - Date.parse(last.created_at) < BACKUP_INTERVAL_HOURS * 3600000) return;
+  const job = startBackup('scheduled');
+  if (!job) return;
+  job.then(b => {
+    const pruned = pruneBackups(BACKUP_DIR, BACKUP_KEEP);
+    console.log(`[backup] ${b.name} ${b.verification.ok ? 'geprüft' : 'FEHLERHAFT'}${pruned.length ? `, ${pruned.length} alte entfernt` : ''}`);
+  }).catch(e => {
+    console.error('[backup]', e);
+    notifier.emit('backup.failed', { key: `${ymd()}:${e.message}`, subject: 'Datensicherung fehlgeschlagen', body: String(e.message || e) });
+  });
+}
+if (BACKUP_INTERVAL_HOURS > 0) setInterval(scheduledBackup, 15 * 60000).unref();
+
+app.get('/api/backups', requireRole('admin'), (req, res) => {
+  res.json({
+    backups: listBackups(BACKUP_DIR), running: !!backupRunning, schema_version: schemaVersion(db),
+    interval_hours: BACKUP_INTERVAL_HOURS, keep: BACKUP_KEEP,
+  });
+});
+app.post('/api/backups', requireRole('admin'), async (req, res) => {
+  const job = startBackup('manual');
+  if (!job) return res.status(409).json({ ok: false, error: 'Es läuft bereits eine Sicherung' });
+  try {
+    const b = await job;
+    audit(req, 'backup.create', { entity: 'backup', entity_id: b.name, meta: { ...b.manifest, verified: b.verification.ok } });
+    res.json({ ok: true, name: b.name, manifest: b.manifest, verification: b.verification });
+  } catch (e) {
+    console.error('[backup]', e);
+    res.status(500).json({ ok: false, error: `Sicherung fehlgeschlagen: ${e.message}` });
+  }
+});
+app.post('/api/backups/:name/verify', requireRole('admin'), (req, res) => {
+  const name = req.params.name;
+  if (!BACKUP_NAME_RE.test(name) || !listBackups(BACKUP_DIR).some(b => b.name === name)) return notFound(res, 'Sicherung nicht gefunden');
+  const verification = verifyBackup(path.join(BACKUP_DIR, name));
+  audit(req, 'backup.verify', { entity: 'backup', entity_id: name, meta: { ok: verification.ok, checks: verification.checks } });
+  res.json({ ok: true, verification });
 });
+
+/* -------------------- Start -------------------- */
+// npm run init: nur Schema anlegen bzw. migrieren und Admin anlegen, dann beenden
+if (process.argv.includes('--init-db')) {
+  console.log(`[init] ${DB_PATH}: Schema-Version ${schemaVersion(db)}`);
+  process.exit(0);
+}
+// Tests laden die App ohne Port (DB_PATH=:memory:) und starten sie selbst
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`BUNCA HACCP server running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { app, db };
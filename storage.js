@@ -0,0 +1,97 @@
+/* BUNCA HACCP – Ablage für Uploads
+ * Treiber: lokales Verzeichnis (Standard) oder S3-kompatibel (AWS, MinIO, …).
+ * Schlüssel sind flache Dateinamen ("<uuid>.jpg", "thumbs/<uuid>.jpg"), nie Pfade aus der Anfrage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KEY_RE = /^(thumbs\/)?[0-9a-f-]{36}\.[a-z0-9]{1,10}$/;
+const CONTENT_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+function assertKey(key) {
+  if (!KEY_RE.test(key)) throw Object.assign(new Error('Ungültiger Dateischlüssel'), { status: 400 });
+  return key;
+}
+function contentTypeFor(key) {
+  return CONTENT_TYPES[key.split('.').pop()] || 'application/octet-stream';
+}
+
+/* -------------------- Treiber -------------------- */
+function localDriver({ dir }) {
+  fs.mkdirSync(path.join(dir, 'thumbs'), { recursive: true });
+  return {
+    name: 'local',
+    async put(key, body) { await fs.promises.writeFile(path.join(dir, assertKey(key)), body); },
+    async get(key) {
+      try {
+        return { body: await fs.promises.readFile(path.join(dir, assertKey(key))), contentType: contentTypeFor(key) };
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async remove(key) { await fs.promises.rm(path.join(dir, assertKey(key)), { force: true }); },
+  };
+}
+
+// S3-kompatibel; für MinIO & Co. S3_ENDPOINT setzen (Path-Style ist dann Standard).
+function s3Driver(cfg) {
+  if (!cfg.bucket) throw new Error('S3_BUCKET nicht gesetzt');
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const client = new S3Client({
+    region: cfg.region || 'eu-central-1',
+    endpoint: cfg.endpoint || undefined,
+    forcePathStyle: cfg.forcePathStyle ?? !!cfg.endpoint,
+    credentials: cfg.accessKeyId ? { accessKeyId: cfg.accessKeyId, secretAccessKey: cfg.secretAccessKey } : undefined,
+  });
+  const prefix = cfg.prefix || '';
+  return {
+    name: 's3',
+    async put(key, body, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: cfg.bucket, Key: prefix + assertKey(key), Body: body, ContentType: contentType || contentTypeFor(key) }));
+    },
+    async get(key) {
+      try {
+        const out = await client.send(new GetObjectCommand({ Bucket: cfg.bucket, Key: prefix + assertKey(key) }));
+        return { body: Buffer.from(await out.Body.transformToByteArray()), contentType: out.ContentType || contentTypeFor(key) };
+      } catch (e) {
+        if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) return null;
+        throw e;
+      }
+    },
+    async remove(key) { await client.send(new DeleteObjectCommand({ Bucket: cfg.bucket, Key: prefix + assertKey(key) })); },
+  };
+}
+
+function createStorage({ driver = 'local', dir, s3 = {} }) {
+  if (driver === 's3') return s3Driver(s3);
+  if (driver === 'local') return localDriver({ dir });
+  throw new Error(`Unbekannter Upload-Treiber: ${driver}`);
+}
+
+/* -------------------- Bildverarbeitung -------------------- */
+/* Neu kodieren statt Original ablegen: rotate() übernimmt die EXIF-Ausrichtung in die Pixel,
+ * sharp schreibt Metadaten (EXIF/GPS, Kamera) nur mit withMetadata() – sie entfallen also.
+ * Ausgabeformat folgt der Endung des Schlüssels (png für Unterschriften, sonst jpg).
+ */
+async function processImage(buffer, { ext = 'jpg', maxSize = 2000, thumbSize = 320 } = {}) {
+  const sharp = require('sharp');
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch {
+    throw Object.assign(new Error('Datei ist kein gültiges Bild'), { status: 415 });
+  }
+  if (!['jpeg', 'png', 'webp'].includes(meta.format)) {
+    throw Object.assign(new Error('Bildformat nicht unterstützt (JPEG, PNG oder WebP)'), { status: 415 });
+  }
+  const encode = img => (ext === 'png' ? img.png({ compressionLevel: 9 }) : img.flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }));
+  const fit = size => ({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+  const main = await encode(sharp(buffer).rotate().resize(fit(maxSize))).toBuffer({ resolveWithObject: true });
+  const thumb = await encode(sharp(buffer).rotate().resize(fit(thumbSize))).toBuffer();
+  return { data: main.data, width: main.info.width, height: main.info.height, thumb, contentType: contentTypeFor(ext) };
+}
+
+module.exports = { createStorage, processImage, IMAGE_TYPES, KEY_RE };
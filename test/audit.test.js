@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, adminClient } = require('./helpers');
+
+let ctx, admin;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+  for (const slug of ['nord', 'sued', 'west']) await admin('/api/shops', 'POST', { name: slug, slug });
+});
+after(() => ctx.server.close());
+
+const rows = () => ctx.db.prepare('SELECT id, meta_json, after_json FROM audit WHERE hash IS NOT NULL ORDER BY id').all();
+
+test('Unveränderte Kette ist gültig', async () => {
+  const r = await admin('/api/audit/verify');
+  assert.equal(r.body.ok, true);
+  assert.equal(r.body.checked, rows().length);
+});
+
+test('Nachträglich geänderter Eintrag wird erkannt', async () => {
+  const target = rows().find(r => r.after_json && r.after_json.includes('"sued"'));
+  const original = target.after_json;
+  ctx.db.prepare('UPDATE audit SET after_json = ? WHERE id = ?').run(original.replace('"sued"', '"ost"'), target.id);
+  try {
+    const r = await admin('/api/audit/verify');
+    assert.equal(r.body.ok, false);
+    assert.equal(r.body.broken_at, target.id);
+    assert.equal(r.body.reason, 'Inhalt verändert');
+  } finally {
+    ctx.db.prepare('UPDATE audit SET after_json = ? WHERE id = ?').run(original, target.id);
+  }
+  assert.equal((await admin('/api/audit/verify')).body.ok, true);
+});
+
+test('Gelöschter Eintrag unterbricht die Kette beim Nachfolger', async () => {
+  const list = rows();
+  const victim = list[1];
+  ctx.db.prepare('DELETE FROM audit WHERE id = ?').run(victim.id);
+  const r = await admin('/api/audit/verify');
+  assert.equal(r.body.ok, false);
+  assert.equal(r.body.broken_at, list[2].id);
+  assert.equal(r.body.reason, 'Kette unterbrochen (Zeile fehlt)');
+});
@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, client, adminClient, userClient, totp, STRONG_PASS } = require('./helpers');
+
+let ctx, admin;
+before(async () => {
+  ctx = await startApp({ LOGIN_MAX_FAILURES: '3' });
+  admin = await adminClient(ctx.base);
+});
+after(() => ctx.server.close());
+
+test('Konto wird nach zu vielen Fehlversuchen gesperrt, auch für das richtige Passwort', async () => {
+  const { id } = await userClient(ctx.base, admin, { email: 'sperre@x.de' });
+  const u = client(ctx.base);
+  for (let i = 0; i < 3; i++) {
+    const r = await u('/api/auth/login', 'POST', { email: 'sperre@x.de', password: 'falsch' });
+    assert.equal(r.status, 401);
+  }
+  let r = await u('/api/auth/login', 'POST', { email: 'sperre@x.de', password: STRONG_PASS });
+  assert.equal(r.status, 423);
+  assert.ok(r.body.locked_until);
+
+  r = await admin(`/api/users/${id}/unlock`, 'POST', {});
+  assert.equal(r.status, 200);
+  r = await u('/api/auth/login', 'POST', { email: 'sperre@x.de', password: STRONG_PASS });
+  assert.equal(r.status, 200);
+
+  const actions = ctx.db.prepare('SELECT action FROM audit WHERE entity = ? AND entity_id = ? ORDER BY id').all('user', String(id)).map(a => a.action);
+  assert.ok(actions.includes('auth.locked'));
+  assert.ok(actions.includes('auth.unlocked'));
+});
+
+test('Sperre endet mit locked_until', async () => {
+  const { id } = await userClient(ctx.base, admin, { email: 'ablauf@x.de' });
+  ctx.db.prepare('UPDATE users SET locked_until = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), id);
+  const r = await client(ctx.base)('/api/auth/login', 'POST', { email: 'ablauf@x.de', password: STRONG_PASS });
+  assert.equal(r.status, 200);
+});
+
+test('Passwort-Richtlinie lehnt kurze, einfache und naheliegende Passwörter ab', async () => {
+  const { request: u } = await userClient(ctx.base, admin, { email: 'richtlinie@x.de' });
+  for (const weak of ['Kurz1!', 'changeme-ABC-1', 'alleskleinbuchstaben', 'Richtlinie-2026!', 'Aaaaaaa-1111']) {
+    const r = await u('/api/auth/password', 'POST', { current_password: STRONG_PASS, new_password: weak });
+    assert.equal(r.status, 400, weak);
+    assert.equal(r.body.field, 'new_password');
+  }
+  const r = await admin('/api/users', 'POST', { email: 'schwach@x.de', name: 'S', role: 'staff', password: 'changeme' });
+  assert.equal(r.status, 400);
+});
+
+test('Initialpasswort muss vor allem anderen geändert werden', async () => {
+  await admin('/api/users', 'POST', { email: 'neu@x.de', name: 'Neu', role: 'staff', password: 'Erst-Passw0rt!' });
+  const u = client(ctx.base);
+  const r = await u('/api/auth/login', 'POST', { email: 'neu@x.de', password: 'Erst-Passw0rt!' });
+  assert.equal(r.body.must_change_password, true);
+  assert.equal((await u('/api/shops')).status, 403);
+});
+
+test('Reset-Link gilt genau einmal und nicht nach Ablauf', async () => {
+  const { id } = await userClient(ctx.base, admin, { email: 'link@x.de' });
+  let r = await admin(`/api/users/${id}/password-reset`, 'POST', {});
+  const token = new URL(r.body.reset_url).searchParams.get('reset');
+  const anon = client(ctx.base);
+
+  r = await anon(`/api/auth/reset?token=${token}`);
+  assert.equal(r.status, 200);
+  r = await anon('/api/auth/reset', 'POST', { token, password: 'changeme' });
+  assert.equal(r.status, 400); // Richtlinie gilt auch hier, der Link bleibt gültig
+  r = await anon('/api/auth/reset', 'POST', { token, password: 'Reset-Passw0rt!' });
+  assert.equal(r.status, 200);
+  r = await anon('/api/auth/reset', 'POST', { token, password: 'Noch-Einmal-1!' });
+  assert.equal(r.status, 404);
+  r = await anon('/api/auth/login', 'POST', { email: 'link@x.de', password: 'Reset-Passw0rt!' });
+  assert.equal(r.status, 200);
+
+  r = await admin(`/api/users/${id}/password-reset`, 'POST', {});
+  const expired = new URL(r.body.reset_url).searchParams.get('reset');
+  ctx.db.prepare('UPDATE password_resets SET expires_at = ? WHERE user_id = ? AND used_at IS NULL')
+    .run(new Date(Date.now() - 1000).toISOString(), id);
+  r = await anon(`/api/auth/reset?token=${expired}`);
+  assert.equal(r.status, 404);
+  r = await anon('/api/auth/reset', 'POST', { token: expired, password: 'Abgelaufen-Passw0rt!' });
+  assert.equal(r.status, 404);
+});
+
+test('TOTP: ein Code gilt nur einmal, auch über die Anmeldung hinweg', async () => {
+  const { request: m } = await userClient(ctx.base, admin, { email: 'leitung@x.de', role: 'manager' });
+  let r = await m('/api/auth/totp/setup', 'POST', {});
+  const { secret } = r.body;
+  const step = Math.floor(Date.now() / 30000);
+  r = await m('/api/auth/totp/enable', 'POST', { code: totp(secret, step) });
+  assert.equal(r.status, 200);
+
+  const u = client(ctx.base);
+  r = await u('/api/auth/login', 'POST', { email: 'leitung@x.de', password: STRONG_PASS });
+  assert.equal(r.status, 401);
+  assert.equal(r.body.totp_required, true);
+  // Derselbe Zeitschritt wie bei der Einrichtung: abgelehnt
+  r = await u('/api/auth/login', 'POST', { email: 'leitung@x.de', password: STRONG_PASS, code: totp(secret, step) });
+  assert.equal(r.status, 401);
+  // Nächster Zeitschritt (Toleranz +1): angenommen, danach verbraucht
+  const next = totp(secret, step + 1);
+  r = await u('/api/auth/login', 'POST', { email: 'leitung@x.de', password: STRONG_PASS, code: next });
+  assert.equal(r.status, 200);
+  r = await client(ctx.base)('/api/auth/login', 'POST', { email: 'leitung@x.de', password: STRONG_PASS, code: next });
+  assert.equal(r.status, 401);
+  assert.equal(ctx.db.prepare('SELECT totp_last_step FROM users WHERE email = ?').get('leitung@x.de').totp_last_step, step + 1);
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, adminClient } = require('./helpers');
+
+let ctx, admin, shop, run;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+  /* UTC-12 mit Tageswechsel 11:59: der Geschäftstag der Filiale liegt immer vor dem Datum
+   * in DEFAULT_TIMEZONE (Europe/Berlin) – ein Vergleich mit dem Serverdatum wäre sofort überfällig.
+   */
+  shop = await admin('/api/shops', 'POST', { name: 'Baker', slug: 'baker', timezone: 'Etc/GMT+12', day_cutoff: '11:59' });
+  const tpl = await admin('/api/templates', 'POST', { name: 'Baker' });
+  const item = await admin('/api/check-items', 'POST', { version_id: tpl.body.version_id, label: 'Sauber', kind: 'boolean', shift: 'morning' });
+  await admin(`/api/template-versions/${tpl.body.version_id}/publish`, 'POST', {});
+  await admin(`/api/shops/${shop.body.id}/template`, 'PUT', { template_id: tpl.body.id });
+  const id = crypto.randomUUID();
+  const r = await admin('/api/check-runs', 'POST', {
+    id, shop_slug: 'baker', shift: 'morning', status: 'submitted',
+    answers: [{ item_id: item.body.id, value: 'no', corrective: { description: 'Nachreinigen' } }],
+  });
+  assert.equal(r.status, 200);
+  run = ctx.db.prepare('SELECT id, run_date FROM check_runs WHERE id = ?').get(id);
+  // Fällig am heutigen Geschäftstag der Filiale: noch nicht überfällig
+  ctx.db.prepare('UPDATE corrective_actions SET due_date = ? WHERE run_id = ?').run(run.run_date, id);
+});
+after(() => ctx.server.close());
+
+test('Maßnahme: überfällig erst nach dem Geschäftstag der Filiale', async () => {
+  const list = await admin('/api/corrective-actions?shop=baker');
+  assert.equal(list.body.actions.length, 1);
+  assert.equal(list.body.actions[0].overdue, 0);
+  assert.equal((await admin('/api/corrective-actions?shop=baker&overdue=1')).body.actions.length, 0);
+  assert.equal((await admin(`/api/corrective-actions/${list.body.actions[0].id}`)).body.action.overdue, 0);
+  assert.equal((await admin('/api/dashboard?shop=baker')).body.actions.overdue, 0);
+
+  ctx.db.prepare('UPDATE corrective_actions SET due_date = date(?, \'-1 day\') WHERE run_id = ?').run(run.run_date, run.id);
+  assert.equal((await admin('/api/corrective-actions?shop=baker&overdue=1')).body.actions.length, 1);
+});
+
+test('Thermometer: Kalibrierung am Geschäftstag der Filiale ist fällig, nicht überfällig', async () => {
+  const eq = await admin('/api/equipment', 'POST', { shop_id: shop.body.id, name: 'Sonde', type: 'probe', next_calibration_due: run.run_date });
+  assert.equal(eq.status, 200);
+  const list = await admin(`/api/equipment?shop_id=${shop.body.id}`);
+  assert.notEqual(list.body.equipment[0].calibration_state, 'overdue');
+  const comp = await admin(`/api/compliance?shop=baker&from=${run.run_date}&to=${run.run_date}`);
+  assert.deepEqual(comp.body.shops[0].calibration.overdue, []);
+});
@@ -0,0 +1,29 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, adminClient, userClient, shopWithChecklist } = require('./helpers');
+
+let ctx, admin;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+});
+after(() => ctx.server.close());
+
+test('Lauf abrufen: unbekannt 404, fremde Filiale 403', async () => {
+  const shop = await shopWithChecklist(admin, 'ost');
+  const other = await shopWithChecklist(admin, 'hafen');
+  const id = crypto.randomUUID();
+  await admin('/api/check-runs', 'POST', { id, shop_slug: shop.slug, shift: 'morning', answers: [{ item_id: shop.item_id, value: 'yes' }] });
+  const staff = await userClient(ctx.base, admin, { email: 'hafen@x.de' });
+  await admin(`/api/users/${staff.id}/assign-shops`, 'POST', { shop_ids: [other.shop_id] });
+
+  let r = await admin(`/api/check-runs/${id}`);
+  assert.equal(r.status, 200);
+  assert.equal(r.body.run.id, id);
+  r = await admin(`/api/check-runs/${crypto.randomUUID()}`);
+  assert.equal(r.status, 404);
+  assert.equal(r.body.ok, false);
+  r = await staff.request(`/api/check-runs/${id}`);
+  assert.equal(r.status, 403);
+});
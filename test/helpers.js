@@ -0,0 +1,82 @@
+/* Testhilfen: App mit In-Memory-Datenbank auf einem freien Port starten
+ * und ein kleiner Client mit Cookie und CSRF-Token wie im Browser.
+ * Jede Testdatei läuft unter node --test in einem eigenen Prozess – also mit eigener Datenbank.
+ */
+
+const crypto = require('crypto');
+
+const ADMIN_EMAIL = 'admin@bunca.de';
+const ADMIN_PASS = 'Start-Passw0rt!';
+const STRONG_PASS = 'Neu-Passw0rt!x';
+
+function startApp(env = {}) {
+  Object.assign(process.env, {
+    DB_PATH: ':memory:', ADMIN_EMAIL, ADMIN_PASS, SESSION_SECRET: 'test-secret',
+    BACKUP_INTERVAL_HOURS: '0', LOGIN_IP_LIMIT: '1000', ...env,
+  });
+  const log = console.log;
+  console.log = () => {}; // Seed- und Migrationsmeldungen nicht in die Testausgabe
+  let mod;
+  try { mod = require('../server'); } finally { console.log = log; }
+  return new Promise(resolve => {
+    const server = mod.app.listen(0, '127.0.0.1', () => {
+      resolve({ ...mod, server, base: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function client(base) {
+  let cookie = '', csrf = '';
+  return async function request(path, method = 'GET', body) {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'content-type': 'application/json', cookie, 'x-csrf-token': csrf },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const set = res.headers.get('set-cookie');
+    if (set) cookie = set.split(';')[0];
+    const json = /json/.test(res.headers.get('content-type') || '') ? await res.json() : null;
+    if (json?.csrf) csrf = json.csrf;
+    return { status: res.status, body: json };
+  };
+}
+
+// Admin anmelden und das Initialpasswort ändern (sonst ist nur der Passwortwechsel erlaubt)
+async function adminClient(base) {
+  const a = client(base);
+  await a('/api/auth/login', 'POST', { email: ADMIN_EMAIL, password: ADMIN_PASS });
+  await a('/api/auth/password', 'POST', { current_password: ADMIN_PASS, new_password: STRONG_PASS });
+  return a;
+}
+
+// Benutzer anlegen, anmelden und das vergebene Passwort ändern; liefert Client und neues Passwort
+async function userClient(base, admin, { email, role = 'staff', password = 'Erst-Passw0rt!' }) {
+  const created = await admin('/api/users', 'POST', { email, name: email.split('@')[0], role, password });
+  const u = client(base);
+  await u('/api/auth/login', 'POST', { email, password });
+  await u('/api/auth/password', 'POST', { current_password: password, new_password: STRONG_PASS });
+  return { request: u, id: created.body.id, password: STRONG_PASS };
+}
+
+// Filiale mit veröffentlichter Vorlage (ein Ja/Nein-Eintrag für die Frühschicht)
+async function shopWithChecklist(admin, slug) {
+  const shop = await admin('/api/shops', 'POST', { name: slug, slug });
+  const tpl = await admin('/api/templates', 'POST', { name: `Vorlage ${slug}` });
+  const item = await admin('/api/check-items', 'POST', { version_id: tpl.body.version_id, label: 'Sauber', kind: 'boolean', shift: 'morning' });
+  await admin(`/api/template-versions/${tpl.body.version_id}/publish`, 'POST', {});
+  await admin(`/api/shops/${shop.body.id}/template`, 'PUT', { template_id: tpl.body.id });
+  return { shop_id: shop.body.id, slug, item_id: item.body.id };
+}
+
+// TOTP nach RFC 6238 wie eine Authenticator-App (SHA-1, 6 Stellen, 30 s) – unabhängig vom Server gerechnet
+function totp(secret, step) {
+  const bits = secret.replace(/=+$/, '').split('').map(c => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(c).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(b => parseInt(b, 2)));
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(step));
+  const h = crypto.createHmac('sha1', key).update(msg).digest();
+  const o = h[h.length - 1] & 0xf;
+  return String((h.readUInt32BE(o) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+module.exports = { startApp, client, adminClient, userClient, shopWithChecklist, totp, ADMIN_EMAIL, ADMIN_PASS, STRONG_PASS };
@@ -0,0 +1,22 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, client, adminClient, ADMIN_EMAIL, STRONG_PASS } = require('./helpers');
+
+let ctx;
+before(async () => { ctx = await startApp({ LOGIN_IP_LIMIT: '4' }); });
+after(() => ctx.server.close());
+
+test('Fehlversuche je IP werden gedrosselt, erfolgreiche Anmeldungen zählen nicht', async () => {
+  await adminClient(ctx.base); // zwei erfolgreiche Anfragen
+  const u = client(ctx.base);
+  for (let i = 0; i < 4; i++) {
+    const r = await u('/api/auth/login', 'POST', { email: `unbekannt${i}@x.de`, password: 'falsch' });
+    assert.equal(r.status, 401);
+  }
+  let r = await u('/api/auth/login', 'POST', { email: 'unbekannt@x.de', password: 'falsch' });
+  assert.equal(r.status, 429);
+  // Gesperrt ist die Adresse, nicht nur das Konto – auch das richtige Passwort kommt nicht durch
+  r = await u('/api/auth/login', 'POST', { email: ADMIN_EMAIL, password: STRONG_PASS });
+  assert.equal(r.status, 429);
+  assert.ok(ctx.db.prepare("SELECT 1 FROM audit WHERE action = 'auth.rate_limited'").get());
+});
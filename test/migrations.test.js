@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { migrate, schemaVersion, MIGRATIONS } = require('../migrations');
+
+const silent = { log() {} };
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Schema aus der Zeit vor dem Migrations-Runner (Filial-Checklisten, keine schema_migrations)
+const PRE_RUNNER_SCHEMA = `
+  CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'admin', created_at TEXT NOT NULL);
+  CREATE TABLE shops (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, slug TEXT UNIQUE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open', address TEXT, phone TEXT, image_url TEXT, description TEXT, created_at TEXT NOT NULL);
+  CREATE TABLE equipment (id INTEGER PRIMARY KEY AUTOINCREMENT, shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    name TEXT NOT NULL, type TEXT, serial TEXT);
+  CREATE TABLE check_items (id INTEGER PRIMARY KEY AUTOINCREMENT, shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    label TEXT NOT NULL, kind TEXT NOT NULL, position INTEGER NOT NULL DEFAULT 0, min REAL, max REAL, unit TEXT,
+    equipment_id INTEGER REFERENCES equipment(id) ON DELETE SET NULL, shift TEXT NOT NULL DEFAULT 'morning',
+    required INTEGER NOT NULL DEFAULT 0);
+  CREATE TABLE check_runs (id TEXT PRIMARY KEY, shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE,
+    run_date TEXT NOT NULL, status TEXT NOT NULL DEFAULT 'submitted', note TEXT, ok_count INTEGER NOT NULL DEFAULT 0,
+    fail_count INTEGER NOT NULL DEFAULT 0, created_at TEXT NOT NULL, signed_at TEXT);
+  CREATE TABLE check_run_answers (id INTEGER PRIMARY KEY AUTOINCREMENT, run_id TEXT NOT NULL REFERENCES check_runs(id) ON DELETE CASCADE,
+    item_id INTEGER NOT NULL REFERENCES check_items(id) ON DELETE SET NULL, label TEXT NOT NULL, kind TEXT NOT NULL,
+    equipment_id INTEGER, unit TEXT, min REAL, max REAL, shift TEXT, value TEXT, ok INTEGER NOT NULL DEFAULT 1, evidence_url TEXT);
+  CREATE TABLE corrective_actions (id INTEGER PRIMARY KEY AUTOINCREMENT, run_id TEXT NOT NULL REFERENCES check_runs(id) ON DELETE CASCADE,
+    item_id INTEGER, description TEXT NOT NULL, assigned_to TEXT, due_date TEXT, photo_url TEXT, status TEXT NOT NULL DEFAULT 'open');
+  CREATE TABLE user_shops (user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    shop_id INTEGER NOT NULL REFERENCES shops(id) ON DELETE CASCADE, PRIMARY KEY (user_id, shop_id));
+  CREATE TABLE audit (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER, action TEXT NOT NULL, meta_json TEXT, created_at TEXT NOT NULL);
+`;
+
+function preRunnerDb() {
+  const db = new Database(':memory:');
+  db.exec(PRE_RUNNER_SCHEMA);
+  const ts = '2026-06-01T08:00:00.000Z';
+  db.prepare("INSERT INTO users (id,email,password_hash,role,created_at) VALUES (1,'admin@bunca.de','x','admin',?)").run(ts);
+  db.prepare("INSERT INTO shops (id,name,slug,created_at) VALUES (1,'Mitte','mitte',?), (2,'Nord','nord',?)").run(ts, ts);
+  db.prepare("INSERT INTO equipment (id,shop_id,name,type) VALUES (1,1,'Kühlschrank','fridge'), (2,2,'Truhe','freezer')").run();
+  // Item 2 zeigt auf ein Gerät einer fremden Filiale (kopierte Liste)
+  db.prepare(`INSERT INTO check_items (id,shop_id,label,kind,min,max,unit,equipment_id,shift,required) VALUES
+    (1,1,'Kühlschrank','temperature',0,7,'°C',1,'morning',1), (2,1,'Truhe','temperature',-25,-18,'°C',2,'morning',1)`).run();
+  // 01:00 UTC = 03:00 Uhr in Berlin, vor dem Tageswechsel: Geschäftstag ist der Vortag
+  db.prepare(`INSERT INTO check_runs (id,shop_id,run_date,status,ok_count,fail_count,created_at,signed_at) VALUES
+    ('offen',1,'2026-06-16','submitted',1,1,'2026-06-16T01:00:00.000Z',NULL),
+    ('signiert',1,'2026-06-16','signed',1,1,'2026-06-16T01:00:00.000Z','2026-06-16T01:05:00.000Z')`).run();
+  for (const run of ['offen', 'signiert']) {
+    db.prepare(`INSERT INTO check_run_answers (run_id,item_id,label,kind,equipment_id,unit,min,max,value,ok) VALUES
+      (?,1,'Kühlschrank','temperature',1,'°C',0,7,'5',1), (?,2,'Truhe','temperature',2,'°C',-25,-18,'-10',0)`).run(run, run);
+  }
+  db.prepare("INSERT INTO corrective_actions (run_id,item_id,description) VALUES ('offen',2,'Abtauen')").run();
+  return db;
+}
+
+test('Datenbank aus der Zeit vor dem Runner wird vollständig auf den aktuellen Stand migriert', () => {
+  const db = preRunnerDb();
+  assert.equal(schemaVersion(db), 0);
+  const result = migrate(db, { log: silent });
+  assert.equal(result.to, LATEST);
+  assert.deepEqual(result.applied, MIGRATIONS.map(m => m.version));
+  assert.equal(schemaVersion(db), LATEST);
+  assert.deepEqual(db.prepare('PRAGMA foreign_key_check').all(), []);
+
+  // Filial-Checkliste als veröffentlichte Vorlage, Gerät nur aus der eigenen Filiale
+  const shop = db.prepare('SELECT * FROM shops WHERE id = 1').get();
+  assert.ok(shop.template_id);
+  const items = db.prepare('SELECT i.* FROM check_items i JOIN checklist_versions v ON v.id = i.version_id WHERE v.template_id = ?').all(shop.template_id);
+  assert.equal(items.length, 2);
+  const overrides = db.prepare('SELECT * FROM shop_item_overrides WHERE shop_id = 1').all();
+  assert.deepEqual(overrides.map(o => o.equipment_id), [1]);
+
+  // Geschäftstag: offener Lauf auf den Vortag, unterschriebener bleibt (Prüfsumme)
+  assert.equal(db.prepare("SELECT run_date FROM check_runs WHERE id = 'offen'").get().run_date, '2026-06-15');
+  assert.equal(db.prepare("SELECT run_date FROM check_runs WHERE id = 'signiert'").get().run_date, '2026-06-16');
+  assert.equal(db.prepare("SELECT run_type FROM check_runs WHERE id = 'offen'").get().run_type, 'check');
+  assert.throws(() => db.prepare("UPDATE check_runs SET note = 'x' WHERE id = 'signiert'").run());
+  // Benachrichtigungen kommen aus Migration 9, nicht erst aus createNotifier
+  assert.ok(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'notification_rules'").get());
+  assert.ok(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'notifications'").get());
+
+  assert.deepEqual(migrate(db, { log: silent }).applied, []);
+});
+
+test('Kalibrierungen werden zu Läufen, das Geräteprotokoll bleibt danach nur anhängbar', () => {
+  const db = preRunnerDb();
+  migrate(db, { log: silent });
+  // Stand vor Migration 7 nachstellen: Kalibrierung ohne Lauf
+  db.prepare("INSERT INTO equipment_logs (equipment_id,kind,performed_at,result,created_at) VALUES (1,'calibration','2026-06-10','pass','2026-06-10T08:00:00.000Z')").run();
+  db.prepare('DELETE FROM schema_migrations WHERE version >= 7').run();
+  assert.deepEqual(migrate(db, { log: silent }).applied, MIGRATIONS.filter(m => m.version >= 7).map(m => m.version));
+
+  const log = db.prepare("SELECT run_id FROM equipment_logs WHERE kind = 'calibration'").get();
+  assert.equal(db.prepare('SELECT run_type FROM check_runs WHERE id = ?').get(log.run_id).run_type, 'calibration');
+  assert.throws(() => db.prepare("UPDATE equipment_logs SET note = 'x'").run(), /append-only/);
+});
+
+test('Migration mit verletztem Fremdschlüssel wird zurückgerollt und nicht eingetragen', () => {
+  const db = preRunnerDb();
+  migrate(db, { log: silent });
+  MIGRATIONS.push({
+    version: LATEST + 1, name: 'broken',
+    up(d) { d.prepare("INSERT INTO equipment (shop_id,name) VALUES (999,'Waise')").run(); },
+  });
+  try {
+    assert.throws(() => migrate(db, { log: silent }), /Fremdschlüssel verletzt/);
+  } finally {
+    MIGRATIONS.pop();
+  }
+  assert.equal(schemaVersion(db), LATEST);
+  assert.equal(db.prepare("SELECT COUNT(*) AS n FROM equipment WHERE name = 'Waise'").get().n, 0);
+  assert.equal(db.pragma('foreign_keys', { simple: true }), 1);
+});
+
+test('Neuere Schema-Version wird nicht angefasst', () => {
+  const db = new Database(':memory:');
+  migrate(db, { log: silent });
+  db.prepare("INSERT INTO schema_migrations (version,name,applied_at) VALUES (?, 'zukunft', ?)").run(LATEST + 1, new Date().toISOString());
+  assert.throws(() => migrate(db, { log: silent }), /Schema-Version/);
+});
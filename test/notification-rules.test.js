@@ -0,0 +1,36 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, adminClient } = require('./helpers');
+
+let ctx, admin, shopId;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+  shopId = (await admin('/api/shops', 'POST', { name: 'Regeln', slug: 'regeln' })).body.id;
+});
+after(() => ctx.server.close());
+
+test('Benachrichtigungsregel: Filiale, Rolle und Ziel je Kanal werden geprüft', async () => {
+  const rule = { event: 'shift.missed', channel: 'email' };
+  for (const [body, field] of [
+    [{ ...rule, shop_id: 9999 }, 'shop_id'],
+    [{ ...rule, shop_id: 'abc' }, 'shop_id'],
+    [{ ...rule, role: 'toString' }, 'role'],
+    [{ ...rule, target: 'keine-adresse' }, 'target'],
+    [{ ...rule, channel: 'webhook' }, 'target'],
+    [{ ...rule, channel: 'webhook', target: 'ftp://x.de/hook' }, 'target'],
+    [{ ...rule, channel: 'fax' }, 'channel'],
+  ]) {
+    const r = await admin('/api/notification-rules', 'POST', body);
+    assert.equal(r.status, 400, JSON.stringify(body));
+    assert.equal(r.body.field, field, JSON.stringify(body));
+  }
+  assert.equal(ctx.db.prepare('SELECT COUNT(*) AS n FROM notification_rules').get().n, 0);
+
+  let r = await admin('/api/notification-rules', 'POST', { ...rule, shop_id: shopId, role: 'manager', target: 'leitung@x.de' });
+  assert.equal(r.status, 200);
+  r = await admin('/api/notification-rules', 'POST', { event: 'action.overdue', channel: 'inbox', shop_id: '', role: '', target: 'egal' });
+  assert.equal(r.status, 200);
+  const inbox = ctx.db.prepare('SELECT shop_id, role, target FROM notification_rules WHERE id = ?').get(r.body.id);
+  assert.deepEqual({ ...inbox }, { shop_id: null, role: null, target: null });
+});
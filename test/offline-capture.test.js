@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, adminClient, shopWithChecklist } = require('./helpers');
+
+let ctx, admin, shop;
+before(async () => {
+  ctx = await startApp({ OFFLINE_MAX_HOURS: '48' });
+  admin = await adminClient(ctx.base);
+  shop = await shopWithChecklist(admin, 'offline');
+  await admin(`/api/shops/${shop.shop_id}/shifts`, 'PUT', { shifts: [{ shift: 'morning', due_time: '23:59', days: '1234567', active: true }] });
+});
+after(() => ctx.server.close());
+
+const submit = (captured_at, to = shop) => admin('/api/check-runs', 'POST', {
+  id: crypto.randomUUID(), captured_at, shop_slug: to.slug, shift: 'morning', status: 'submitted',
+  answers: [{ item_id: to.item_id, value: true }],
+});
+
+test('Erfassungszeitpunkt darf höchstens OFFLINE_MAX_HOURS zurückliegen', async () => {
+  let r = await submit(new Date(Date.now() - 3 * 24 * 3600e3).toISOString());
+  assert.equal(r.status, 400);
+  assert.equal(r.body.field, 'captured_at');
+  r = await submit(new Date(Date.now() - 3 * 3600e3).toISOString());
+  assert.equal(r.status, 200);
+});
+
+test('Pünktlichkeit: ein unplausibel früher Erfassungszeitpunkt zählt nicht, maßgeblich ist der Eingang', async () => {
+  const late = await shopWithChecklist(admin, 'nachtrag');
+  await admin(`/api/shops/${late.shop_id}/shifts`, 'PUT', { shifts: [{ shift: 'morning', due_time: '23:59', days: '1234567', active: true }] });
+  const r = await submit(new Date(Date.now() - 60e3).toISOString(), late);
+  const run = ctx.db.prepare('SELECT run_date, created_at FROM check_runs WHERE id = ?').get(r.body.run_id);
+  // Altbestand vor der Grenze: Erfassung Tage vor dem Eingang
+  ctx.db.prepare('UPDATE check_runs SET captured_at = ? WHERE id = ?')
+    .run(new Date(Date.parse(run.created_at) - 5 * 24 * 3600e3).toISOString(), r.body.run_id);
+  const comp = await admin(`/api/compliance?shop=${late.slug}&from=${run.run_date}&to=${run.run_date}`);
+  const cell = comp.body.shops[0].cells.find(c => c.run_id === r.body.run_id);
+  assert.equal(cell.submitted_at, run.created_at);
+});
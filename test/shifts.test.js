@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, adminClient } = require('./helpers');
+
+let ctx, admin, shopId;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+  shopId = (await admin('/api/shops', 'POST', { name: 'Schichten', slug: 'schichten' })).body.id;
+});
+after(() => ctx.server.close());
+
+const early = { shift: 'morning', due_time: '10:00', grace_min: 30, days: '12345', active: true };
+
+test('Schichtplan: ungültige Formen liefern 400 statt 500 und lassen den Plan unverändert', async () => {
+  const saved = await admin(`/api/shops/${shopId}/shifts`, 'PUT', { shifts: [early] });
+  assert.equal(saved.status, 200);
+
+  for (const shifts of [[early, { ...early, due_time: '11:00' }], [null], [early, 'morning'], { morning: early }, [{ ...early, due_time: '25:00' }], [{ ...early, days: '089' }]]) {
+    const r = await admin(`/api/shops/${shopId}/shifts`, 'PUT', { shifts });
+    assert.equal(r.status, 400, JSON.stringify(shifts));
+    assert.ok(r.body.error);
+  }
+  const rows = ctx.db.prepare('SELECT shift, due_time, days, active FROM shop_shifts WHERE shop_id = ?').all(shopId);
+  assert.deepEqual(rows.map(r => ({ ...r })), [{ shift: 'morning', due_time: '10:00', days: '12345', active: 1 }]);
+});
+
+test('Schichtplan: fehlende Wochentage bedeuten täglich, Kulanz hat einen Standard', async () => {
+  const r = await admin(`/api/shops/${shopId}/shifts`, 'PUT', { shifts: [{ shift: 'closing', due_time: '22:00', active: true }] });
+  assert.equal(r.status, 200);
+  const row = ctx.db.prepare('SELECT grace_min, days FROM shop_shifts WHERE shop_id = ? AND shift = ?').get(shopId, 'closing');
+  assert.deepEqual({ ...row }, { grace_min: 30, days: '1234567' });
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, adminClient, userClient, shopWithChecklist, STRONG_PASS } = require('./helpers');
+
+let ctx, admin, staff, run;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+  const shop = await shopWithChecklist(admin, 'west');
+  staff = await userClient(ctx.base, admin, { email: 'erfasst@x.de' });
+  await admin(`/api/users/${staff.id}/assign-shops`, 'POST', { shop_ids: [shop.shop_id] });
+  const id = crypto.randomUUID();
+  await staff.request('/api/check-runs', 'POST', { id, shop_slug: shop.slug, shift: 'morning', answers: [{ item_id: shop.item_id, value: 'yes' }] });
+  const signed = await admin(`/api/check-runs/${id}/sign`, 'POST', { password: STRONG_PASS });
+  assert.equal(signed.status, 200);
+  run = ctx.db.prepare('SELECT * FROM check_runs WHERE id = ?').get(id);
+});
+after(() => ctx.server.close());
+
+const code = () => run.content_hash.slice(0, 12);
+
+test('Unterschriebener Lauf: Erfasser, Schicht und Erfassungszeit sind schreibgeschützt', () => {
+  for (const [col, value] of [['created_by', 1], ['shift', 'closing'], ['captured_at', new Date().toISOString()]]) {
+    assert.throws(() => ctx.db.prepare(`UPDATE check_runs SET ${col} = ? WHERE id = ?`).run(value, run.id), /signed/, col);
+  }
+  assert.throws(() => ctx.db.prepare('UPDATE check_run_answers SET answered_by = 1 WHERE run_id = ?').run(run.id), /signed/);
+});
+
+test('Prüfsumme deckt Erfasser ab; ältere Prüfsummen ohne Erfasser bleiben gültig', async () => {
+  let r = await admin(`/api/verify/${code()}`);
+  assert.equal(r.body.intact, true);
+
+  // Am Trigger vorbei (z.B. direkt in der Datei) geändert: die Prüfsumme passt nicht mehr
+  ctx.db.exec('DROP TRIGGER trg_answer_signed_update');
+  ctx.db.prepare('UPDATE check_run_answers SET answered_by = 1 WHERE run_id = ?').run(run.id);
+  r = await admin(`/api/verify/${code()}`);
+  assert.equal(r.body.intact, false);
+  ctx.db.prepare('UPDATE check_run_answers SET answered_by = ? WHERE run_id = ?').run(staff.id, run.id);
+
+  // Vor Migration 8 unterschrieben: Prüfsumme ohne created_by/shift/captured_at/answered_by
+  const legacy = crypto.createHash('sha256').update(JSON.stringify({
+    run: { id: run.id, shop_id: run.shop_id, run_date: run.run_date, note: run.note },
+    answers: ctx.db.prepare(`
+      SELECT id, item_id, label, kind, equipment_id, unit, min, max, shift, value, ok, evidence_url FROM check_run_answers WHERE run_id = ? ORDER BY id
+    `).all(run.id).map(a => ({ ...a })),
+  })).digest('hex');
+  ctx.db.exec('DROP TRIGGER trg_run_signed_update');
+  ctx.db.prepare('UPDATE check_runs SET content_hash = ? WHERE id = ?').run(legacy, run.id);
+  r = await admin(`/api/verify/${legacy.slice(0, 12)}`);
+  assert.equal(r.body.intact, true);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, adminClient, userClient, shopWithChecklist } = require('./helpers');
+
+let ctx, admin, a, b, shopA, shopB;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+  shopA = await shopWithChecklist(admin, 'nord');
+  shopB = await shopWithChecklist(admin, 'sued');
+  a = await userClient(ctx.base, admin, { email: 'nord@x.de' });
+  b = await userClient(ctx.base, admin, { email: 'sued@x.de' });
+  await admin(`/api/users/${a.id}/assign-shops`, 'POST', { shop_ids: [shopA.shop_id] });
+  await admin(`/api/users/${b.id}/assign-shops`, 'POST', { shop_ids: [shopB.shop_id] });
+});
+after(() => ctx.server.close());
+
+// Gespeicherte Datei wie nach PUT /uploads/:key (ohne Bildverarbeitung)
+function storedUpload(user_id) {
+  const key = `${crypto.randomUUID()}.jpg`;
+  ctx.db.prepare(`INSERT INTO uploads (key,content_type,created_by,created_at,expires_at,status,stored_at) VALUES (?,?,?,?,?,'stored',?)`)
+    .run(key, 'image/jpeg', user_id, new Date().toISOString(), new Date().toISOString(), new Date().toISOString());
+  return `/uploads/${key}`;
+}
+const submit = (client, shop, answer) => client('/api/check-runs', 'POST', {
+  id: crypto.randomUUID(), shop_slug: shop.slug, shift: 'morning', status: 'draft', answers: [{ item_id: shop.item_id, value: 'yes', ...answer }],
+});
+
+test('Fotonachweis: nur hier hochgeladene, eigene Dateien', async () => {
+  const own = storedUpload(a.id);
+  let r = await submit(a.request, shopA, { evidence_url: own });
+  assert.equal(r.status, 200);
+
+  // Fremder Schlüssel in einem Lauf der eigenen Filiale würde die Datei für B freigeben
+  r = await submit(b.request, shopB, { evidence_url: own });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.field, 'evidence_url');
+  assert.equal((await b.request(own)).status, 403);
+
+  r = await submit(b.request, shopB, { evidence_url: 'https://example.com/x.jpg' });
+  assert.equal(r.status, 400);
+});
+
+test('Entwurfsantwort: Fotonachweis und Unterschrift laufen durch dieselbe Prüfung', async () => {
+  // Filiale A mit zusätzlicher Vorlage: Ja/Nein-Eintrag und Unterschrift
+  const tpl = await admin('/api/templates', 'POST', { name: 'Mit Unterschrift' });
+  const check = await admin('/api/check-items', 'POST', { version_id: tpl.body.version_id, label: 'Sauber', kind: 'boolean', shift: 'mid' });
+  const sig = await admin('/api/check-items', 'POST', { version_id: tpl.body.version_id, label: 'Unterschrift', kind: 'signature', shift: 'mid' });
+  await admin(`/api/template-versions/${tpl.body.version_id}/publish`, 'POST', {});
+  await admin(`/api/shops/${shopA.shop_id}/template`, 'PUT', { template_id: tpl.body.id });
+
+  const draft = await a.request('/api/check-runs/drafts', 'POST', { shop_slug: shopA.slug, shift: 'mid' });
+  assert.equal(draft.status, 200);
+  const answer = item => `/api/check-runs/${draft.body.run.id}/answers/${item}`;
+  const foreign = storedUpload(b.id);
+  let r = await a.request(answer(check.body.id), 'PUT', { value: 'yes', evidence_url: foreign });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.field, 'evidence_url');
+  r = await a.request(answer(check.body.id), 'PUT', { value: 'yes', evidence_url: storedUpload(a.id) });
+  assert.equal(r.status, 200);
+
+  r = await a.request(answer(sig.body.id), 'PUT', { value: foreign });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.field, 'value');
+  const own = storedUpload(a.id);
+  r = await a.request(answer(sig.body.id), 'PUT', { value: own });
+  assert.equal(r.status, 200);
+  // Eine weitere Person derselben Filiale speichert die Antwort erneut – die Datei hängt schon hier
+  const c = await userClient(ctx.base, admin, { email: 'nord2@x.de' });
+  await admin(`/api/users/${c.id}/assign-shops`, 'POST', { shop_ids: [shopA.shop_id] });
+  r = await c.request(answer(sig.body.id), 'PUT', { value: own });
+  assert.equal(r.status, 200);
+});
@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, adminClient, userClient, shopWithChecklist, STRONG_PASS } = require('./helpers');
+
+let ctx, admin, shop;
+before(async () => {
+  ctx = await startApp();
+  admin = await adminClient(ctx.base);
+  shop = await shopWithChecklist(admin, 'mitte');
+});
+after(() => ctx.server.close());
+
+test('Konto mit Messungen in einem unterschriebenen Lauf wird nicht gelöscht', async () => {
+  const staff = await userClient(ctx.base, admin, { email: 'anna@x.de' });
+  await admin(`/api/users/${staff.id}/assign-shops`, 'POST', { shop_ids: [shop.shop_id] });
+  const id = crypto.randomUUID();
+  let r = await staff.request('/api/check-runs', 'POST', { id, shop_slug: shop.slug, shift: 'morning', answers: [{ item_id: shop.item_id, value: 'yes' }] });
+  assert.equal(r.status, 200);
+  r = await admin(`/api/check-runs/${id}/sign`, 'POST', { password: STRONG_PASS });
+  assert.equal(r.status, 200);
+
+  r = await admin(`/api/users/${staff.id}`, 'DELETE');
+  assert.equal(r.status, 409);
+  assert.deepEqual(r.body.references.map(x => x.label).sort(), ['erfasste Läufe', 'gemessene Einträge']);
+  assert.equal(ctx.db.prepare('SELECT answered_by FROM check_run_answers WHERE run_id = ?').get(id).answered_by, staff.id);
+});
+
+test('Konto ohne Nachweise wird gelöscht', async () => {
+  const staff = await userClient(ctx.base, admin, { email: 'ben@x.de' });
+  const r = await admin(`/api/users/${staff.id}`, 'DELETE');
+  assert.equal(r.status, 200);
+  assert.equal(ctx.db.prepare('SELECT 1 FROM users WHERE id = ?').get(staff.id), undefined);
+});